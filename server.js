@@ -1,4 +1,6 @@
 const app = require('./src/app');
+const registrationExpiryService = require('./src/services/registrationExpiryService');
+const partnerService = require('./src/services/partnerService');
 
 const PORT = process.env.PORT || 5000;
 
@@ -6,11 +8,20 @@ const server = app.listen(PORT, () => {
   console.log(`🚀 Daxa Partner Portal API running on port ${PORT}`);
   console.log(`📊 Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`🔗 API Base URL: http://localhost:${PORT}/api/v1`);
+
+  // Register the default partners so existing users can keep submitting deals
+  partnerService.ensureDefaults().catch(error => {
+    console.error('Default partner setup error:', error.message);
+  });
+
+  // Expire lapsed deal registrations in the background
+  registrationExpiryService.start();
 });
 
 // Graceful shutdown
 process.on('SIGTERM', () => {
   console.log('SIGTERM received. Shutting down gracefully...');
+  registrationExpiryService.stop();
   server.close(() => {
     console.log('Process terminated');
     process.exit(0);
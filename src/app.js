@@ -11,6 +11,11 @@ require('dotenv').config();
 const authRoutes = require('./routes/auth');
 const dealRoutes = require('./routes/deals');
 const adminRoutes = require('./routes/admin');
+const duplicateRoutes = require('./routes/duplicates');
+const partnerRoutes = require('./routes/partners');
+const apiKeyRoutes = require('./routes/apiKeys');
+const notificationRoutes = require('./routes/notifications');
+const { apiRateLimit } = require('./middleware/auth');
 
 const app = express();
 
@@ -29,7 +34,8 @@ const limiter = rateLimit({
   }
 });
 
-app.use('/api', limiter);
+// Valid partner API keys are limited per key instead (middleware/rateLimiter apiKeyLimiter)
+app.use('/api', apiRateLimit(limiter));
 
 // CORS configuration
 const corsOptions = {
@@ -74,7 +80,10 @@ app.get('/api', (req, res) => {
       health: '/health',
       authentication: '/api/v1/auth',
       deals: '/api/v1/deals',
+      duplicates: '/api/v1/duplicates',
       partners: '/api/v1/partners',
+      apiKeys: '/api/v1/api-keys',
+      notifications: '/api/v1/notifications',
       dashboard: '/api/v1/dashboard'
     }
   });
@@ -92,6 +101,10 @@ app.get('/api/v1/test', (req, res) => {
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/deals', dealRoutes);
 app.use('/api/v1/admin', adminRoutes);
+app.use('/api/v1/duplicates', duplicateRoutes);
+app.use('/api/v1/partners', partnerRoutes);
+app.use('/api/v1/api-keys', apiKeyRoutes);
+app.use('/api/v1/notifications', notificationRoutes);
 
 // Test Google Sheets connection
 app.get('/api/v1/test-sheets', async (req, res) => {
@@ -0,0 +1,49 @@
+/**
+ * Authentication configuration
+ * BCRYPT_ROUNDS: cost factor for password hashes
+ * EMAIL_VERIFICATION_HOURS: how long an email verification link stays valid
+ * JWT_EXPIRES_IN: access token lifetime (jsonwebtoken format, e.g. '15m')
+ * JWT_REFRESH_EXPIRES_IN: refresh token / session lifetime ('30d', '12h', ...)
+ * PASSWORD_RESET_MINUTES: how long a password reset link stays valid
+ * INVITE_EXPIRY_DAYS: how long an invitation link stays valid
+ * SIGNUP_REQUIRES_INVITE: 'true' blocks new accounts without an invitation or a known partner domain
+ * API_KEY_RATE_LIMIT_PER_MINUTE: default request limit of a partner API key
+ * GOOGLE_CALLBACK_URL: OAuth redirect URI registered with Google (defaults to this API's own path)
+ * GOOGLE_STATE_MINUTES: how long a started Google sign-in may take (OAuth state lifetime)
+ * GOOGLE_AUTH_CODE_SECONDS: lifetime of the one-time code the frontend exchanges for tokens
+ * TWO_FACTOR_MAX_ATTEMPTS: wrong two-factor codes in a row before verification is locked
+ * TWO_FACTOR_LOCK_MINUTES: how long two-factor verification stays locked
+ */
+const { numberFromEnv } = require('../utils/helpers');
+
+const DURATION_UNITS = { s: 1000, m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+
+/**
+ * Parse a duration like '30d' or '12h' into milliseconds
+ */
+const parseDuration = (value) => {
+  const match = /^(\d+)([smhd])$/.exec(value || '');
+  return match ? parseInt(match[1], 10) * DURATION_UNITS[match[2]] : null;
+};
+
+module.exports = {
+  bcryptRounds: numberFromEnv('BCRYPT_ROUNDS', 12),
+  passwordMinLength: numberFromEnv('PASSWORD_MIN_LENGTH', 8),
+  verificationTokenHours: numberFromEnv('EMAIL_VERIFICATION_HOURS', 24),
+  passwordResetMinutes: numberFromEnv('PASSWORD_RESET_MINUTES', 60),
+  // Minimum time between two reset emails for the same account
+  passwordResetCooldownSeconds: numberFromEnv('PASSWORD_RESET_COOLDOWN_SECONDS', 60),
+  accessTokenExpiresIn: process.env.JWT_EXPIRES_IN || '15m',
+  refreshTokenTtlMs: parseDuration(process.env.JWT_REFRESH_EXPIRES_IN) || parseDuration('30d'),
+  inviteExpiryDays: numberFromEnv('INVITE_EXPIRY_DAYS', 7),
+  signupRequiresInvite: process.env.SIGNUP_REQUIRES_INVITE === 'true',
+  apiKeyRateLimitPerMinute: numberFromEnv('API_KEY_RATE_LIMIT_PER_MINUTE', 60),
+  // Upper bound for a per-key limit set by a partner admin
+  apiKeyMaxRateLimitPerMinute: numberFromEnv('API_KEY_MAX_RATE_LIMIT_PER_MINUTE', 600),
+  googleCallbackUrl: process.env.GOOGLE_CALLBACK_URL || '/api/v1/auth/google/callback',
+  googleStateMinutes: numberFromEnv('GOOGLE_STATE_MINUTES', 10),
+  googleAuthCodeSeconds: numberFromEnv('GOOGLE_AUTH_CODE_SECONDS', 60),
+  twoFactorMaxAttempts: numberFromEnv('TWO_FACTOR_MAX_ATTEMPTS', 5),
+  twoFactorLockMinutes: numberFromEnv('TWO_FACTOR_LOCK_MINUTES', 15),
+  frontendUrl: process.env.FRONTEND_URL || 'http://localhost:8080'
+};
@@ -0,0 +1,11 @@
+/**
+ * Duplicate detection thresholds (confidence between 0 and 1)
+ * DUPLICATE_BLOCK_THRESHOLD: candidates at or above this block a new registration
+ * DUPLICATE_REVIEW_THRESHOLD: candidates at or above this are reported as possible matches
+ */
+module.exports = {
+  blockThreshold: parseFloat(process.env.DUPLICATE_BLOCK_THRESHOLD) || 0.85,
+  reviewThreshold: parseFloat(process.env.DUPLICATE_REVIEW_THRESHOLD) || 0.6,
+  // Deals in these statuses never count as duplicates
+  ignoredStatuses: ['rejected', 'merged', 'expired']
+};
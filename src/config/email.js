@@ -0,0 +1,25 @@
+/**
+ * Outgoing email configuration
+ * EMAIL_TRANSPORT: 'smtp' (SMTP_* settings, or SendGrid when SENDGRID_API_KEY is set),
+ *   'json' (rendered but kept in memory), 'file' (rendered to JSON files in EMAIL_OUTPUT_DIR)
+ *   or 'disabled'. Defaults to smtp when SMTP_HOST or SENDGRID_API_KEY is set, json otherwise.
+ */
+const defaultTransport = process.env.SMTP_HOST || process.env.SENDGRID_API_KEY ? 'smtp' : 'json';
+
+module.exports = {
+  transport: process.env.EMAIL_TRANSPORT || defaultTransport,
+  from: {
+    name: process.env.FROM_NAME || 'Daxa Partner Portal',
+    address: process.env.FROM_EMAIL || 'noreply@daxa.ai'
+  },
+  smtp: {
+    host: process.env.SMTP_HOST,
+    port: parseInt(process.env.SMTP_PORT, 10) || 587,
+    secure: process.env.SMTP_SECURE === 'true',
+    user: process.env.SMTP_USER,
+    pass: process.env.SMTP_PASS
+  },
+  sendgridApiKey: process.env.SENDGRID_API_KEY,
+  outputDir: process.env.EMAIL_OUTPUT_DIR || './data/emails',
+  appUrl: process.env.FRONTEND_URL || 'http://localhost:8080'
+};
@@ -0,0 +1,79 @@
+/**
+ * Roles and the permissions they grant.
+ * Internal roles come from the Admins sheet (role column, blank = super_admin);
+ * partner roles come from the Users sheet (role column).
+ * Permissions are exposed to the frontend so it can hide actions a user cannot take.
+ */
+const PERMISSIONS = [
+  'deals:create',
+  'deals:view_own',
+  'deals:edit_own',
+  'deals:view_team',
+  'deals:edit_team',
+  'deals:view_all',
+  'deals:edit_all',
+  'deals:approve',
+  'deals:reassign',
+  'duplicates:view',
+  'duplicates:resolve',
+  'extensions:decide',
+  'registrations:sweep',
+  'audit:view',
+  'users:view',
+  'users:manage',
+  'invitations:manage',
+  'partners:view',
+  'partners:manage',
+  'api_keys:manage',
+  'api_keys:manage_all',
+  'admins:manage',
+  'settings:manage',
+  'profile:edit'
+];
+
+const PARTNER_USER_PERMISSIONS = ['deals:create', 'deals:view_own', 'deals:edit_own', 'profile:edit'];
+
+const ROLES = {
+  super_admin: {
+    label: 'Super admin',
+    internal: true,
+    permissions: PERMISSIONS
+  },
+  approver: {
+    label: 'Approver',
+    internal: true,
+    permissions: [
+      'deals:create', 'deals:view_all', 'deals:edit_all', 'deals:approve', 'deals:reassign',
+      'duplicates:view', 'duplicates:resolve', 'extensions:decide',
+      'audit:view', 'users:view', 'partners:view', 'profile:edit'
+    ]
+  },
+  viewer: {
+    label: 'Viewer / analyst',
+    internal: true,
+    permissions: ['deals:view_all', 'duplicates:view', 'audit:view', 'users:view', 'partners:view', 'profile:edit']
+  },
+  partner_admin: {
+    label: 'Partner admin',
+    internal: false,
+    permissions: [...PARTNER_USER_PERMISSIONS, 'deals:view_team', 'deals:edit_team', 'deals:reassign', 'api_keys:manage']
+  },
+  partner_user: {
+    label: 'Partner user',
+    internal: false,
+    permissions: PARTNER_USER_PERMISSIONS
+  }
+};
+
+// Role names used before the permission model (and accepted as input)
+const ROLE_ALIASES = {
+  admin: 'super_admin',
+  analyst: 'viewer',
+  user: 'partner_user'
+};
+
+module.exports = {
+  PERMISSIONS,
+  ROLES,
+  ROLE_ALIASES
+};
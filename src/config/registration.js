@@ -0,0 +1,15 @@
+/**
+ * Registration protection period configuration
+ * REGISTRATION_EXPIRY_MODE: 'fixed' (protection days after approval) or
+ *   'close_date' (expected_close_date plus grace days, falling back to fixed)
+ * REGISTRATION_SWEEP_INTERVAL_MINUTES: how often lapsed deals are expired, 0 disables the sweep
+ */
+const { numberFromEnv } = require('../utils/helpers');
+
+module.exports = {
+  expiryMode: process.env.REGISTRATION_EXPIRY_MODE || 'fixed',
+  protectionDays: numberFromEnv('REGISTRATION_PROTECTION_DAYS', 90),
+  closeDateGraceDays: numberFromEnv('REGISTRATION_CLOSE_DATE_GRACE_DAYS', 30),
+  maxExtensionDays: numberFromEnv('REGISTRATION_MAX_EXTENSION_DAYS', 90),
+  sweepIntervalMinutes: numberFromEnv('REGISTRATION_SWEEP_INTERVAL_MINUTES', 60)
+};
@@ -0,0 +1,9 @@
+/**
+ * Storage backend configuration
+ * STORAGE_BACKEND: 'sheets' (Google Sheets, default) or 'file' (local JSON file)
+ * STORAGE_FILE_PATH: JSON file for the file backend, ':memory:' keeps data in-process only
+ */
+module.exports = {
+  backend: process.env.STORAGE_BACKEND || 'sheets',
+  filePath: process.env.STORAGE_FILE_PATH || './data/storage.json'
+};
@@ -0,0 +1,77 @@
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Send a service error with its HTTP status, or a 500 with the given message
+ */
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallbackMessage,
+    message: error.message,
+    ...error.details
+  });
+};
+
+/**
+ * List API keys of the user's partner company (admins: all, or ?partnerCompany)
+ * GET /api/v1/api-keys
+ */
+const getApiKeys = async (req, res) => {
+  try {
+    const keys = await apiKeyService.list(req.user, { partnerCompany: req.query.partnerCompany });
+
+    res.json({
+      apiKeys: keys,
+      total: keys.length,
+      validScopes: apiKeyService.scopes
+    });
+
+  } catch (error) {
+    console.error('Get API keys error:', error);
+    sendError(res, error, 'Failed to load API keys');
+  }
+};
+
+/**
+ * Create an API key; the plain key is only returned in this response
+ * POST /api/v1/api-keys
+ */
+const createApiKey = async (req, res) => {
+  try {
+    const result = await apiKeyService.create(req.body, { user: req.user });
+
+    res.status(201).json({
+      message: 'API key created. Store it now, it will not be shown again.',
+      apiKey: result.apiKey,
+      key: result.key
+    });
+
+  } catch (error) {
+    console.error('Create API key error:', error);
+    sendError(res, error, 'Failed to create API key');
+  }
+};
+
+/**
+ * Revoke an API key (takes effect immediately)
+ * DELETE /api/v1/api-keys/:id
+ */
+const revokeApiKey = async (req, res) => {
+  try {
+    const key = await apiKeyService.revoke(req.params.id, { user: req.user });
+
+    res.json({
+      message: 'API key revoked',
+      key: key
+    });
+
+  } catch (error) {
+    console.error('Revoke API key error:', error);
+    sendError(res, error, 'Failed to revoke API key');
+  }
+};
+
+module.exports = {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+};
@@ -1,4 +1,42 @@
-const googleSheetsService = require('../services/googleSheetsService');
+const { dealRepository } = require('../repositories');
+const auditService = require('../services/auditService');
+const duplicateService = require('../services/duplicateService');
+const registrationExpiryService = require('../services/registrationExpiryService');
+const dealStatusService = require('../services/dealStatusService');
+const dealQueryService = require('../services/dealQueryService');
+const dealAccessService = require('../services/dealAccessService');
+const notificationService = require('../services/notificationService');
+const partnerService = require('../services/partnerService');
+const approvalRulesService = require('../services/approvalRulesService');
+const reviewerAssignmentService = require('../services/reviewerAssignmentService');
+
+// Request body fields a submitter may edit, mapped to Deals columns
+const EDITABLE_FIELDS = {
+  companyName: 'company_name',
+  domain: 'domain',
+  partnerCompany: 'partner_company',
+  submitterName: 'submitter_name',
+  territory: 'territory',
+  customerLegalName: 'customer_legal_name',
+  customerIndustry: 'customer_industry',
+  customerLocation: 'customer_location',
+  dealStage: 'deal_stage',
+  expectedCloseDate: 'expected_close_date',
+  dealValue: 'deal_value',
+  contractType: 'contract_type',
+  primaryProduct: 'primary_product',
+  additionalNotes: 'additional_notes'
+};
+
+// Columns that identify the registered account, plus the value the approval rules
+// were evaluated on; they lock once a deal is approved
+const CORE_FIELDS = ['company_name', 'domain', 'partner_company', 'customer_legal_name', 'territory', 'deal_value'];
+
+// Columns that must never be blank
+const REQUIRED_FIELDS = ['company_name', 'domain', 'partner_company', 'submitter_name'];
+
+// Statuses in which every editable field can change
+const OPEN_EDIT_STATUSES = ['submitted', 'pending', 'needs_info'];
 
 /**
  * Create new deal registration
@@ -12,9 +50,7 @@ const createDeal = async (req, res) => {
       domain,
       
       // Core Info fields
-      partnerCompany,
       submitterName,
-      submitterEmail,
       territory,
       customerLegalName,
       customerIndustry,
@@ -29,9 +65,17 @@ const createDeal = async (req, res) => {
       
       // Documentation fields
       additionalNotes,
-      agreedToTerms
+      agreedToTerms,
+      
+      // Submit anyway and let a channel manager adjudicate the conflict
+      escalateConflict
     } = req.body;
 
+    // Partner users and API keys always submit as themselves
+    const { partnerCompany, submitterEmail } = dealAccessService.submissionIdentity(req.user, req.body, {
+      apiKey: req.apiKey
+    });
+
     // Basic validation
     if (!companyName || !domain || !partnerCompany || !submitterName || !submitterEmail) {
       return res.status(400).json({
@@ -46,60 +90,89 @@ const createDeal = async (req, res) => {
       });
     }
 
+    // Partner company must be a registered, active partner
+    const partner = await partnerService.findActiveByName(partnerCompany);
+
+    if (!partner) {
+      return res.status(400).json({
+        error: 'Unknown partner company',
+        message: `'${partnerCompany}' is not a registered active partner`,
+        partnerCompany: partnerCompany
+      });
+    }
+
     // Check for duplicate deals
     const duplicateCheck = await checkDuplicateDeals(companyName, domain);
     
-    if (duplicateCheck.hasDuplicates) {
+    if (duplicateCheck.hasDuplicates && !escalateConflict) {
       return res.status(409).json({
         error: 'Potential duplicate deal detected',
-        duplicates: duplicateCheck.duplicates,
-        message: 'Please review existing deals or contact your partner manager'
+        duplicates: duplicateCheck.duplicates.map(candidate => duplicateService.toPublicCandidate(candidate)),
+        canEscalate: true,
+        message: 'Please review existing deals, or resubmit with escalateConflict to have a channel manager review the conflict'
       });
     }
 
-    const dealId = googleSheetsService.generateId();
+    const conflictEscalated = duplicateCheck.hasDuplicates && Boolean(escalateConflict);
 
     // Create deal record (single sheet - no separate customer table)
-    const dealData = [
-      dealId, // A: id
-      'submitted', // B: status
-      googleSheetsService.getCurrentTimestamp(), // C: created_at
-      companyName, // D: company_name
-      domain, // E: domain
-      partnerCompany, // F: partner_company
-      submitterName, // G: submitter_name
-      submitterEmail, // H: submitter_email
-      territory, // I: territory
-      customerIndustry, // J: customer_industry
-      customerLocation, // K: customer_location
-      dealStage, // L: deal_stage
-      expectedCloseDate, // M: expected_close_date
-      dealValue, // N: deal_value
-      contractType, // O: contract_type
-      primaryProduct || '', // P: primary_product
-      additionalNotes || '', // Q: additional_notes
-      customerLegalName || '' // R: customer_legal_name
-    ];
-
-    await googleSheetsService.appendToSheet('Deals', dealData);
+    const deal = await dealRepository.create({
+      company_name: companyName,
+      domain: domain,
+      partner_company: partner.name,
+      submitter_name: submitterName,
+      submitter_email: submitterEmail,
+      territory: territory,
+      customer_industry: customerIndustry,
+      customer_location: customerLocation,
+      deal_stage: dealStage,
+      expected_close_date: expectedCloseDate,
+      deal_value: dealValue,
+      contract_type: contractType,
+      primary_product: primaryProduct || '',
+      additional_notes: additionalNotes || '',
+      customer_legal_name: customerLegalName || '',
+      conflict_status: conflictEscalated ? 'open' : ''
+    });
+    const dealId = deal.id;
 
     // Add audit log entry
-    const auditData = [
-      googleSheetsService.generateId(), // A: id
-      dealId, // B: deal_id
-      submitterEmail, // C: user_email
-      'created', // D: action
-      googleSheetsService.getCurrentTimestamp(), // E: timestamp
-      `Deal created for ${companyName}` // F: notes
-    ];
+    await auditService.log({
+      dealId,
+      userEmail: submitterEmail,
+      action: 'created',
+      notes: `Deal created for ${companyName}`
+    });
+
+    if (conflictEscalated) {
+      await auditService.log({
+        dealId,
+        userEmail: submitterEmail,
+        action: 'conflict_escalated',
+        notes: `Conflicts with ${duplicateCheck.duplicates.map(duplicate => duplicate.id).join(', ')}`
+      });
 
-    await googleSheetsService.appendToSheet('Audit_Log', auditData);
+      await notificationService.duplicateDetected(deal, duplicateCheck.duplicates);
+    }
+
+    // Approval rules may auto-approve, require more sign-offs or route to a reviewer
+    const { deal: evaluatedDeal, outcome } = await approvalRulesService.applyOnSubmission(deal, {
+      partner,
+      duplicateCheck
+    });
+    const autoApproved = Boolean(outcome?.autoApprove);
+
+    if (!autoApproved) {
+      await reviewerAssignmentService.autoAssign(evaluatedDeal);
+      await notificationService.dealSubmitted(evaluatedDeal);
+    }
 
     res.status(201).json({
-      message: 'Deal registration submitted successfully',
+      message: autoApproved ? 'Deal registration approved automatically' : 'Deal registration submitted successfully',
       dealId: dealId,
-      status: 'submitted',
-      estimatedApprovalTime: getEstimatedApprovalTime(dealValue),
+      status: evaluatedDeal.status,
+      conflictStatus: conflictEscalated ? 'open' : undefined,
+      estimatedApprovalTime: autoApproved ? 'Approved' : getEstimatedApprovalTime(dealValue),
       nextSteps: [
         'Deal submitted for review',
         'You will receive an email confirmation shortly',
@@ -110,9 +183,10 @@ const createDeal = async (req, res) => {
 
   } catch (error) {
     console.error('Create deal error:', error);
-    res.status(500).json({
-      error: 'Failed to create deal registration',
-      message: error.message
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create deal registration',
+      message: error.message,
+      ...error.details
     });
   }
 };
@@ -123,58 +197,33 @@ const createDeal = async (req, res) => {
  */
 const getDeals = async (req, res) => {
   try {
-    const { status, partner, limit = 50 } = req.query;
-    
-    const deals = await googleSheetsService.getSheetData('Deals');
+    const options = dealQueryService.parseOptions(req.query);
     
-    if (!deals || deals.length <= 1) {
-      return res.json({
-        deals: [],
-        total: 0,
-        message: 'No deals found'
-      });
-    }
+    const deals = await dealRepository.findAll();
 
-    const headers = deals[0];
-    const submitterEmailIndex = headers.indexOf('submitter_email');
-    const dealRecords = [];
+    // Admins see all deals, partner admins their company's, users only their own
+    const visibleDeals = dealAccessService.filterVisible(req.user, deals);
 
-    // Process deals (skip header row)
-    for (let i = 1; i < Math.min(deals.length, parseInt(limit) + 1); i++) {
-      const deal = {};
-      headers.forEach((header, index) => {
-        deal[header] = deals[i][index] || '';
-      });
-      
-      // FIXED: Role-based filtering - admins see all deals, users see only their own
-      const canViewDeal = req.user?.role === 'admin' || deal.submitter_email === req.user?.email;
-      
-      if (!canViewDeal) {
-        continue; // Skip deals this user shouldn't see
-      }
-      
-      // Apply additional filters
-      if (status && deal.status !== status) continue;
-      if (partner && deal.partner_company !== partner) continue;
-      
-      dealRecords.push(deal);
-    }
+    const result = dealQueryService.query(visibleDeals, options);
 
     res.json({
-      deals: dealRecords,
-      total: dealRecords.length,
-      filters: { status, partner, limit },
+      deals: result.deals.map(deal => dealAccessService.forViewer(req.user, deal)),
+      total: result.total,
+      pagination: result.pagination,
+      filters: req.query,
       user: {
         email: req.user?.email,
-        role: req.user?.role
+        role: req.user?.role,
+        scope: dealAccessService.scope(req.user)
       }
     });
 
   } catch (error) {
     console.error('Get deals error:', error);
-    res.status(500).json({
-      error: 'Failed to retrieve deals',
-      message: error.message
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to retrieve deals',
+      message: error.message,
+      ...error.details
     });
   }
 };
@@ -187,7 +236,7 @@ const getDealById = async (req, res) => {
   try {
     const { id } = req.params;
     
-    const deal = await googleSheetsService.findRowByValue('Deals', 'id', id);
+    const deal = await dealRepository.findById(id);
     
     if (!deal) {
       return res.status(404).json({
@@ -197,17 +246,17 @@ const getDealById = async (req, res) => {
     }
 
     // FIXED: Check if user can view this specific deal
-    const canViewDeal = req.user?.role === 'admin' || deal.submitter_email === req.user?.email;
-    
-    if (!canViewDeal) {
+    if (!dealAccessService.canView(req.user, deal)) {
       return res.status(403).json({
         error: 'Permission denied',
-        message: 'You can only view deals you submitted'
+        message: 'You can only view deals of your own or your team'
       });
     }
 
     res.json({
-      deal: deal,
+      deal: dealAccessService.forViewer(req.user, deal),
+      // Approval state and rule trail are for reviewers only
+      approval: dealAccessService.can(req.user, 'deals:view_all') ? approvalRulesService.describe(deal) : undefined,
       message: 'Deal retrieved successfully'
     });
 
@@ -221,48 +270,303 @@ const getDealById = async (req, res) => {
 };
 
 /**
- * Check for duplicate deals - simplified
+ * Get a deal's audit trail
+ * GET /api/v1/deals/:id/history
+ */
+const getDealHistory = async (req, res) => {
+  try {
+    const { id } = req.params;
+
+    const deal = await dealRepository.findById(id);
+
+    if (!deal) {
+      return res.status(404).json({
+        error: 'Deal not found',
+        dealId: id
+      });
+    }
+
+    if (!dealAccessService.canView(req.user, deal)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only view deals of your own or your team'
+      });
+    }
+
+    const history = await auditService.getDealHistory(id);
+
+    res.json({
+      dealId: id,
+      history: history,
+      total: history.length
+    });
+
+  } catch (error) {
+    console.error('Get deal history error:', error);
+    res.status(500).json({
+      error: 'Failed to retrieve deal history',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Edit a deal registration
+ * PATCH /api/v1/deals/:id
  */
-const checkDuplicateDeals = async (companyName, domain) => {
+const updateDeal = async (req, res) => {
   try {
-    const deals = await googleSheetsService.getSheetData('Deals');
-    const duplicates = [];
-
-    if (deals && deals.length > 1) {
-      const headers = deals[0];
-      const companyIndex = headers.indexOf('company_name');
-      const domainIndex = headers.indexOf('domain');
-      const statusIndex = headers.indexOf('status');
-
-      for (let i = 1; i < deals.length; i++) {
-        const row = deals[i];
-        const existingCompany = row[companyIndex] || '';
-        const existingDomain = row[domainIndex] || '';
-        const existingStatus = row[statusIndex] || '';
-
-        // Check for exact matches on active deals
-        if (existingStatus !== 'rejected') {
-          if (existingCompany.toLowerCase() === companyName.toLowerCase() ||
-              existingDomain.toLowerCase() === domain.toLowerCase()) {
-            
-            const duplicate = {};
-            headers.forEach((header, index) => {
-              duplicate[header] = row[index] || '';
-            });
-            duplicates.push(duplicate);
-          }
-        }
+    const { id } = req.params;
+    const { escalateConflict } = req.body;
+
+    const deal = await dealRepository.findById(id);
+
+    if (!deal) {
+      return res.status(404).json({
+        error: 'Deal not found',
+        dealId: id
+      });
+    }
+
+    if (!dealAccessService.canManage(req.user, deal)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only edit deals of your own or your team'
+      });
+    }
+
+    // Collect changed fields only
+    const changes = {};
+    Object.entries(EDITABLE_FIELDS).forEach(([bodyField, column]) => {
+      if (req.body[bodyField] === undefined) return;
+      const value = req.body[bodyField] === null ? '' : String(req.body[bodyField]);
+      if (value !== (deal[column] || '')) {
+        changes[column] = value;
       }
+    });
+
+    const changedFields = Object.keys(changes);
+
+    if (changedFields.length === 0) {
+      return res.status(400).json({
+        error: 'No changes provided',
+        editableFields: Object.keys(EDITABLE_FIELDS)
+      });
     }
 
-    return {
-      hasDuplicates: duplicates.length > 0,
-      duplicates: duplicates
-    };
+    const status = (deal.status || 'submitted').toLowerCase();
 
+    if (!OPEN_EDIT_STATUSES.includes(status) && status !== 'approved') {
+      return res.status(409).json({
+        error: 'Deal cannot be edited',
+        message: `Deals in status '${status}' cannot be edited`,
+        status: status
+      });
+    }
+
+    const lockedFields = status === 'approved'
+      ? changedFields.filter(column => CORE_FIELDS.includes(column))
+      : [];
+
+    if (lockedFields.length > 0) {
+      return res.status(409).json({
+        error: 'Core fields are locked after approval',
+        lockedFields: lockedFields
+      });
+    }
+
+    const clearedFields = changedFields.filter(column => REQUIRED_FIELDS.includes(column) && !changes[column].trim());
+
+    if (clearedFields.length > 0) {
+      return res.status(400).json({
+        error: 'Required fields cannot be cleared',
+        fields: clearedFields
+      });
+    }
+
+    if (changes.partner_company !== undefined) {
+      if (!dealAccessService.canChangePartner(req.user, changes.partner_company)) {
+        return res.status(403).json({
+          error: 'Permission denied',
+          message: 'Deals can only belong to your own partner company'
+        });
+      }
+
+      const partner = await partnerService.findActiveByName(changes.partner_company);
+
+      if (!partner) {
+        return res.status(400).json({
+          error: 'Unknown partner company',
+          message: `'${changes.partner_company}' is not a registered active partner`,
+          partnerCompany: changes.partner_company
+        });
+      }
+
+      changes.partner_company = partner.name;
+    }
+
+    // Company or domain changed: the deal may now collide with another registration
+    let conflictEscalated = false;
+    let conflictingDeals = [];
+    let duplicateCheck = null;
+    if (changes.company_name !== undefined || changes.domain !== undefined) {
+      duplicateCheck = await checkDuplicateDeals(
+        changes.company_name ?? deal.company_name,
+        changes.domain ?? deal.domain,
+        { excludeDealId: id }
+      );
+
+      if (duplicateCheck.hasDuplicates && !escalateConflict) {
+        return res.status(409).json({
+          error: 'Potential duplicate deal detected',
+          duplicates: duplicateCheck.duplicates.map(candidate => duplicateService.toPublicCandidate(candidate)),
+          canEscalate: true,
+          message: 'Please review existing deals, or resubmit with escalateConflict to have a channel manager review the conflict'
+        });
+      }
+
+      conflictEscalated = duplicateCheck.hasDuplicates;
+      conflictingDeals = duplicateCheck.duplicates;
+      if (conflictEscalated) {
+        changes.conflict_status = 'open';
+      }
+    }
+
+    const updatedDeal = await dealRepository.update(id, changes);
+
+    for (const column of changedFields) {
+      await auditService.log({
+        dealId: id,
+        userEmail: req.user?.email,
+        action: 'updated',
+        notes: `Changed ${column}`,
+        field: column,
+        oldValue: deal[column] || '',
+        newValue: changes[column]
+      });
+    }
+
+    if (conflictEscalated) {
+      await auditService.log({
+        dealId: id,
+        userEmail: req.user?.email,
+        action: 'conflict_escalated',
+        notes: 'Conflict raised by edit'
+      });
+
+      await notificationService.duplicateDetected(updatedDeal, conflictingDeals);
+    }
+
+    // Answering an information request sends the deal back for review
+    let result = { deal: updatedDeal };
+    if (status === 'needs_info') {
+      result = await dealStatusService.transition(id, 'submitted', {
+        actor: req.user?.email,
+        action: 'resubmitted',
+        notes: 'Resubmitted with requested information'
+      });
+    }
+
+    // The rules ran on the submitted values: edits to what they read are evaluated again
+    if (OPEN_EDIT_STATUSES.includes(status) && changedFields.some(column => approvalRulesService.ruleFields.includes(column))) {
+      const current = result.deal;
+      const { deal: evaluatedDeal, outcome } = await approvalRulesService.reapplyAfterEdit(current, {
+        partner: await partnerService.findActiveByName(current.partner_company || ''),
+        duplicateCheck: duplicateCheck || await checkDuplicateDeals(current.company_name, current.domain, { excludeDealId: id })
+      });
+
+      result = {
+        deal: outcome?.autoApprove ? evaluatedDeal : await reviewerAssignmentService.autoAssign(evaluatedDeal)
+      };
+    }
+
+    res.json({
+      message: 'Deal updated successfully',
+      dealId: id,
+      changedFields: changedFields,
+      deal: dealAccessService.forViewer(req.user, result.deal)
+    });
+
+  } catch (error) {
+    console.error('Update deal error:', error);
+    res.status(500).json({
+      error: 'Failed to update deal',
+      message: error.message
+    });
+  }
+};
+
+/**
+ * Request an extension of an approved registration's protection period
+ * POST /api/v1/deals/:id/extension-requests
+ */
+const requestExtension = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { requestedDays, justification } = req.body;
+
+    const request = await registrationExpiryService.requestExtension(id, {
+      user: req.user,
+      requestedDays,
+      justification
+    });
+
+    res.status(201).json({
+      message: 'Extension request submitted',
+      request: request
+    });
+
+  } catch (error) {
+    console.error('Extension request error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to request extension',
+      message: error.message,
+      ...error.details
+    });
+  }
+};
+
+/**
+ * Reassign a deal to another user of the same partner company
+ * POST /api/v1/deals/:id/reassign
+ */
+const reassignDeal = async (req, res) => {
+  try {
+    const { id } = req.params;
+    const { email, notes } = req.body;
+
+    const result = await dealAccessService.reassign(id, email, {
+      user: req.user,
+      notes
+    });
+
+    res.json({
+      message: 'Deal reassigned successfully',
+      dealId: id,
+      previousOwner: result.previousOwner,
+      owner: result.owner,
+      deal: dealAccessService.forViewer(req.user, result.deal)
+    });
+
+  } catch (error) {
+    console.error('Reassign deal error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to reassign deal',
+      message: error.message,
+      ...error.details
+    });
+  }
+};
+
+/**
+ * Check for duplicate deals using fuzzy company/domain matching
+ */
+const checkDuplicateDeals = async (companyName, domain, options = {}) => {
+  try {
+    return await duplicateService.findDuplicates(companyName, domain, options);
   } catch (error) {
     console.error('Duplicate check error:', error);
-    return { hasDuplicates: false, duplicates: [] };
+    return { hasDuplicates: false, duplicates: [], possibleMatches: [] };
   }
 };
 
@@ -285,6 +589,10 @@ module.exports = {
   createDeal,
   getDeals,
   getDealById,
+  getDealHistory,
+  updateDeal,
+  requestExtension,
+  reassignDeal,
   checkDuplicateDeals,
   getEstimatedApprovalTime
 };
\ No newline at end of file
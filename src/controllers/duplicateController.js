@@ -0,0 +1,110 @@
+const duplicateService = require('../services/duplicateService');
+
+/**
+ * Send a service error with its HTTP status, or a 500 with the given message
+ */
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallbackMessage,
+    message: error.message,
+    ...error.details
+  });
+};
+
+/**
+ * Get the queue of open channel conflicts
+ * GET /api/v1/duplicates/conflicts
+ */
+const getConflicts = async (req, res) => {
+  try {
+    const clusters = await duplicateService.getConflictClusters();
+
+    res.json({
+      conflicts: clusters,
+      total: clusters.length
+    });
+
+  } catch (error) {
+    console.error('Get conflicts error:', error);
+    sendError(res, error, 'Failed to load conflict queue');
+  }
+};
+
+/**
+ * Mark deals as not duplicates of each other
+ * POST /api/v1/duplicates/not-duplicate
+ */
+const markNotDuplicate = async (req, res) => {
+  try {
+    const { dealIds, notes } = req.body;
+
+    const result = await duplicateService.markNotDuplicate(dealIds, {
+      actor: req.user?.email,
+      notes
+    });
+
+    res.json({
+      message: 'Deals marked as not duplicates',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Mark not duplicate error:', error);
+    sendError(res, error, 'Failed to resolve conflict');
+  }
+};
+
+/**
+ * Award a conflicted account to one registration
+ * POST /api/v1/duplicates/award
+ */
+const awardAccount = async (req, res) => {
+  try {
+    const { winnerDealId, loserDealIds, notes } = req.body;
+
+    const result = await duplicateService.awardAccount(winnerDealId, loserDealIds, {
+      actor: req.user?.email,
+      notes
+    });
+
+    res.json({
+      message: 'Account awarded successfully',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Award account error:', error);
+    sendError(res, error, 'Failed to award account');
+  }
+};
+
+/**
+ * Merge competing registrations into a primary deal
+ * POST /api/v1/duplicates/merge
+ */
+const mergeRegistrations = async (req, res) => {
+  try {
+    const { primaryDealId, mergedDealIds, notes } = req.body;
+
+    const result = await duplicateService.mergeRegistrations(primaryDealId, mergedDealIds, {
+      actor: req.user?.email,
+      notes
+    });
+
+    res.json({
+      message: 'Registrations merged successfully',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Merge registrations error:', error);
+    sendError(res, error, 'Failed to merge registrations');
+  }
+};
+
+module.exports = {
+  getConflicts,
+  markNotDuplicate,
+  awardAccount,
+  mergeRegistrations
+};
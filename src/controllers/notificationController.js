@@ -0,0 +1,78 @@
+const notificationService = require('../services/notificationService');
+
+/**
+ * Send a service error with its HTTP status, or a 500 with the given message
+ */
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallbackMessage,
+    message: error.message,
+    ...error.details
+  });
+};
+
+/**
+ * List the signed-in user's notifications (?unread=true for unread only)
+ * GET /api/v1/notifications
+ */
+const getNotifications = async (req, res) => {
+  try {
+    const notifications = await notificationService.listForUser(req.user, {
+      unreadOnly: req.query.unread === 'true'
+    });
+
+    res.json({
+      notifications: notifications,
+      total: notifications.length,
+      unread: notifications.filter(notification => !notification.read_at).length
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    sendError(res, error, 'Failed to load notifications');
+  }
+};
+
+/**
+ * Mark one notification as read
+ * POST /api/v1/notifications/:id/read
+ */
+const markNotificationRead = async (req, res) => {
+  try {
+    const notification = await notificationService.markRead(req.params.id, req.user);
+
+    res.json({
+      message: 'Notification marked as read',
+      notification: notification
+    });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    sendError(res, error, 'Failed to update notification');
+  }
+};
+
+/**
+ * Mark all of the user's notifications as read
+ * POST /api/v1/notifications/read-all
+ */
+const markAllNotificationsRead = async (req, res) => {
+  try {
+    const marked = await notificationService.markAllRead(req.user);
+
+    res.json({
+      message: 'Notifications marked as read',
+      marked: marked
+    });
+
+  } catch (error) {
+    console.error('Mark notifications read error:', error);
+    sendError(res, error, 'Failed to update notifications');
+  }
+};
+
+module.exports = {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+};
@@ -0,0 +1,129 @@
+const partnerService = require('../services/partnerService');
+const permissionService = require('../services/permissionService');
+
+/**
+ * Send a service error with its HTTP status, or a 500 with the given message
+ */
+const sendError = (res, error, fallbackMessage) => {
+  res.status(error.status || 500).json({
+    error: error.status ? error.message : fallbackMessage,
+    message: error.message,
+    ...error.details
+  });
+};
+
+/**
+ * Partner fields visible to non-admin users (e.g. for the deal form dropdown)
+ */
+const publicPartner = (partner) => ({
+  id: partner.id,
+  name: partner.name,
+  tier: partner.tier,
+  territories: (partner.territories || '').split(',').filter(Boolean)
+});
+
+/**
+ * List partner companies (admins see every field and status)
+ * GET /api/v1/partners
+ */
+const getPartners = async (req, res) => {
+  try {
+    const canViewAll = permissionService.hasPermission(req.user, 'partners:view');
+    const partners = await partnerService.list({
+      status: canViewAll ? req.query.status : 'active',
+      q: req.query.q
+    });
+
+    res.json({
+      partners: canViewAll ? partners : partners.map(publicPartner),
+      total: partners.length
+    });
+
+  } catch (error) {
+    console.error('Get partners error:', error);
+    sendError(res, error, 'Failed to load partners');
+  }
+};
+
+/**
+ * Get one partner company
+ * GET /api/v1/partners/:id
+ */
+const getPartnerById = async (req, res) => {
+  try {
+    const partner = await partnerService.get(req.params.id);
+
+    res.json({
+      partner: partner
+    });
+
+  } catch (error) {
+    console.error('Get partner error:', error);
+    sendError(res, error, 'Failed to load partner');
+  }
+};
+
+/**
+ * Register a partner company
+ * POST /api/v1/partners
+ */
+const createPartner = async (req, res) => {
+  try {
+    const partner = await partnerService.create(req.body, { actor: req.user?.email });
+
+    res.status(201).json({
+      message: 'Partner created successfully',
+      partner: partner
+    });
+
+  } catch (error) {
+    console.error('Create partner error:', error);
+    sendError(res, error, 'Failed to create partner');
+  }
+};
+
+/**
+ * Update a partner company's domains, tier, status, territories or channel manager
+ * PUT /api/v1/partners/:id
+ */
+const updatePartner = async (req, res) => {
+  try {
+    const partner = await partnerService.update(req.params.id, req.body, { actor: req.user?.email });
+
+    res.json({
+      message: 'Partner updated successfully',
+      partner: partner
+    });
+
+  } catch (error) {
+    console.error('Update partner error:', error);
+    sendError(res, error, 'Failed to update partner');
+  }
+};
+
+/**
+ * Deactivate a partner company (kept for history, no longer accepts deals or sign-ups)
+ * DELETE /api/v1/partners/:id
+ */
+const deactivatePartner = async (req, res) => {
+  try {
+    const partner = await partnerService.deactivate(req.params.id, { actor: req.user?.email });
+
+    res.json({
+      message: 'Partner deactivated',
+      partner: partner
+    });
+
+  } catch (error) {
+    console.error('Deactivate partner error:', error);
+    sendError(res, error, 'Failed to deactivate partner');
+  }
+};
+
+module.exports = {
+  getPartners,
+  getPartnerById,
+  createPartner,
+  updatePartner,
+  deactivatePartner
+};
@@ -1,40 +1,12 @@
 const jwt = require('jsonwebtoken');
-const googleSheetsService = require('../services/googleSheetsService');
+const { userRepository } = require('../repositories');
+const sessionService = require('../services/sessionService');
+const apiKeyService = require('../services/apiKeyService');
+const permissionService = require('../services/permissionService');
+const { apiKeyLimiter } = require('./rateLimiter');
 
 /**
- * Check if user is admin by checking Admins sheet
- */
-const checkAdminStatus = async (email) => {
-  try {
-    const adminsData = await googleSheetsService.getSheetData('Admins');
-    
-    if (!adminsData || adminsData.length <= 1) {
-      return false;
-    }
-
-    const headers = adminsData[0];
-    const emailIndex = headers.indexOf('email');
-    const statusIndex = headers.indexOf('status');
-
-    // Check if email exists in Admins sheet with active status
-    for (let i = 1; i < adminsData.length; i++) {
-      const adminEmail = adminsData[i][emailIndex];
-      const adminStatus = adminsData[i][statusIndex];
-      
-      if (adminEmail && adminStatus === 'active' && adminEmail.toLowerCase() === email.toLowerCase()) {
-        return true;
-      }
-    }
-
-    return false;
-  } catch (error) {
-    console.error('Error checking admin status:', error);
-    return false;
-  }
-};
-
-/**
- * JWT Authentication Middleware with Admin Sheet Check
+ * JWT Authentication Middleware (role and permissions from the Admins/Users sheets)
  */
 const authenticateToken = async (req, res, next) => {
   try {
@@ -50,9 +22,17 @@ const authenticateToken = async (req, res, next) => {
 
     // Verify JWT token
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Reject tokens whose session was logged out or revoked
+    if (!(await sessionService.isSessionActive(decoded.sid))) {
+      return res.status(401).json({
+        error: 'Session expired or revoked',
+        message: 'Your session has ended. Please login again'
+      });
+    }
     
-    // Get user details from Google Sheets
-    const user = await googleSheetsService.findRowByValue('Users', 'id', decoded.id);
+    // Get user details from storage
+    const user = await userRepository.findById(decoded.id);
     
     if (!user || user.status !== 'active') {
       return res.status(401).json({
@@ -61,21 +41,20 @@ const authenticateToken = async (req, res, next) => {
       });
     }
 
-    // Check if user is admin by checking Admins sheet
-    const isAdmin = await checkAdminStatus(user.email);
-    
-    // Override role based on Admins sheet
-    const userRole = isAdmin ? 'admin' : user.role;
+    // Role from the Admins sheet (internal users) or the Users sheet (partners)
+    const userRole = await permissionService.resolveUserRole(user);
 
     // Add user info to request object
     req.user = {
       id: user.id,
       email: user.email,
-      role: userRole, // This is now determined by Admins sheet check
+      role: userRole,
+      permissions: permissionService.permissionsFor(userRole),
       partnerId: user.partner_company, // Keep your existing field mapping
       firstName: user.first_name,
       lastName: user.last_name,
-      partnerName: user.partner_company
+      partnerName: user.partner_company,
+      sessionId: decoded.sid
     };
 
     next();
@@ -113,21 +92,23 @@ const optionalAuth = async (req, res, next) => {
 
     if (token) {
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await googleSheetsService.findRowByValue('Users', 'id', decoded.id);
+      const user = await sessionService.isSessionActive(decoded.sid)
+        ? await userRepository.findById(decoded.id)
+        : null;
       
       if (user && user.status === 'active') {
-        // Check admin status for optional auth too
-        const isAdmin = await checkAdminStatus(user.email);
-        const userRole = isAdmin ? 'admin' : user.role;
+        const userRole = await permissionService.resolveUserRole(user);
 
         req.user = {
           id: user.id,
           email: user.email,
           role: userRole,
+          permissions: permissionService.permissionsFor(userRole),
           partnerId: user.partner_id,
           firstName: user.first_name,
           lastName: user.last_name,
-          partnerName: user.partner_company
+          partnerName: user.partner_company,
+          sessionId: decoded.sid
         };
       }
     }
@@ -140,8 +121,117 @@ const optionalAuth = async (req, res, next) => {
   }
 };
 
+/**
+ * Require every given permission (use after authenticateToken)
+ * e.g. router.post('/deals/:id/approve', authenticateToken, requirePermission('deals:approve'), ...)
+ */
+const requirePermission = (...permissions) => (req, res, next) => {
+  const missing = permissions.filter(permission => !permissionService.hasPermission(req.user, permission));
+
+  if (missing.length > 0) {
+    return res.status(403).json({
+      error: 'Access denied',
+      message: 'You do not have permission to perform this action',
+      requiredPermissions: missing
+    });
+  }
+
+  next();
+};
+
+/**
+ * Check the request's X-API-Key header once per request; later calls reuse the outcome
+ * @returns {Promise<Object>} - { auth: { key, owner } } or { error }, or null without a key header
+ */
+const checkApiKey = (req) => {
+  const rawKey = req.headers['x-api-key'];
+
+  if (!rawKey) {
+    return Promise.resolve(null);
+  }
+
+  if (!req.apiKeyCheck) {
+    req.apiKeyCheck = apiKeyService.authenticate(rawKey, { ipAddress: req.ip })
+      .then(auth => ({ auth }), error => ({ error }));
+  }
+
+  return req.apiKeyCheck;
+};
+
+/**
+ * Global /api rate limit: requests with a valid API key count against that key's
+ * per-minute limit, all others (invalid keys included) against the per-IP limit
+ */
+const apiRateLimit = (ipLimiter) => async (req, res, next) => {
+  const check = await checkApiKey(req);
+
+  if (check?.auth) {
+    req.apiKey = check.auth.key;
+    return apiKeyLimiter(req, res, next);
+  }
+
+  ipLimiter(req, res, next);
+};
+
+/**
+ * Partner API key authentication, accepted alongside the user's access token.
+ * Requests with an X-API-Key header must present an active key holding `scope`
+ * (already rate limited per key by apiRateLimit); other requests go to
+ * `fallback` (authenticateToken by default).
+ */
+const authenticateApiKey = (scope, fallback = authenticateToken) => async (req, res, next) => {
+  const check = await checkApiKey(req);
+
+  if (!check) {
+    return fallback(req, res, next);
+  }
+
+  try {
+    if (check.error) {
+      throw check.error;
+    }
+
+    const { key, owner } = check.auth;
+
+    if (!apiKeyService.hasScope(key, scope)) {
+      return res.status(403).json({
+        error: 'Insufficient scope',
+        message: `This API key is missing the ${scope} scope`,
+        requiredScope: scope
+      });
+    }
+
+    // The key acts as its creator, with partner roles only (even for admins)
+    const ownerRole = permissionService.partnerRole(owner.role);
+
+    req.apiKey = key;
+    req.user = {
+      id: owner.id,
+      email: owner.email,
+      role: ownerRole,
+      permissions: permissionService.permissionsFor(ownerRole),
+      partnerId: owner.partner_company,
+      firstName: owner.first_name,
+      lastName: owner.last_name,
+      partnerName: owner.partner_company,
+      apiKeyId: key.id
+    };
+
+    next();
+  } catch (error) {
+    console.error('API key auth error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Authentication error',
+      message: error.message,
+      ...error.details
+    });
+  }
+};
+
 module.exports = {
   authenticateToken,
+  authenticateApiKey,
+  apiRateLimit,
   optionalAuth,
-  checkAdminStatus
+  requirePermission
 };
\ No newline at end of file
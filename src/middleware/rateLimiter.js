@@ -0,0 +1,45 @@
+const rateLimit = require('express-rate-limit');
+const apiKeyService = require('../services/apiKeyService');
+
+/**
+ * Build a rate limiter (per IP unless a keyGenerator is given) with the API's error response shape
+ */
+const createLimiter = ({ windowMs, max, message, keyGenerator }) => rateLimit({
+  windowMs,
+  max,
+  ...(keyGenerator && { keyGenerator }),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: {
+    error: 'Too many requests',
+    message
+  }
+});
+
+// Password reset endpoints: 5 attempts per 15 minutes per IP
+const forgotPasswordLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset requests, please try again later'
+});
+
+const resetPasswordLimiter = createLimiter({
+  windowMs: 15 * 60 * 1000,
+  max: 5,
+  message: 'Too many password reset attempts, please try again later'
+});
+
+// Partner API keys: each key's own requests-per-minute limit (set by authenticateApiKey)
+const apiKeyLimiter = createLimiter({
+  windowMs: 60 * 1000,
+  max: (req) => apiKeyService.rateLimitOf(req.apiKey),
+  keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+  message: 'API key rate limit exceeded, please slow down'
+});
+
+module.exports = {
+  createLimiter,
+  apiKeyLimiter,
+  forgotPasswordLimiter,
+  resetPasswordLimiter
+};
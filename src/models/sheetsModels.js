@@ -0,0 +1,208 @@
+/**
+ * Column layout of each sheet/table.
+ * Used to write header rows when a sheet is first created and to
+ * give every record the same shape regardless of storage backend.
+ */
+const SHEET_COLUMNS = {
+  Deals: [
+    'id',
+    'status',
+    'created_at',
+    'company_name',
+    'domain',
+    'partner_company',
+    'submitter_name',
+    'submitter_email',
+    'territory',
+    'customer_industry',
+    'customer_location',
+    'deal_stage',
+    'expected_close_date',
+    'deal_value',
+    'contract_type',
+    'primary_product',
+    'additional_notes',
+    'customer_legal_name',
+    'approver',
+    'reviewed_at',
+    'rejection_reason',
+    'conflict_status',
+    'merged_into',
+    'expires_at',
+    'reviewer',
+    'reviewer_assigned_at',
+    'reviewer_assigned_via',
+    'required_approvals',
+    'approvals',
+    'approval_rule_trail'
+  ],
+  Users: [
+    'id',
+    'email',
+    'first_name',
+    'last_name',
+    'partner_company',
+    'role',
+    'status',
+    'created_at',
+    'password_hash',
+    'email_verified_at',
+    'verification_token_hash',
+    'verification_expires_at',
+    'reset_token_hash',
+    'reset_expires_at',
+    'reset_requested_at',
+    'totp_secret',
+    'totp_pending_secret',
+    'totp_enabled_at',
+    'totp_last_step',
+    'totp_backup_codes',
+    'totp_challenge_id',
+    'totp_failed_attempts',
+    'totp_locked_until',
+    'last_login_at',
+    'deactivated_at',
+    'deactivated_by',
+    'deactivation_reason'
+  ],
+  Admins: [
+    'email',
+    'added_by',
+    'added_at',
+    'status',
+    'role',
+    'removed_by',
+    'removed_at',
+    'reactivated_by',
+    'reactivated_at'
+  ],
+  UserProfiles: [
+    'email',
+    'territory',
+    'company_description',
+    'company_size',
+    'website_url',
+    'company_name',
+    'created_at',
+    'updated_at',
+    'email_opt_outs'
+  ],
+  Audit_Log: [
+    'id',
+    'deal_id',
+    'user_email',
+    'action',
+    'timestamp',
+    'notes',
+    'field',
+    'old_value',
+    'new_value',
+    'subject_email'
+  ],
+  Duplicate_Resolutions: [
+    'id',
+    'deal_id',
+    'other_deal_id',
+    'resolution',
+    'winner_deal_id',
+    'resolved_by',
+    'resolved_at',
+    'notes'
+  ],
+  Extension_Requests: [
+    'id',
+    'deal_id',
+    'requested_by',
+    'requested_days',
+    'justification',
+    'status',
+    'requested_at',
+    'decided_by',
+    'decided_at',
+    'decision_notes',
+    'previous_expires_at',
+    'new_expires_at'
+  ],
+  Notifications: [
+    'id',
+    'recipient_email',
+    'type',
+    'deal_id',
+    'message',
+    'created_at',
+    'read_at'
+  ],
+  Sessions: [
+    'id',
+    'user_id',
+    'user_email',
+    'refresh_token_hash',
+    'previous_token_hash',
+    'created_at',
+    'last_used_at',
+    'expires_at',
+    'revoked_at',
+    'revoked_reason',
+    'user_agent',
+    'ip_address'
+  ],
+  Invitations: [
+    'id',
+    'email',
+    'partner_company',
+    'role',
+    'status',
+    'invited_by',
+    'created_at',
+    'expires_at',
+    'accepted_at',
+    'accepted_user_id',
+    'revoked_by',
+    'revoked_at'
+  ],
+  Partners: [
+    'id',
+    'name',
+    'email_domains',
+    'tier',
+    'status',
+    'territories',
+    'channel_manager_email',
+    'created_by',
+    'created_at',
+    'updated_at'
+  ],
+  Settings: [
+    'key',
+    'value',
+    'updated_by',
+    'updated_at'
+  ],
+  Api_Keys: [
+    'id',
+    'name',
+    'partner_company',
+    'scopes',
+    'key_hash',
+    'key_hint',
+    'rate_limit_per_minute',
+    'status',
+    'created_by',
+    'created_at',
+    'last_used_at',
+    'last_used_ip',
+    'revoked_by',
+    'revoked_at'
+  ],
+  Auth_Codes: [
+    'code_hash',
+    'user_id',
+    'created_at',
+    'expires_at',
+    'used_at'
+  ]
+};
+
+module.exports = {
+  SHEET_COLUMNS
+};
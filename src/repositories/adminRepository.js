@@ -0,0 +1,25 @@
+const BaseRepository = require('./baseRepository');
+const { normalizeEmail } = require('../utils/helpers');
+
+class AdminRepository extends BaseRepository {
+  constructor() {
+    super('Admins', 'email');
+  }
+
+  async findByEmail(email) {
+    const admins = await this.findAll();
+    return admins.find(admin => normalizeEmail(admin.email) === normalizeEmail(email)) || null;
+  }
+
+  async findActive() {
+    const admins = await this.findAll();
+    return admins.filter(admin => admin.status === 'active');
+  }
+
+  async isActiveAdmin(email) {
+    const admin = await this.findByEmail(email);
+    return Boolean(admin && admin.status === 'active');
+  }
+}
+
+module.exports = new AdminRepository();
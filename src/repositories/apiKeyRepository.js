@@ -0,0 +1,15 @@
+const BaseRepository = require('./baseRepository');
+
+class ApiKeyRepository extends BaseRepository {
+  constructor() {
+    super('Api_Keys');
+  }
+
+  async findByPartnerCompany(partnerCompany) {
+    const keys = await this.findAll();
+    const company = (partnerCompany || '').toLowerCase();
+    return keys.filter(key => (key.partner_company || '').toLowerCase() === company);
+  }
+}
+
+module.exports = new ApiKeyRepository();
@@ -0,0 +1,41 @@
+const BaseRepository = require('./baseRepository');
+const { generateId, getCurrentTimestamp } = require('../utils/helpers');
+
+class AuditLogRepository extends BaseRepository {
+  constructor() {
+    super('Audit_Log');
+  }
+
+  /**
+   * Append an audit entry; field changes also record the before/after values.
+   * subjectEmail names the account an entry is about when it is not the actor (e.g. admin changes).
+   */
+  async log({ dealId = '', userEmail, action, notes = '', field, oldValue, newValue, subjectEmail }) {
+    const entry = {
+      id: generateId(),
+      deal_id: dealId,
+      user_email: userEmail || 'system',
+      action,
+      timestamp: getCurrentTimestamp(),
+      notes
+    };
+
+    if (subjectEmail) {
+      entry.subject_email = subjectEmail;
+    }
+
+    if (field) {
+      entry.field = field;
+      entry.old_value = oldValue ?? '';
+      entry.new_value = newValue ?? '';
+    }
+
+    return this.create(entry);
+  }
+
+  async findByDeal(dealId) {
+    return this.findBy('deal_id', dealId);
+  }
+}
+
+module.exports = new AuditLogRepository();
@@ -0,0 +1,9 @@
+const BaseRepository = require('./baseRepository');
+
+class AuthCodeRepository extends BaseRepository {
+  constructor() {
+    super('Auth_Codes', 'code_hash');
+  }
+}
+
+module.exports = new AuthCodeRepository();
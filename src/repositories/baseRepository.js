@@ -0,0 +1,62 @@
+const { getStore } = require('./stores');
+
+/**
+ * Generic table access shared by all repositories.
+ * Records are plain objects keyed by column name.
+ */
+class BaseRepository {
+  constructor(table, keyColumn = 'id') {
+    this.table = table;
+    this.keyColumn = keyColumn;
+  }
+
+  get store() {
+    return getStore();
+  }
+
+  async findAll() {
+    return this.store.list(this.table);
+  }
+
+  async findBy(column, value) {
+    const records = await this.findAll();
+    return records.filter(record => record[column] === value);
+  }
+
+  async findOneBy(column, value) {
+    const records = await this.findAll();
+    return records.find(record => record[column] === value) || null;
+  }
+
+  async findById(id) {
+    return this.findOneBy(this.keyColumn, id);
+  }
+
+  async create(record) {
+    await this.store.insert(this.table, record);
+    return record;
+  }
+
+  async update(id, changes) {
+    return this.store.update(this.table, this.keyColumn, id, changes);
+  }
+
+  /**
+   * Apply several updates in one write
+   * @param {Array<{id, changes}>} updates
+   * @returns {Array<Object|null>} - updated records in the same order (null when not found)
+   */
+  async updateMany(updates) {
+    if (updates.length === 0) {
+      return [];
+    }
+
+    return this.store.updateMany(
+      this.table,
+      this.keyColumn,
+      updates.map(({ id, changes }) => ({ keyValue: id, changes }))
+    );
+  }
+}
+
+module.exports = BaseRepository;
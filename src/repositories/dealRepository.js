@@ -0,0 +1,26 @@
+const BaseRepository = require('./baseRepository');
+const { generateId, getCurrentTimestamp } = require('../utils/helpers');
+
+class DealRepository extends BaseRepository {
+  constructor() {
+    super('Deals');
+  }
+
+  /**
+   * Create a deal, filling in id, status and created_at when not provided
+   */
+  async create(deal) {
+    return super.create({
+      id: generateId(),
+      status: 'submitted',
+      created_at: getCurrentTimestamp(),
+      ...deal
+    });
+  }
+
+  async findBySubmitter(email) {
+    return this.findBy('submitter_email', email);
+  }
+}
+
+module.exports = new DealRepository();
@@ -0,0 +1,38 @@
+const BaseRepository = require('./baseRepository');
+const { generateId, getCurrentTimestamp } = require('../utils/helpers');
+
+class DuplicateResolutionRepository extends BaseRepository {
+  constructor() {
+    super('Duplicate_Resolutions');
+  }
+
+  /**
+   * Record an admin decision about a pair of deals
+   */
+  async record({ dealId, otherDealId, resolution, winnerDealId = '', resolvedBy, notes = '' }) {
+    return this.create({
+      id: generateId(),
+      deal_id: dealId,
+      other_deal_id: otherDealId,
+      resolution,
+      winner_deal_id: winnerDealId,
+      resolved_by: resolvedBy,
+      resolved_at: getCurrentTimestamp(),
+      notes
+    });
+  }
+
+  /**
+   * Set of "dealA|dealB" keys (sorted ids) for pairs marked as not duplicates
+   */
+  async getNotDuplicatePairKeys() {
+    const resolutions = await this.findBy('resolution', 'not_duplicate');
+    return new Set(resolutions.map(resolution => this.pairKey(resolution.deal_id, resolution.other_deal_id)));
+  }
+
+  pairKey(dealId, otherDealId) {
+    return [dealId, otherDealId].sort().join('|');
+  }
+}
+
+module.exports = new DuplicateResolutionRepository();
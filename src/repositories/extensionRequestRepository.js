@@ -0,0 +1,18 @@
+const BaseRepository = require('./baseRepository');
+
+class ExtensionRequestRepository extends BaseRepository {
+  constructor() {
+    super('Extension_Requests');
+  }
+
+  async findByDeal(dealId) {
+    return this.findBy('deal_id', dealId);
+  }
+
+  async findPendingForDeal(dealId) {
+    const requests = await this.findByDeal(dealId);
+    return requests.find(request => request.status === 'pending') || null;
+  }
+}
+
+module.exports = new ExtensionRequestRepository();
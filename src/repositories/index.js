@@ -0,0 +1,31 @@
+const dealRepository = require('./dealRepository');
+const userRepository = require('./userRepository');
+const adminRepository = require('./adminRepository');
+const userProfileRepository = require('./userProfileRepository');
+const auditLogRepository = require('./auditLogRepository');
+const duplicateResolutionRepository = require('./duplicateResolutionRepository');
+const notificationRepository = require('./notificationRepository');
+const extensionRequestRepository = require('./extensionRequestRepository');
+const sessionRepository = require('./sessionRepository');
+const invitationRepository = require('./invitationRepository');
+const partnerRepository = require('./partnerRepository');
+const settingsRepository = require('./settingsRepository');
+const apiKeyRepository = require('./apiKeyRepository');
+const authCodeRepository = require('./authCodeRepository');
+
+module.exports = {
+  dealRepository,
+  userRepository,
+  adminRepository,
+  userProfileRepository,
+  auditLogRepository,
+  duplicateResolutionRepository,
+  notificationRepository,
+  extensionRequestRepository,
+  sessionRepository,
+  invitationRepository,
+  partnerRepository,
+  settingsRepository,
+  apiKeyRepository,
+  authCodeRepository
+};
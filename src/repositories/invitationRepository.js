@@ -0,0 +1,20 @@
+const BaseRepository = require('./baseRepository');
+const { normalizeEmail } = require('../utils/helpers');
+
+class InvitationRepository extends BaseRepository {
+  constructor() {
+    super('Invitations');
+  }
+
+  async findByEmail(email) {
+    const invitations = await this.findAll();
+    return invitations.filter(invitation => normalizeEmail(invitation.email) === normalizeEmail(email));
+  }
+
+  async findPendingByEmail(email) {
+    const invitations = await this.findByEmail(email);
+    return invitations.find(invitation => invitation.status === 'pending') || null;
+  }
+}
+
+module.exports = new InvitationRepository();
@@ -0,0 +1,26 @@
+const BaseRepository = require('./baseRepository');
+const { generateId, getCurrentTimestamp, normalizeEmail } = require('../utils/helpers');
+
+class NotificationRepository extends BaseRepository {
+  constructor() {
+    super('Notifications');
+  }
+
+  async add({ recipientEmail, type, dealId = '', message }) {
+    return this.create({
+      id: generateId(),
+      recipient_email: normalizeEmail(recipientEmail),
+      type,
+      deal_id: dealId,
+      message,
+      created_at: getCurrentTimestamp(),
+      read_at: ''
+    });
+  }
+
+  async findByRecipient(email) {
+    return this.findBy('recipient_email', normalizeEmail(email));
+  }
+}
+
+module.exports = new NotificationRepository();
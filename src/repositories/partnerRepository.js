@@ -0,0 +1,41 @@
+const BaseRepository = require('./baseRepository');
+
+const normalizeName = (name) => (name || '').trim().toLowerCase();
+
+/**
+ * Split a comma separated sheet cell into trimmed lower-case values
+ */
+const splitList = (value) => (value || '').split(',').map(item => item.trim().toLowerCase()).filter(Boolean);
+
+class PartnerRepository extends BaseRepository {
+  constructor() {
+    super('Partners');
+  }
+
+  async findByName(name) {
+    const partners = await this.findAll();
+    return partners.find(partner => normalizeName(partner.name) === normalizeName(name)) || null;
+  }
+
+  /**
+   * Partner owning an email domain (exact domain or a parent domain)
+   */
+  async findByDomain(domain) {
+    const normalizedDomain = (domain || '').trim().toLowerCase();
+    if (!normalizedDomain) {
+      return null;
+    }
+
+    const partners = await this.findAll();
+    return partners.find(partner => splitList(partner.email_domains).some(partnerDomain => (
+      normalizedDomain === partnerDomain || normalizedDomain.endsWith(`.${partnerDomain}`)
+    ))) || null;
+  }
+
+  async findActive() {
+    const partners = await this.findAll();
+    return partners.filter(partner => partner.status === 'active');
+  }
+}
+
+module.exports = new PartnerRepository();
@@ -0,0 +1,23 @@
+const BaseRepository = require('./baseRepository');
+
+class SessionRepository extends BaseRepository {
+  constructor() {
+    super('Sessions');
+  }
+
+  async findByUser(userId) {
+    return this.findBy('user_id', userId);
+  }
+
+  /**
+   * Sessions of a user that are neither revoked nor expired
+   */
+  async findActiveByUser(userId, now = new Date()) {
+    const sessions = await this.findByUser(userId);
+    return sessions.filter(session => (
+      !session.revoked_at && new Date(session.expires_at).getTime() > now.getTime()
+    ));
+  }
+}
+
+module.exports = new SessionRepository();
@@ -0,0 +1,9 @@
+const BaseRepository = require('./baseRepository');
+
+class SettingsRepository extends BaseRepository {
+  constructor() {
+    super('Settings', 'key');
+  }
+}
+
+module.exports = new SettingsRepository();
@@ -0,0 +1,126 @@
+const fs = require('fs');
+const path = require('path');
+const { SHEET_COLUMNS } = require('../../models/sheetsModels');
+
+/**
+ * Cell values come back from Google Sheets as strings, so the file
+ * backend stores them the same way to keep both backends interchangeable
+ */
+const toCell = (value) => (value === undefined || value === null ? '' : String(value));
+
+/**
+ * Storage backend that keeps every table in a single local JSON file.
+ * Use ':memory:' as the file path to keep data in-process (tests, offline demos).
+ */
+class FileStore {
+  constructor(filePath) {
+    this.name = 'file';
+    this.filePath = filePath;
+    this.inMemory = filePath === ':memory:';
+    this.tables = null;
+  }
+
+  load() {
+    if (this.tables) {
+      return this.tables;
+    }
+
+    this.tables = {};
+    if (!this.inMemory && fs.existsSync(this.filePath)) {
+      this.tables = JSON.parse(fs.readFileSync(this.filePath, 'utf8') || '{}');
+    }
+
+    return this.tables;
+  }
+
+  async save() {
+    if (this.inMemory) {
+      return;
+    }
+
+    await fs.promises.mkdir(path.dirname(this.filePath), { recursive: true });
+    await fs.promises.writeFile(this.filePath, JSON.stringify(this.tables, null, 2));
+  }
+
+  /**
+   * Shape a stored record like a sheet row: every known column present
+   */
+  toRecord(table, row) {
+    const record = {};
+    (SHEET_COLUMNS[table] || []).forEach(column => {
+      record[column] = '';
+    });
+    return Object.assign(record, row);
+  }
+
+  /**
+   * Get all records of a table as objects
+   */
+  async list(table) {
+    const rows = this.load()[table] || [];
+    return rows.map(row => this.toRecord(table, row));
+  }
+
+  /**
+   * Append a record to a table
+   */
+  async insert(table, record) {
+    const tables = this.load();
+    const row = {};
+    Object.keys(record).forEach(key => {
+      row[key] = toCell(record[key]);
+    });
+
+    tables[table] = tables[table] || [];
+    tables[table].push(row);
+    await this.save();
+
+    return record;
+  }
+
+  /**
+   * Merge changes into the first record whose keyColumn equals keyValue
+   */
+  async update(table, keyColumn, keyValue, changes) {
+    const rows = this.load()[table] || [];
+    const row = rows.find(existing => existing[keyColumn] === keyValue);
+
+    if (!row) {
+      return null;
+    }
+
+    Object.keys(changes).forEach(key => {
+      row[key] = toCell(changes[key]);
+    });
+    await this.save();
+
+    return this.toRecord(table, row);
+  }
+
+  /**
+   * Apply several { keyValue, changes } updates and save once
+   */
+  async updateMany(table, keyColumn, updates) {
+    const rows = this.load()[table] || [];
+
+    const results = updates.map(({ keyValue, changes }) => {
+      const row = rows.find(existing => existing[keyColumn] === keyValue);
+
+      if (!row) {
+        return null;
+      }
+
+      Object.keys(changes).forEach(key => {
+        row[key] = toCell(changes[key]);
+      });
+
+      return this.toRecord(table, row);
+    });
+
+    await this.save();
+
+    return results;
+  }
+}
+
+module.exports = FileStore;
@@ -0,0 +1,39 @@
+const storageConfig = require('../../config/storage');
+const SheetsStore = require('./sheetsStore');
+const FileStore = require('./fileStore');
+
+let store = null;
+
+/**
+ * Get the storage backend selected by STORAGE_BACKEND
+ */
+const getStore = () => {
+  if (!store) {
+    switch (storageConfig.backend) {
+      case 'sheets':
+        store = new SheetsStore();
+        break;
+      case 'file':
+        store = new FileStore(storageConfig.filePath);
+        break;
+      default:
+        throw new Error(`Unknown storage backend '${storageConfig.backend}'`);
+    }
+  }
+
+  return store;
+};
+
+/**
+ * Replace the active storage backend (e.g. an in-memory FileStore in tests)
+ */
+const setStore = (newStore) => {
+  store = newStore;
+};
+
+module.exports = {
+  getStore,
+  setStore,
+  SheetsStore,
+  FileStore
+};
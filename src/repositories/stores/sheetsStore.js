@@ -0,0 +1,159 @@
+const googleSheetsService = require('../../services/googleSheetsService');
+const { SHEET_COLUMNS } = require('../../models/sheetsModels');
+
+/**
+ * Google Sheets errors raised when the requested sheet (tab) does not exist
+ */
+const isMissingSheetError = (error) => /Unable to parse range/i.test(error?.message || '');
+
+/**
+ * Storage backend that keeps each table in a sheet of the configured spreadsheet.
+ * The first row of every sheet holds the column names.
+ */
+class SheetsStore {
+  constructor() {
+    this.name = 'sheets';
+  }
+
+  /**
+   * Get all records of a table as objects
+   */
+  async list(table) {
+    try {
+      return await googleSheetsService.getAllRows(table);
+    } catch (error) {
+      if (isMissingSheetError(error)) {
+        return [];
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Read the header row, creating the sheet and its headers when missing
+   */
+  async ensureHeaders(table, record) {
+    let headerData = [];
+    try {
+      headerData = await googleSheetsService.getSheetData(table, '1:1');
+    } catch (error) {
+      if (!isMissingSheetError(error)) {
+        throw error;
+      }
+      await googleSheetsService.createSheet(table);
+    }
+
+    let headers = headerData[0] || [];
+
+    if (headers.length === 0) {
+      headers = [...(SHEET_COLUMNS[table] || Object.keys(record))];
+      await googleSheetsService.appendToSheet(table, headers);
+    }
+
+    // Extend header row with any new columns
+    const newColumns = Object.keys(record).filter(key => !headers.includes(key));
+    if (newColumns.length > 0) {
+      headers = [...headers, ...newColumns];
+      await googleSheetsService.updateRow(table, 1, headers);
+    }
+
+    return headers;
+  }
+
+  /**
+   * Append a record, mapping its fields onto the sheet's columns
+   */
+  async insert(table, record) {
+    const headers = await this.ensureHeaders(table, record);
+    const values = headers.map(header => record[header] ?? '');
+
+    await googleSheetsService.appendToSheet(table, values);
+    return record;
+  }
+
+  /**
+   * Merge changes into the first record whose keyColumn equals keyValue
+   */
+  async update(table, keyColumn, keyValue, changes) {
+    try {
+      return await googleSheetsService.updateRowByValue(table, keyColumn, keyValue, changes);
+    } catch (error) {
+      if (isMissingSheetError(error)) {
+        return null;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Apply several { keyValue, changes } updates: the sheet is read once and
+   * every changed row is written in a single batchUpdate call
+   */
+  async updateMany(table, keyColumn, updates) {
+    let data = [];
+    try {
+      data = await googleSheetsService.getSheetData(table);
+    } catch (error) {
+      if (!isMissingSheetError(error)) {
+        throw error;
+      }
+    }
+
+    if (data.length === 0) {
+      return updates.map(() => null);
+    }
+
+    const headers = [...data[0]];
+    const columnIndex = headers.indexOf(keyColumn);
+
+    if (columnIndex === -1) {
+      throw new Error(`Column '${keyColumn}' not found in sheet '${table}'`);
+    }
+
+    // Extend header row with any new columns
+    const newColumns = [...new Set(updates.flatMap(({ changes }) => Object.keys(changes)))]
+      .filter(key => !headers.includes(key));
+    if (newColumns.length > 0) {
+      headers.push(...newColumns);
+      await googleSheetsService.updateRow(table, 1, headers);
+    }
+
+    const changedRows = new Map();
+
+    const results = updates.map(({ keyValue, changes }) => {
+      const dataIndex = data.findIndex((row, i) => i > 0 && row[columnIndex] === keyValue);
+
+      if (dataIndex === -1) {
+        return null;
+      }
+
+      const values = headers.map((header, index) => (
+        Object.prototype.hasOwnProperty.call(changes, header)
+          ? changes[header]
+          : data[dataIndex][index] ?? ''
+      ));
+
+      // Later updates of the same row build on earlier ones
+      data[dataIndex] = values;
+      changedRows.set(dataIndex, values);
+
+      const record = {};
+      headers.forEach((header, index) => {
+        record[header] = values[index] ?? '';
+      });
+      return record;
+    });
+
+    if (changedRows.size > 0) {
+      // Sheet rows are 1-based
+      await googleSheetsService.batchUpdate([...changedRows].map(([dataIndex, values]) => ({
+        range: `${table}!${dataIndex + 1}:${dataIndex + 1}`,
+        values: [values]
+      })));
+    }
+
+    return results;
+  }
+}
+
+module.exports = SheetsStore;
@@ -0,0 +1,34 @@
+const BaseRepository = require('./baseRepository');
+const { getCurrentTimestamp, normalizeEmail } = require('../utils/helpers');
+
+class UserProfileRepository extends BaseRepository {
+  constructor() {
+    super('UserProfiles', 'email');
+  }
+
+  async findByEmail(email) {
+    const profiles = await this.findAll();
+    return profiles.find(profile => normalizeEmail(profile.email) === normalizeEmail(email)) || null;
+  }
+
+  /**
+   * Create the user's profile or merge changes into the existing one
+   */
+  async upsert(email, changes) {
+    const currentTime = getCurrentTimestamp();
+    const existing = await this.findByEmail(email);
+
+    if (existing) {
+      return this.update(existing.email, { ...changes, updated_at: currentTime });
+    }
+
+    return this.create({
+      email,
+      ...changes,
+      created_at: currentTime,
+      updated_at: currentTime
+    });
+  }
+}
+
+module.exports = new UserProfileRepository();
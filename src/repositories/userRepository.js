@@ -0,0 +1,15 @@
+const BaseRepository = require('./baseRepository');
+const { normalizeEmail } = require('../utils/helpers');
+
+class UserRepository extends BaseRepository {
+  constructor() {
+    super('Users');
+  }
+
+  async findByEmail(email) {
+    const users = await this.findAll();
+    return users.find(user => normalizeEmail(user.email) === normalizeEmail(email)) || null;
+  }
+}
+
+module.exports = new UserRepository();
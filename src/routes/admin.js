@@ -1,6 +1,25 @@
 const express = require('express');
-const { authenticateToken } = require('../middleware/auth');
-const googleSheetsService = require('../services/googleSheetsService');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+const {
+  dealRepository,
+  userRepository,
+  adminRepository,
+  userProfileRepository,
+  extensionRequestRepository
+} = require('../repositories');
+const dealStatusService = require('../services/dealStatusService');
+const bulkReviewService = require('../services/bulkReviewService');
+const approvalRulesService = require('../services/approvalRulesService');
+const reviewerAssignmentService = require('../services/reviewerAssignmentService');
+const dealQueryService = require('../services/dealQueryService');
+const registrationExpiryService = require('../services/registrationExpiryService');
+const auditService = require('../services/auditService');
+const emailService = require('../services/emailService');
+const invitationService = require('../services/invitationService');
+const settingsService = require('../services/settingsService');
+const userManagementService = require('../services/userManagementService');
+const adminService = require('../services/adminService');
+const permissionService = require('../services/permissionService');
 
 const router = express.Router();
 
@@ -11,28 +30,28 @@ const router = express.Router();
 router.get('/debug-user', authenticateToken, async (req, res) => {
   try {
     // Get admins data for comparison
-    let adminsData = [];
+    let admins = [];
     try {
-      adminsData = await googleSheetsService.getSheetData('Admins');
+      admins = await adminRepository.findAll();
     } catch (error) {
-      adminsData = [];
+      admins = [];
     }
 
     res.json({
       currentUser: {
         email: req.user?.email,
         role: req.user?.role,
-        isAdmin: req.user?.role === 'admin',
+        isAdmin: permissionService.isInternalRole(req.user?.role),
+        permissions: req.user?.permissions,
         firstName: req.user?.firstName,
         lastName: req.user?.lastName
       },
       adminsSheet: {
-        exists: adminsData.length > 0,
-        headers: adminsData.length > 0 ? adminsData[0] : [],
-        adminEmails: adminsData.slice(1).map(row => ({
-          email: row[0],
-          status: row[3],
-          matches: row[0]?.toLowerCase() === req.user?.email?.toLowerCase()
+        exists: admins.length > 0,
+        adminEmails: admins.map(admin => ({
+          email: admin.email,
+          status: admin.status,
+          matches: admin.email?.toLowerCase() === req.user?.email?.toLowerCase()
         }))
       },
       message: 'Debug info for current user and admin sheet'
@@ -56,47 +75,29 @@ router.get('/test', (req, res) => {
 /**
  * @route GET /api/v1/admin/profile/deals
  * @desc Get current user's own deals only (for profile page)
+ * @query {status, q, minValue, maxValue, createdFrom, createdTo, closeFrom, closeTo, sort, order, limit, offset, cursor}
  */
 router.get('/profile/deals', authenticateToken, async (req, res) => {
   try {
-    const deals = await googleSheetsService.getSheetData('Deals');
-    
-    if (!deals || deals.length <= 1) {
-      return res.json({
-        deals: [],
-        total: 0,
-        message: 'No deals found'
-      });
-    }
-
-    const headers = deals[0];
-    const userDeals = [];
-    const submitterEmailIndex = headers.indexOf('submitter_email');
+    const options = dealQueryService.parseOptions(req.query);
 
     // Only include deals submitted by the current user (regardless of admin status)
-    for (let i = 1; i < deals.length; i++) {
-      const deal = {};
-      headers.forEach((header, index) => {
-        deal[header] = deals[i][index] || '';
-      });
-      
-      // Filter by submitter email - only user's own deals
-      if (deal.submitter_email === req.user?.email) {
-        userDeals.push(deal);
-      }
-    }
+    const userDeals = await dealRepository.findBySubmitter(req.user?.email);
+    const result = dealQueryService.query(userDeals, options);
 
     res.json({
-      deals: userDeals,
-      total: userDeals.length,
+      deals: result.deals,
+      total: result.total,
+      pagination: result.pagination,
       user_email: req.user?.email
     });
 
   } catch (error) {
     console.error('Error loading user deals:', error);
-    res.status(500).json({
-      error: 'Failed to load user deals',
-      message: error.message
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load user deals',
+      message: error.message,
+      ...error.details
     });
   }
 });
@@ -108,55 +109,21 @@ router.get('/profile/deals', authenticateToken, async (req, res) => {
 router.get('/profile', authenticateToken, async (req, res) => {
   try {
     // Get base user data from Users sheet
-    let usersData = [];
+    let userData = null;
     try {
-      usersData = await googleSheetsService.getSheetData('Users');
+      userData = await userRepository.findByEmail(req.user?.email);
     } catch (error) {
       console.log('Users sheet not found or empty');
     }
 
     // Get additional profile data from UserProfiles sheet
-    let profilesData = [];
+    let profileData = null;
     try {
-      profilesData = await googleSheetsService.getSheetData('UserProfiles');
+      profileData = await userProfileRepository.findByEmail(req.user?.email);
     } catch (error) {
       console.log('UserProfiles sheet not found or empty');
     }
 
-    // Find user's base data
-    let userData = null;
-    if (usersData && usersData.length > 1) {
-      const headers = usersData[0];
-      const emailIndex = headers.indexOf('email');
-      
-      for (let i = 1; i < usersData.length; i++) {
-        if (usersData[i][emailIndex] === req.user?.email) {
-          userData = {};
-          headers.forEach((header, index) => {
-            userData[header] = usersData[i][index] || '';
-          });
-          break;
-        }
-      }
-    }
-
-    // Find user's profile data
-    let profileData = null;
-    if (profilesData && profilesData.length > 1) {
-      const headers = profilesData[0];
-      const emailIndex = headers.indexOf('email');
-      
-      for (let i = 1; i < profilesData.length; i++) {
-        if (profilesData[i][emailIndex] === req.user?.email) {
-          profileData = {};
-          headers.forEach((header, index) => {
-            profileData[header] = profilesData[i][index] || '';
-          });
-          break;
-        }
-      }
-    }
-
     // Merge data with defaults
     const profile = {
       // From authentication (non-editable)
@@ -173,11 +140,13 @@ router.get('/profile', authenticateToken, async (req, res) => {
       company_description: profileData?.company_description || '',
       company_size: profileData?.company_size || '',
       website_url: profileData?.website_url || '',
+      email_opt_outs: (profileData?.email_opt_outs || '').split(',').filter(Boolean),
       updated_at: profileData?.updated_at || null
     };
 
     res.json({
       profile: profile,
+      emailTypes: emailService.optionalTypes,
       sources: {
         userData: userData ? 'found' : 'not_found',
         profileData: profileData ? 'found' : 'not_found'
@@ -196,69 +165,65 @@ router.get('/profile', authenticateToken, async (req, res) => {
 /**
  * @route PUT /api/v1/admin/profile
  * @desc Update current user's profile data (to UserProfiles sheet)
+ * @body {territory, company_description, company_size, website_url, company, email_opt_outs}
+ * email_opt_outs: email types to stop receiving ('all' for every optional email), omit to keep
  */
 router.put('/profile', authenticateToken, async (req, res) => {
   try {
-    const { territory, company_description, company_size, website_url, company } = req.body;
-    const currentTime = googleSheetsService.getCurrentTimestamp();
+    const { territory, company_description, company_size, website_url, company, email_opt_outs } = req.body;
 
-    // Check if UserProfiles sheet exists, if not create headers
-    let profilesData = [];
-    try {
-      profilesData = await googleSheetsService.getSheetData('UserProfiles');
-    } catch (error) {
-      // Sheet might not exist, we'll create it
-    }
+    let optOuts;
+    if (email_opt_outs !== undefined) {
+      optOuts = (Array.isArray(email_opt_outs) ? email_opt_outs : String(email_opt_outs || '').split(','))
+        .map(type => String(type).trim())
+        .filter(Boolean);
 
-    // If sheet is empty or doesn't exist, add headers
-    if (!profilesData || profilesData.length === 0) {
-      const headers = ['email', 'territory', 'company_description', 'company_size', 'website_url', 'company_name', 'created_at', 'updated_at'];
-      await googleSheetsService.appendToSheet('UserProfiles', headers);
-      profilesData = [headers];
-    }
+      const validTypes = ['all', ...emailService.optionalTypes];
+      const invalidTypes = optOuts.filter(type => !validTypes.includes(type));
 
-    const headers = profilesData[0];
-    const emailIndex = headers.indexOf('email');
-    
-    // Check if user profile already exists
-    let profileExists = false;
-    for (let i = 1; i < profilesData.length; i++) {
-      if (profilesData[i][emailIndex] === req.user?.email) {
-        profileExists = true;
-        break;
+      if (invalidTypes.length > 0) {
+        return res.status(400).json({
+          error: 'Invalid email types',
+          invalidTypes: invalidTypes,
+          validTypes: validTypes
+        });
       }
     }
 
-    if (profileExists) {
-      // Profile exists - would need updateRow functionality
-      // For now, we'll return a success message noting the limitation
+    const existingProfile = await userProfileRepository.findByEmail(req.user?.email);
+    const profileChanges = {
+      territory: territory || '',
+      company_description: company_description || '',
+      company_size: company_size || '',
+      website_url: website_url || '',
+      company_name: company || ''
+    };
+    if (optOuts) {
+      profileChanges.email_opt_outs = [...new Set(optOuts)].join(',');
+    }
+
+    const profile = await userProfileRepository.upsert(req.user?.email, profileChanges);
+
+    await auditService.logChanges({
+      action: 'profile_updated',
+      userEmail: req.user?.email,
+      before: existingProfile || {},
+      after: profileChanges
+    });
+
+    if (existingProfile) {
       res.json({
-        message: 'Profile update noted',
+        message: 'Profile updated successfully',
         email: req.user?.email,
-        updates: { territory, company_description, company_size, website_url, company_name: company },
-        updated_at: currentTime,
-        note: 'Profile update recorded (Google Sheets row update pending implementation)'
+        updates: { territory, company_description, company_size, website_url, company_name: company, email_opt_outs: optOuts },
+        updated_at: profile.updated_at
       });
     } else {
-      // Profile doesn't exist - create new row
-      const newProfileData = [
-        req.user?.email || '',           // email
-        territory || '',                 // territory
-        company_description || '',       // company_description
-        company_size || '',             // company_size  
-        website_url || '',              // website_url
-        company || '',                  // company_name
-        currentTime,                    // created_at
-        currentTime                     // updated_at
-      ];
-
-      await googleSheetsService.appendToSheet('UserProfiles', newProfileData);
-
       res.json({
         message: 'Profile created successfully',
         email: req.user?.email,
-        profile: { territory, company_description, company_size, website_url, company_name: company },
-        created_at: currentTime
+        profile: { territory, company_description, company_size, website_url, company_name: company, email_opt_outs: optOuts },
+        created_at: profile.created_at
       });
     }
 
@@ -274,89 +239,148 @@ router.put('/profile', authenticateToken, async (req, res) => {
 /**
  * @route GET /api/v1/admin/pending-deals
  * @desc Get all pending deals for approval
+ * @query {reviewer, status, partner, q, minValue, maxValue, createdFrom, createdTo, closeFrom, closeTo, sort, order, limit, offset, cursor}
+ *   - reviewer: an assigned reviewer's email, or 'unassigned'
  */
-router.get('/pending-deals', authenticateToken, async (req, res) => {
+router.get('/pending-deals', authenticateToken, requirePermission('deals:view_all'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin privileges required'
-      });
-    }
+    const options = dealQueryService.parseOptions(req.query);
+    const deals = await dealRepository.findAll();
 
-    const deals = await googleSheetsService.getSheetData('Deals');
-    
-    if (!deals || deals.length <= 1) {
-      return res.json({
-        deals: [],
-        total: 0,
-        message: 'No pending deals found'
-      });
-    }
+    // Only include deals that need approval; a status filter narrows within these
+    const pendingDeals = deals
+      .filter(deal => reviewerAssignmentService.isQueued(deal))
+      .filter(deal => !req.query.reviewer || reviewerAssignmentService.isAssignedTo(deal, req.query.reviewer));
 
-    const headers = deals[0];
-    const pendingDeals = [];
-
-    // Process deals and filter for pending status
-    for (let i = 1; i < deals.length; i++) {
-      const deal = {};
-      headers.forEach((header, index) => {
-        deal[header] = deals[i][index] || '';
-      });
-      
-      // Only include deals that need approval
-      if (deal.status && ['submitted', 'pending', 'under_review'].includes(deal.status.toLowerCase())) {
-        pendingDeals.push(deal);
-      }
-    }
+    const result = dealQueryService.query(pendingDeals, options);
 
     res.json({
-      deals: pendingDeals,
-      total: pendingDeals.length
+      deals: result.deals.map(deal => ({ ...deal, approval: approvalRulesService.describe(deal) })),
+      total: result.total,
+      pagination: result.pagination
     });
 
   } catch (error) {
     console.error('Error loading pending deals:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load pending deals',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/my-queue
+ * @desc Pending deals assigned to the current reviewer
+ * @query {status, partner, q, minValue, maxValue, createdFrom, createdTo, closeFrom, closeTo, sort, order, limit, offset, cursor}
+ */
+router.get('/my-queue', authenticateToken, requirePermission('deals:approve'), async (req, res) => {
+  try {
+    const options = dealQueryService.parseOptions(req.query);
+    const queue = await reviewerAssignmentService.queueFor(req.user.email);
+
+    const result = dealQueryService.query(queue, options);
+
+    res.json({
+      reviewer: req.user.email,
+      deals: result.deals.map(deal => ({ ...deal, approval: approvalRulesService.describe(deal) })),
+      total: result.total,
+      pagination: result.pagination
+    });
+
+  } catch (error) {
+    console.error('Error loading review queue:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load review queue',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/reviewers/workload
+ * @desc Pending deals per reviewer (busiest first) and the unassigned backlog
+ */
+router.get('/reviewers/workload', authenticateToken, requirePermission('deals:view_all'), async (req, res) => {
+  try {
+    res.json(await reviewerAssignmentService.workload());
+
+  } catch (error) {
+    console.error('Error loading reviewer workload:', error);
     res.status(500).json({
-      error: 'Failed to load pending deals',
+      error: 'Failed to load reviewer workload',
       message: error.message
     });
   }
 });
 
 /**
- * @route POST /api/v1/admin/deals/:id/approve
- * @desc Approve a deal
+ * @route POST /api/v1/admin/deals/:id/reviewer
+ * @desc Assign or reassign a deal's reviewer
+ * @body {reviewer, notes}
  */
-router.post('/deals/:id/approve', authenticateToken, async (req, res) => {
+router.post('/deals/:id/reviewer', authenticateToken, requirePermission('deals:approve'), async (req, res) => {
   try {
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin privileges required'
-      });
-    }
+    const { id } = req.params;
+    const { reviewer, notes } = req.body;
 
+    const result = await reviewerAssignmentService.assign(id, reviewer, {
+      actor: req.user.email,
+      notes
+    });
+
+    res.json({
+      message: 'Reviewer assigned',
+      dealId: id,
+      previousReviewer: result.previousReviewer,
+      reviewer: result.reviewer,
+      deal: result.deal
+    });
+
+  } catch (error) {
+    console.error('Error assigning reviewer:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to assign reviewer',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/deals/:id/approve
+ * @desc Approve a deal; deals needing several approvals (approval rules) stay under review until the last one
+ */
+router.post('/deals/:id/approve', authenticateToken, requirePermission('deals:approve'), async (req, res) => {
+  try {
     const { id } = req.params;
     const { approver_name } = req.body;
 
-    // For now, return success message
-    // TODO: Implement actual Google Sheets update when updateRow is available
+    const result = await dealStatusService.review(id, 'approved', {
+      actor: req.user?.email
+    });
+
     res.json({
-      message: 'Deal approved successfully',
+      message: result.pendingApprovals > 0
+        ? `Approval recorded; ${result.pendingApprovals} more approval(s) required`
+        : 'Deal approved successfully',
       dealId: id,
-      status: 'approved',
-      approver: approver_name,
-      approved_at: new Date().toISOString(),
-      note: 'Deal approval recorded (Google Sheets update pending implementation)'
+      status: result.status,
+      approver: req.user?.email,
+      approver_name: approver_name,
+      approved_at: result.deal?.reviewed_at,
+      pendingApprovals: result.pendingApprovals,
+      deal: result.deal
     });
 
   } catch (error) {
     console.error('Error approving deal:', error);
-    res.status(500).json({
-      error: 'Failed to approve deal',
-      message: error.message
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to approve deal',
+      message: error.message,
+      ...error.details
     });
   }
 });
@@ -365,198 +389,681 @@ router.post('/deals/:id/approve', authenticateToken, async (req, res) => {
  * @route POST /api/v1/admin/deals/:id/reject
  * @desc Reject a deal
  */
-router.post('/deals/:id/reject', authenticateToken, async (req, res) => {
+router.post('/deals/:id/reject', authenticateToken, requirePermission('deals:approve'), async (req, res) => {
   try {
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin privileges required'
-      });
-    }
-
     const { id } = req.params;
     const { approver_name, rejection_reason } = req.body;
 
-    // For now, return success message
-    // TODO: Implement actual Google Sheets update when updateRow is available
+    const result = await dealStatusService.review(id, 'rejected', {
+      actor: req.user?.email,
+      rejectionReason: rejection_reason
+    });
+
     res.json({
       message: 'Deal rejected successfully',
       dealId: id,
-      status: 'rejected',
-      approver: approver_name,
+      status: result.status,
+      approver: req.user?.email,
+      approver_name: approver_name,
       rejection_reason: rejection_reason,
-      rejected_at: new Date().toISOString(),
-      note: 'Deal rejection recorded (Google Sheets update pending implementation)'
+      rejected_at: result.deal?.reviewed_at,
+      deal: result.deal
     });
 
   } catch (error) {
     console.error('Error rejecting deal:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to reject deal',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/deals/bulk
+ * @desc Approve, reject, move to under_review or assign a reviewer for many deals at once;
+ *       each deal succeeds or fails on its own
+ * @body {dealIds, action, rejectionReason, reasons, reviewer, notes} - action: approve, reject, under_review or assign;
+ *       reasons maps deal ids to their own rejection reason
+ */
+router.post('/deals/bulk', authenticateToken, requirePermission('deals:approve'), async (req, res) => {
+  try {
+    const result = await bulkReviewService.run(req.body || {}, { actor: req.user?.email });
+
+    res.json({
+      message: `${result.succeeded} of ${result.results.length} deal(s) updated`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error running bulk review:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to run bulk review',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/extension-requests
+ * @desc Get registration extension requests (defaults to pending)
+ * @query {status}
+ */
+router.get('/extension-requests', authenticateToken, requirePermission('deals:view_all'), async (req, res) => {
+  try {
+    const { status = 'pending' } = req.query;
+
+    const requests = await extensionRequestRepository.findAll();
+    const filtered = status === 'all'
+      ? requests
+      : requests.filter(request => request.status === status);
+
+    res.json({
+      requests: filtered,
+      total: filtered.length
+    });
+
+  } catch (error) {
+    console.error('Error loading extension requests:', error);
     res.status(500).json({
-      error: 'Failed to reject deal',
+      error: 'Failed to load extension requests',
       message: error.message
     });
   }
 });
 
 /**
- * @route POST /api/v1/admin/add
- * @desc Add new admin by email
+ * @route POST /api/v1/admin/extension-requests/:id/approve
+ * @desc Approve an extension request, optionally granting a different number of days
+ * @body {days, notes}
  */
-router.post('/add', authenticateToken, async (req, res) => {
+router.post('/extension-requests/:id/approve', authenticateToken, requirePermission('extensions:decide'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin privileges required'
-      });
-    }
+    const { days, notes } = req.body;
 
-    const { email } = req.body;
+    const request = await registrationExpiryService.decideExtension(req.params.id, 'approved', {
+      actor: req.user?.email,
+      days,
+      notes
+    });
 
-    if (!email || !email.trim()) {
+    res.json({
+      message: 'Extension approved',
+      request: request
+    });
+
+  } catch (error) {
+    console.error('Error approving extension:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to approve extension',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/extension-requests/:id/deny
+ * @desc Deny an extension request
+ * @body {notes}
+ */
+router.post('/extension-requests/:id/deny', authenticateToken, requirePermission('extensions:decide'), async (req, res) => {
+  try {
+    const { notes } = req.body;
+
+    const request = await registrationExpiryService.decideExtension(req.params.id, 'denied', {
+      actor: req.user?.email,
+      notes
+    });
+
+    res.json({
+      message: 'Extension denied',
+      request: request
+    });
+
+  } catch (error) {
+    console.error('Error denying extension:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to deny extension',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/registrations/sweep
+ * @desc Expire lapsed registrations now instead of waiting for the scheduled sweep
+ */
+router.post('/registrations/sweep', authenticateToken, requirePermission('registrations:sweep'), async (req, res) => {
+  try {
+    const result = await registrationExpiryService.sweepExpiredDeals();
+
+    res.json({
+      message: `${result.expired.length} registration(s) expired`,
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Error sweeping registrations:', error);
+    res.status(500).json({
+      error: 'Failed to expire registrations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/audit
+ * @desc Search the audit log, newest first
+ * @query {actor, action, dealId, from, to, limit, offset}
+ */
+router.get('/audit', authenticateToken, requirePermission('audit:view'), async (req, res) => {
+  try {
+    const { actor, action, dealId, from, to, limit = 100, offset = 0 } = req.query;
+
+    const entries = await auditService.query({ actor, action, dealId, from, to });
+    const start = Math.max(parseInt(offset, 10) || 0, 0);
+    const pageSize = Math.min(Math.max(parseInt(limit, 10) || 100, 1), 500);
+
+    res.json({
+      entries: entries.slice(start, start + pageSize),
+      total: entries.length,
+      limit: pageSize,
+      offset: start,
+      filters: { actor, action, dealId, from, to }
+    });
+
+  } catch (error) {
+    console.error('Error loading audit log:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load audit log',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/users
+ * @desc List/search users with partner company, status and last login
+ * @query {q, status, role, partnerCompany, limit, offset}
+ */
+router.get('/users', authenticateToken, requirePermission('users:view'), async (req, res) => {
+  try {
+    const result = await userManagementService.list(req.query);
+
+    res.json(result);
+
+  } catch (error) {
+    console.error('Error loading users:', error);
+    res.status(500).json({
+      error: 'Failed to load users',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/users/:id
+ * @desc Get one user
+ */
+router.get('/users/:id', authenticateToken, requirePermission('users:view'), async (req, res) => {
+  try {
+    const user = await userManagementService.getFormatted(req.params.id);
+
+    res.json({
+      user: user
+    });
+
+  } catch (error) {
+    console.error('Error loading user:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load user',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/users/:id/deactivate
+ * @desc Deactivate an account (offboarding); signs the user out everywhere
+ * @body {reason}
+ */
+router.post('/users/:id/deactivate', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await userManagementService.deactivate(req.params.id, {
+      actor: req.user.email,
+      reason: req.body.reason
+    });
+
+    res.json({
+      message: 'User deactivated',
+      user: user
+    });
+
+  } catch (error) {
+    console.error('Error deactivating user:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to deactivate user',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/users/:id/reactivate
+ * @desc Reactivate a deactivated account
+ */
+router.post('/users/:id/reactivate', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await userManagementService.reactivate(req.params.id, { actor: req.user.email });
+
+    res.json({
+      message: 'User reactivated',
+      user: user
+    });
+
+  } catch (error) {
+    console.error('Error reactivating user:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to reactivate user',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route PUT /api/v1/admin/users/:id/role
+ * @desc Grant or revoke the partner-admin role of a partner user; signs the user out everywhere
+ * @body {role} - 'partner_admin' or 'user'
+ */
+router.put('/users/:id/role', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await userManagementService.changeRole(req.params.id, req.body.role, { actor: req.user.email });
+
+    res.json({
+      message: 'User role updated',
+      user: user
+    });
+
+  } catch (error) {
+    console.error('Error updating user role:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update user role',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route PUT /api/v1/admin/users/:id/partner-company
+ * @desc Move a user to another registered partner company; signs the user out everywhere
+ * @body {partnerCompany}
+ */
+router.put('/users/:id/partner-company', authenticateToken, requirePermission('users:manage'), async (req, res) => {
+  try {
+    const user = await userManagementService.changePartnerCompany(req.params.id, req.body.partnerCompany, {
+      actor: req.user.email
+    });
+
+    res.json({
+      message: 'User partner company updated',
+      user: user
+    });
+
+  } catch (error) {
+    console.error('Error updating user partner company:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update user partner company',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/invitations
+ * @desc Invite a user by email to a partner company with a role
+ * @body {email, partnerCompany, role}
+ */
+router.post('/invitations', authenticateToken, requirePermission('invitations:manage'), async (req, res) => {
+  try {
+    const { email, partnerCompany, role } = req.body;
+
+    const result = await invitationService.createInvitation({
+      email,
+      partnerCompany,
+      role: role || 'user',
+      invitedBy: req.user.email
+    });
+
+    res.status(201).json({
+      message: 'Invitation sent',
+      invitation: result.invitation,
+      inviteUrl: result.inviteUrl
+    });
+
+  } catch (error) {
+    console.error('Error creating invitation:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to create invitation',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/invitations
+ * @desc List invitations, newest first
+ * @query {status} - pending, accepted, revoked or expired
+ */
+router.get('/invitations', authenticateToken, requirePermission('invitations:manage'), async (req, res) => {
+  try {
+    const invitations = await invitationService.list({ status: req.query.status });
+
+    res.json({
+      invitations: invitations,
+      total: invitations.length
+    });
+
+  } catch (error) {
+    console.error('Error loading invitations:', error);
+    res.status(500).json({
+      error: 'Failed to load invitations',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/invitations/:id/revoke
+ * @desc Revoke a pending invitation
+ */
+router.post('/invitations/:id/revoke', authenticateToken, requirePermission('invitations:manage'), async (req, res) => {
+  try {
+    const invitation = await invitationService.revoke(req.params.id, { actor: req.user.email });
+
+    res.json({
+      message: 'Invitation revoked',
+      invitation: invitation
+    });
+
+  } catch (error) {
+    console.error('Error revoking invitation:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to revoke invitation',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/settings/security
+ * @desc Security settings: roles that must use two-factor authentication
+ */
+router.get('/settings/security', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json({
+      twoFactorRequiredRoles: await settingsService.get('two_factor_required_roles'),
+      validRoles: Object.keys(permissionService.roles)
+    });
+
+  } catch (error) {
+    console.error('Error loading security settings:', error);
+    res.status(500).json({
+      error: 'Failed to load security settings',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route PUT /api/v1/admin/settings/security
+ * @desc Require two-factor authentication for roles (e.g. ['super_admin', 'approver']).
+ *   Users of those roles without 2FA must enroll at their next login.
+ * @body {twoFactorRequiredRoles}
+ */
+router.put('/settings/security', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const { twoFactorRequiredRoles } = req.body;
+    const resolvedRoles = Array.isArray(twoFactorRequiredRoles)
+      ? twoFactorRequiredRoles.map(role => permissionService.resolveRole(role))
+      : [null];
+
+    if (resolvedRoles.includes(null)) {
       return res.status(400).json({
-        error: 'Email required',
-        message: 'Please provide a valid email address'
+        error: 'Invalid roles',
+        validRoles: Object.keys(permissionService.roles)
       });
     }
 
-    const adminEmail = email.trim().toLowerCase();
-    const currentTime = googleSheetsService.getCurrentTimestamp();
+    const roles = await settingsService.set('two_factor_required_roles', [...new Set(resolvedRoles)], {
+      actor: req.user.email
+    });
 
-    // Check if Admins sheet exists, if not create headers
-    let adminsData = [];
-    try {
-      adminsData = await googleSheetsService.getSheetData('Admins');
-    } catch (error) {
-      // Sheet might not exist, we'll create it
-    }
+    res.json({
+      message: 'Security settings updated',
+      twoFactorRequiredRoles: roles
+    });
 
-    // If sheet is empty or doesn't exist, add headers
-    if (!adminsData || adminsData.length === 0) {
-      const headers = ['email', 'added_by', 'added_at', 'status'];
-      await googleSheetsService.appendToSheet('Admins', headers);
-      adminsData = [headers];
-    }
+  } catch (error) {
+    console.error('Error updating security settings:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update security settings',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
 
-    // Check if admin already exists
-    const headers = adminsData[0];
-    const emailIndex = headers.indexOf('email');
-    
-    for (let i = 1; i < adminsData.length; i++) {
-      const existingEmail = adminsData[i][emailIndex];
-      if (existingEmail && existingEmail.toLowerCase() === adminEmail) {
-        return res.status(409).json({
-          error: 'Admin already exists',
-          message: 'This email is already in the admin list'
-        });
-      }
-    }
+/**
+ * @route GET /api/v1/admin/settings/approval-rules
+ * @desc Approval rules evaluated on deal submission
+ */
+router.get('/settings/approval-rules', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    res.json({
+      rules: await approvalRulesService.getRules(),
+      validActions: approvalRulesService.actions
+    });
 
-    // Add new admin to sheet
-    const newAdminData = [
-      adminEmail,                           // email
-      req.user?.email || 'system',         // added_by
-      currentTime,                         // added_at
-      'active'                            // status
-    ];
+  } catch (error) {
+    console.error('Error loading approval rules:', error);
+    res.status(500).json({
+      error: 'Failed to load approval rules',
+      message: error.message
+    });
+  }
+});
 
-    await googleSheetsService.appendToSheet('Admins', newAdminData);
+/**
+ * @route PUT /api/v1/admin/settings/approval-rules
+ * @desc Replace the approval rules (evaluated in order on new submissions)
+ * @body {rules} - [{id, name, enabled, conditions: {minValue, maxValue, partners, partnerTiers, territories, products, noDuplicates},
+ *       action: auto_approve | require_approvals | route, approvals, reviewer}]
+ */
+router.put('/settings/approval-rules', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const rules = await approvalRulesService.setRules(req.body.rules, { actor: req.user.email });
 
     res.json({
-      message: 'Admin added successfully',
-      email: adminEmail,
-      added_by: req.user?.email,
-      added_at: currentTime
+      message: 'Approval rules updated',
+      rules: rules
     });
 
   } catch (error) {
-    console.error('Error adding admin:', error);
+    console.error('Error updating approval rules:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update approval rules',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/settings/reviewer-assignment
+ * @desc How new deals are assigned to reviewers
+ */
+router.get('/settings/reviewer-assignment', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
+  try {
+    const [config, reviewers] = await Promise.all([
+      reviewerAssignmentService.getConfig(),
+      reviewerAssignmentService.listReviewers()
+    ]);
+
+    res.json({
+      ...config,
+      reviewers: reviewers.map(admin => admin.email)
+    });
+
+  } catch (error) {
+    console.error('Error loading reviewer assignment settings:', error);
     res.status(500).json({
-      error: 'Failed to add admin',
+      error: 'Failed to load reviewer assignment settings',
       message: error.message
     });
   }
 });
 
 /**
- * @route GET /api/v1/admin/list
- * @desc Get list of all admins
+ * @route PUT /api/v1/admin/settings/reviewer-assignment
+ * @desc Configure automatic reviewer assignment: territory mapping first, then the
+ *   partner's channel manager, then round robin over all reviewers
+ * @body {territories, usePartnerChannelManager, roundRobin} - territories: { [territory]: reviewerEmail }
  */
-router.get('/list', authenticateToken, async (req, res) => {
+router.put('/settings/reviewer-assignment', authenticateToken, requirePermission('settings:manage'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin privileges required'
-      });
-    }
+    const config = await reviewerAssignmentService.setConfig(req.body, { actor: req.user.email });
 
-    let adminsData = [];
-    try {
-      adminsData = await googleSheetsService.getSheetData('Admins');
-    } catch (error) {
-      // Sheet might not exist
-      return res.json({
-        admins: [],
-        total: 0,
-        message: 'No admins sheet found'
-      });
-    }
+    res.json({
+      message: 'Reviewer assignment settings updated',
+      ...config
+    });
 
-    if (!adminsData || adminsData.length <= 1) {
-      return res.json({
-        admins: [],
-        total: 0,
-        message: 'No admins found'
+  } catch (error) {
+    console.error('Error updating reviewer assignment settings:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update reviewer assignment settings',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/add
+ * @desc Add new admin by email
+ * @body {email, role} - role: super_admin, approver or viewer (default approver)
+ */
+router.post('/add', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !email.trim()) {
+      return res.status(400).json({
+        error: 'Email required',
+        message: 'Please provide a valid email address'
       });
     }
 
-    const headers = adminsData[0];
-    const adminList = [];
+    const admin = await adminService.add(email, role || 'approver', { actor: req.user?.email });
+
+    res.json({
+      message: 'Admin added successfully',
+      email: admin.email,
+      role: admin.role,
+      added_by: admin.addedBy,
+      added_at: admin.addedAt
+    });
 
-    // Convert rows to objects
-    for (let i = 1; i < adminsData.length; i++) {
-      const admin = {};
-      headers.forEach((header, index) => {
-        admin[header] = adminsData[i][index] || '';
+  } catch (error) {
+    console.error('Error adding admin:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to add admin',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route PUT /api/v1/admin/role
+ * @desc Change an admin's role (at least one super admin always remains)
+ * @body {email, role} - super_admin, approver or viewer
+ */
+router.put('/role', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !role) {
+      return res.status(400).json({
+        error: 'Email and role are required'
       });
-      
-      // Only include active admins
-      if (admin.status === 'active') {
-        adminList.push(admin);
-      }
     }
 
+    const admin = await adminService.changeRole(email, role, { actor: req.user?.email });
+
+    res.json({
+      message: 'Admin role updated',
+      admin: admin
+    });
+
+  } catch (error) {
+    console.error('Error changing admin role:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to change admin role',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/admin/list
+ * @desc Get admins with their roles, and the role catalog
+ * @query {status, includeHistory} - status: active (default), revoked or all
+ */
+router.get('/list', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const adminList = await adminService.list({
+      status: req.query.status || 'active',
+      includeHistory: req.query.includeHistory === 'true'
+    });
+
     res.json({
       admins: adminList,
-      total: adminList.length
+      total: adminList.length,
+      roles: permissionService.describeRoles(),
+      ...(adminList.length === 0 && { message: 'No admins found' })
     });
 
   } catch (error) {
     console.error('Error loading admin list:', error);
-    res.status(500).json({
-      error: 'Failed to load admin list',
-      message: error.message
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load admin list',
+      message: error.message,
+      ...error.details
     });
   }
 });
 
 /**
  * @route POST /api/v1/admin/remove
- * @desc Remove admin by email
+ * @desc Remove admin by email (status revoked; the last active super admin cannot be removed)
+ * @body {email}
  */
-router.post('/remove', authenticateToken, async (req, res) => {
+router.post('/remove', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
   try {
-    // Check if user is admin
-    if (req.user?.role !== 'admin') {
-      return res.status(403).json({
-        error: 'Access denied',
-        message: 'Admin privileges required'
-      });
-    }
-
     const { email } = req.body;
 
     if (!email || !email.trim()) {
@@ -566,29 +1073,54 @@ router.post('/remove', authenticateToken, async (req, res) => {
       });
     }
 
-    // Prevent removing self
-    if (email.toLowerCase() === req.user?.email.toLowerCase()) {
+    const admin = await adminService.remove(email, { actor: req.user?.email });
+
+    res.json({
+      message: 'Admin removed',
+      email: admin.email,
+      removed_by: admin.removedBy,
+      removed_at: admin.removedAt
+    });
+
+  } catch (error) {
+    console.error('Error removing admin:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to remove admin',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/admin/reactivate
+ * @desc Restore a removed admin
+ * @body {email, role} - role defaults to the one they had
+ */
+router.post('/reactivate', authenticateToken, requirePermission('admins:manage'), async (req, res) => {
+  try {
+    const { email, role } = req.body;
+
+    if (!email || !email.trim()) {
       return res.status(400).json({
-        error: 'Cannot remove self',
-        message: 'You cannot remove your own admin privileges'
+        error: 'Email required',
+        message: 'Please provide a valid email address'
       });
     }
 
-    // For now, return success message
-    // TODO: Implement actual row removal when Google Sheets update functionality is available
+    const admin = await adminService.reactivate(email, { role, actor: req.user?.email });
+
     res.json({
-      message: 'Admin removal noted',
-      email: email,
-      removed_by: req.user?.email,
-      removed_at: new Date().toISOString(),
-      note: 'Admin removal recorded (Google Sheets update pending implementation)'
+      message: 'Admin reactivated',
+      admin: admin
     });
 
   } catch (error) {
-    console.error('Error removing admin:', error);
-    res.status(500).json({
-      error: 'Failed to remove admin',
-      message: error.message
+    console.error('Error reactivating admin:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to reactivate admin',
+      message: error.message,
+      ...error.details
     });
   }
 });
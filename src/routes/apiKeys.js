@@ -0,0 +1,31 @@
+const express = require('express');
+const {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} = require('../controllers/apiKeyController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/api-keys
+ * @desc List the partner company's API keys (partner admins; admins see all companies)
+ * @query {partnerCompany} - admin only
+ */
+router.get('/', authenticateToken, getApiKeys);
+
+/**
+ * @route POST /api/v1/api-keys
+ * @desc Create a scoped API key for the partner admin's company
+ * @body {name, scopes, rateLimitPerMinute} - scopes from deals:read, deals:write, duplicates:check
+ */
+router.post('/', authenticateToken, createApiKey);
+
+/**
+ * @route DELETE /api/v1/api-keys/:id
+ * @desc Revoke an API key (the company's partner admins or an admin)
+ */
+router.delete('/:id', authenticateToken, revokeApiKey);
+
+module.exports = router;
@@ -1,18 +1,47 @@
 const express = require('express');
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
+const authConfig = require('../config/auth');
 const authService = require('../services/authService');
-const jwt = require('jsonwebtoken');
-const googleSheetsService = require('../services/googleSheetsService');
+const sessionService = require('../services/sessionService');
+const auditService = require('../services/auditService');
+const invitationService = require('../services/invitationService');
+const twoFactorService = require('../services/twoFactorService');
+const googleOAuthService = require('../services/googleOAuthService');
+const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { forgotPasswordLimiter, resetPasswordLimiter } = require('../middleware/rateLimiter');
 
 const router = express.Router();
 
+/**
+ * Client details recorded on the login session
+ */
+const sessionContext = (req) => ({
+  userAgent: req.get('user-agent') || '',
+  ipAddress: req.ip || ''
+});
+
+const OAUTH_STATE_COOKIE = 'oauth_state';
+
+/**
+ * Read a cookie from the request (no cookie parser is installed)
+ */
+const readCookie = (req, name) => {
+  const cookie = (req.headers.cookie || '')
+    .split(';')
+    .map(part => part.trim())
+    .find(part => part.startsWith(`${name}=`));
+
+  return cookie ? decodeURIComponent(cookie.slice(name.length + 1)) : null;
+};
+
 // Configure Google OAuth Strategy
 passport.use(new GoogleStrategy({
   clientID: process.env.GOOGLE_CLIENT_ID,
   clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-  callbackURL: "https://partner-deal-backend.onrender.com/api/v1/auth/google/callback"
-}, async (accessToken, refreshToken, profile, done) => {
+  callbackURL: authConfig.googleCallbackUrl,
+  passReqToCallback: true
+}, async (req, accessToken, refreshToken, profile, done) => {
   try {
     const googleUser = {
       sub: profile.id,
@@ -23,8 +52,11 @@ passport.use(new GoogleStrategy({
       picture: profile.photos[0].value
     };
 
-    const result = await authService.googleLogin(googleUser);
-    return done(null, result);
+    // The invitation token travels inside the verified OAuth state
+    const user = await authService.googleLogin(googleUser, {
+      inviteToken: req.oauthState?.inviteToken
+    });
+    return done(null, user);
   } catch (error) {
     return done(error, null);
   }
@@ -35,17 +67,19 @@ router.use(passport.initialize());
 
 /**
  * @route POST /api/v1/auth/register
- * @desc Register new partner user
+ * @desc Register new partner user (account activates after email verification,
+ *   or immediately when registering from an invitation)
+ * @body {email, password, firstName, lastName, company, territory, inviteToken}
  */
 router.post('/register', async (req, res) => {
   try {
-    const { email, password, firstName, lastName, company, territory } = req.body;
+    const { email, password, firstName, lastName, company, territory, inviteToken } = req.body;
 
-    // Basic validation
-    if (!email || !password || !firstName || !lastName || !company) {
+    // Basic validation (company comes from the invitation or a registered partner domain when omitted)
+    if (!email || !password || !firstName || !lastName) {
       return res.status(400).json({
         error: 'Missing required fields',
-        required: ['email', 'password', 'firstName', 'lastName', 'company']
+        required: ['email', 'password', 'firstName', 'lastName']
       });
     }
 
@@ -55,105 +89,147 @@ router.post('/register', async (req, res) => {
       firstName,
       lastName,
       company,
-      territory
+      territory,
+      inviteToken
     });
 
     res.status(201).json({
-      message: 'User registered successfully',
+      message: result.status === 'active'
+        ? 'User registered successfully. You can now log in.'
+        : 'User registered successfully. Check your email to verify your account.',
       user: result
     });
 
   } catch (error) {
     console.error('Registration error:', error);
-    res.status(400).json({
-      error: error.message
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Registration failed',
+      message: error.message,
+      ...error.details
     });
   }
 });
 
 /**
- * @route POST /api/v1/auth/email-login
- * @desc Email/password login for testing
+ * @route POST /api/v1/auth/verify-email
+ * @desc Verify email address with the token from the verification link
+ * @body {token}
  */
-router.post('/email-login', async (req, res) => {
+router.post('/verify-email', async (req, res) => {
   try {
-    const { email, password } = req.body;
+    const user = await authService.verifyEmail(req.body.token || req.query.token);
 
-    // Test admin credentials
-    const testCredentials = {
-      'admin@daxa.ai': 'admin123'  // Test admin account
-    };
+    res.json({
+      message: 'Email verified successfully. You can now log in.',
+      user: user
+    });
+
+  } catch (error) {
+    console.error('Email verification error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Email verification failed',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/auth/resend-verification
+ * @desc Send a new verification link (same response whether or not the account exists)
+ * @body {email}
+ */
+router.post('/resend-verification', async (req, res) => {
+  try {
+    const { email } = req.body;
 
-    if (!testCredentials[email] || testCredentials[email] !== password) {
-      return res.status(401).json({
-        error: 'Invalid credentials',
-        message: 'Email or password is incorrect'
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email is required'
       });
     }
 
-    // Check if user exists in Users sheet, create if not
-    let user = await googleSheetsService.findRowByValue('Users', 'email', email);
-    
-    if (!user) {
-      // Create test admin user
-      const userData = [
-        'test-admin-' + Date.now(), // id
-        email, // email
-        'Test', // first_name
-        'Admin', // last_name
-        'Daxa Internal', // partner_company
-        'admin', // role
-        'active', // status
-        googleSheetsService.getCurrentTimestamp() // created_at
-      ];
-
-      await googleSheetsService.appendToSheet('Users', userData);
-      user = await googleSheetsService.findRowByValue('Users', 'email', email);
-    }
+    await authService.resendVerification(email);
 
-    // Create JWT token
-    const tokenPayload = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      partnerId: user.partner_company
-    };
+    res.json({
+      message: 'If the account is awaiting verification, a new link has been sent'
+    });
 
-    const accessToken = jwt.sign(tokenPayload, process.env.JWT_SECRET, { 
-      expiresIn: '24h' 
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({
+      error: 'Failed to resend verification email',
+      message: error.message
     });
+  }
+});
 
-    // Format user data for frontend
-    const userData = {
-      id: user.id,
-      email: user.email,
-      firstName: user.first_name,
-      lastName: user.last_name,
-      role: user.role,
-      partnerId: user.partner_company,
-      partnerName: user.partner_company
-    };
+/**
+ * @route POST /api/v1/auth/forgot-password
+ * @desc Email a password reset link (same response whether or not the account exists)
+ * @body {email}
+ */
+router.post('/forgot-password', forgotPasswordLimiter, async (req, res) => {
+  try {
+    const { email } = req.body;
+
+    if (!email) {
+      return res.status(400).json({
+        error: 'Email is required'
+      });
+    }
+
+    await authService.requestPasswordReset(email);
 
     res.json({
-      message: 'Login successful',
-      user: userData,
-      accessToken: accessToken
+      message: 'If an account exists for this email, a password reset link has been sent'
     });
 
   } catch (error) {
-    console.error('Email login error:', error);
+    console.error('Forgot password error:', error);
     res.status(500).json({
-      error: 'Authentication failed',
+      error: 'Failed to request password reset',
       message: error.message
     });
   }
 });
 
 /**
- * @route POST /api/v1/auth/login
- * @desc Login with email and password
+ * @route POST /api/v1/auth/reset-password
+ * @desc Set a new password with a reset token; signs out every session
+ * @body {token, password}
+ */
+router.post('/reset-password', resetPasswordLimiter, async (req, res) => {
+  try {
+    const { token, password } = req.body;
+
+    if (!token || !password) {
+      return res.status(400).json({
+        error: 'Token and new password are required'
+      });
+    }
+
+    const user = await authService.resetPassword(token, password);
+
+    res.json({
+      message: 'Password reset successfully. Please log in with your new password.',
+      user: user
+    });
+
+  } catch (error) {
+    console.error('Reset password error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to reset password',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * Shared email/password login handler
  */
-router.post('/login', async (req, res) => {
+const emailLogin = async (req, res) => {
   try {
     const { email, password } = req.body;
 
@@ -163,102 +239,435 @@ router.post('/login', async (req, res) => {
       });
     }
 
-    const result = await authService.loginUser(email, password);
+    const result = await authService.loginUser(email, password, sessionContext(req));
 
     res.json({
-      message: 'Login successful',
+      message: result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful',
       ...result
     });
 
   } catch (error) {
     console.error('Login error:', error);
-    res.status(401).json({
-      error: error.message
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Authentication failed',
+      message: error.message,
+      ...error.details
+    });
+  }
+};
+
+/**
+ * @route POST /api/v1/auth/login
+ * @desc Login with email and password. Accounts using 2FA get a challengeToken
+ *   to complete with POST /2fa/verify (or /2fa/setup + /2fa/enable when enrollment is required).
+ * @body {email, password}
+ */
+router.post('/login', emailLogin);
+
+/**
+ * @route POST /api/v1/auth/email-login
+ * @desc Email/password login (kept for existing frontend clients, same as /login)
+ * @body {email, password}
+ */
+router.post('/email-login', emailLogin);
+
+/**
+ * @route POST /api/v1/auth/2fa/verify
+ * @desc Second login step: exchange the login challenge and a TOTP (or backup) code for tokens
+ * @body {challengeToken, code | backupCode}
+ */
+router.post('/2fa/verify', async (req, res) => {
+  try {
+    const { challengeToken, code, backupCode } = req.body;
+
+    if (!challengeToken || (!code && !backupCode)) {
+      return res.status(400).json({
+        error: 'Challenge token and code or backup code are required'
+      });
+    }
+
+    const result = await authService.verifyTwoFactorLogin(challengeToken, { code, backupCode }, sessionContext(req));
+
+    res.json({
+      message: 'Login successful',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Two-factor verification error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Two-factor verification failed',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/auth/2fa/setup
+ * @desc Start 2FA enrollment: returns a new secret and its otpauth:// URI for the QR code.
+ *   Authenticated with the access token, or the login challenge when enrollment is required.
+ * @body {challengeToken} - optional
+ */
+router.post('/2fa/setup', optionalAuth, async (req, res) => {
+  try {
+    const user = await authService.getTwoFactorUser({
+      challengeToken: req.body.challengeToken,
+      userId: req.user?.id
+    });
+
+    const enrollment = await twoFactorService.beginEnrollment(user);
+
+    res.json({
+      message: 'Scan the QR code with your authenticator app, then confirm with a code',
+      ...enrollment
+    });
+
+  } catch (error) {
+    console.error('Two-factor setup error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to start two-factor setup',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/auth/2fa/enable
+ * @desc Confirm enrollment with a code; returns backup codes (shown once).
+ *   When completing a login challenge, also returns the session tokens.
+ * @body {code, challengeToken}
+ */
+router.post('/2fa/enable', optionalAuth, async (req, res) => {
+  try {
+    const { code, challengeToken } = req.body;
+
+    if (!code) {
+      return res.status(400).json({
+        error: 'Verification code is required'
+      });
+    }
+
+    const user = await authService.getTwoFactorUser({ challengeToken, userId: req.user?.id });
+    const backupCodes = await twoFactorService.enable(user, code);
+
+    if (challengeToken) {
+      await twoFactorService.consumeChallenge(user);
+    }
+
+    const login = challengeToken
+      ? await authService.startSession(user, await authService.getEffectiveRole(user), sessionContext(req), 'Login with two-factor enrollment')
+      : {};
+
+    res.json({
+      message: 'Two-factor authentication enabled',
+      backupCodes: backupCodes,
+      ...login
+    });
+
+  } catch (error) {
+    console.error('Two-factor enable error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to enable two-factor authentication',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/auth/2fa/disable
+ * @desc Turn off 2FA (refused while the user's role requires it)
+ * @body {code | backupCode}
+ */
+router.post('/2fa/disable', authenticateToken, async (req, res) => {
+  try {
+    const { code, backupCode } = req.body;
+
+    if (!code && !backupCode) {
+      return res.status(400).json({
+        error: 'Code or backup code is required'
+      });
+    }
+
+    const user = await authService.getTwoFactorUser({ userId: req.user.id });
+    await twoFactorService.disable(user, req.user.role, { code, backupCode });
+
+    res.json({
+      message: 'Two-factor authentication disabled'
+    });
+
+  } catch (error) {
+    console.error('Two-factor disable error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to disable two-factor authentication',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/auth/2fa/backup-codes
+ * @desc Replace all backup codes (previous ones stop working)
+ * @body {code}
+ */
+router.post('/2fa/backup-codes', authenticateToken, async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({
+        error: 'Verification code is required'
+      });
+    }
+
+    const user = await authService.getTwoFactorUser({ userId: req.user.id });
+    const backupCodes = await twoFactorService.regenerateBackupCodes(user, { code: req.body.code });
+
+    res.json({
+      message: 'Backup codes regenerated',
+      backupCodes: backupCodes
+    });
+
+  } catch (error) {
+    console.error('Backup code regeneration error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to regenerate backup codes',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route GET /api/v1/auth/invite
+ * @desc Look up a pending invitation so the sign-up page can show it
+ * @query {token}
+ */
+router.get('/invite', async (req, res) => {
+  try {
+    const invitation = await invitationService.resolveToken(req.query.token);
+
+    res.json({
+      invitation: {
+        email: invitation.email,
+        partnerCompany: invitation.partner_company,
+        role: invitation.role,
+        invitedBy: invitation.invited_by,
+        expiresAt: invitation.expires_at
+      }
+    });
+
+  } catch (error) {
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load invitation',
+      message: error.message,
+      ...error.details
     });
   }
 });
 
 /**
  * @route GET /api/v1/auth/google
- * @desc Start Google OAuth flow
+ * @desc Start Google OAuth flow (sets the state nonce cookie checked by the callback)
+ * @query {invite} - optional invitation token for first-time sign-up
  */
-router.get('/google', passport.authenticate('google', {
-  scope: ['profile', 'email']
-}));
+router.get('/google', (req, res, next) => {
+  const { state, nonce } = googleOAuthService.createState({ inviteToken: req.query.invite });
+
+  res.cookie(OAUTH_STATE_COOKIE, nonce, {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: authConfig.googleStateMinutes * 60 * 1000,
+    path: '/api/v1/auth/google'
+  });
+
+  passport.authenticate('google', {
+    scope: ['profile', 'email'],
+    state: state
+  })(req, res, next);
+});
 
 /**
  * @route GET /api/v1/auth/google/callback
- * @desc Google OAuth callback with admin check - FIXED VERSION
+ * @desc Google OAuth callback: validates state, then redirects to the frontend with a
+ *   one-time code (exchanged via POST /google/exchange) or an error code
  */
-router.get('/google/callback', 
-  passport.authenticate('google', { session: false }),
+router.get('/google/callback',
+  (req, res, next) => {
+    const redirectError = (code) => res.redirect(`${authConfig.frontendUrl}/auth?error=${code}`);
+
+    res.clearCookie(OAUTH_STATE_COOKIE, { path: '/api/v1/auth/google' });
+
+    try {
+      req.oauthState = googleOAuthService.verifyState(req.query.state, readCookie(req, OAUTH_STATE_COOKIE));
+    } catch (error) {
+      console.error('Google callback state error:', error.message);
+      return redirectError('invalid_state');
+    }
+
+    // Report sign-up failures (e.g. missing invitation) back to the frontend
+    passport.authenticate('google', { session: false }, (error, user) => {
+      if (error || !user) {
+        return redirectError(error?.details?.code || 'google_auth_failed');
+      }
+
+      req.user = user;
+      next();
+    })(req, res, next);
+  },
   async (req, res) => {
     try {
-      const { user, accessToken } = req.user;
-      
-      // Import the checkAdminStatus function
-      const { checkAdminStatus } = require('../middleware/auth');
-      
-      // Check if user should be admin based on Admins sheet
-      const isAdmin = await checkAdminStatus(user.email);
-      
-      // Override role based on Admins sheet check
-      const updatedUser = {
-        ...user,
-        role: isAdmin ? 'admin' : user.role || 'user'
-      };
-      
-      // HARDCODED frontend URL to fix deployment issue
-      const frontendURL = process.env.FRONTEND_URL || 'http://localhost:8080';
-      
-      console.log('OAuth Redirect - Using hardcoded frontend URL:', frontendURL);
-      console.log('User role after admin check:', updatedUser.role);
-      
-      const redirectUrl = `${frontendURL}/auth/callback?token=${accessToken}&user=${encodeURIComponent(JSON.stringify(updatedUser))}`;
-      console.log('Final redirect URL:', redirectUrl);
-      
-      res.redirect(redirectUrl);
-      
+      const code = await googleOAuthService.createAuthCode(req.user);
+
+      res.redirect(`${authConfig.frontendUrl}/auth/callback?code=${encodeURIComponent(code)}`);
+
     } catch (error) {
       console.error('Google callback error:', error);
-      
-      // Also hardcode the error redirect
-      const frontendURL = process.env.FRONTEND_URL || 'http://localhost:8080';
-      res.redirect(`${frontendURL}/auth?error=google_auth_failed`);
+      res.redirect(`${authConfig.frontendUrl}/auth?error=google_auth_failed`);
     }
   }
 );
 
-// Add this debug route temporarily
-router.get('/debug-frontend-url', (req, res) => {
-  res.json({
-    FRONTEND_URL: process.env.FRONTEND_URL,
-    NODE_ENV: process.env.NODE_ENV,
-    hardcoded_url: 'https://partner-deal-registration-mc37bncpt-shamiths-projects-c74c59b6.vercel.app',
-    all_env: Object.keys(process.env).filter(key => key.includes('FRONTEND'))
-  });
+/**
+ * @route POST /api/v1/auth/google/exchange
+ * @desc Exchange the one-time code from the Google callback for tokens (or a two-factor challenge)
+ * @body {code}
+ */
+router.post('/google/exchange', async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return res.status(400).json({
+        error: 'Authorization code is required'
+      });
+    }
+
+    const user = await googleOAuthService.exchangeAuthCode(req.body.code);
+    const result = await authService.completeLogin(user, sessionContext(req), 'Google login');
+
+    res.json({
+      message: result.twoFactorRequired ? 'Two-factor authentication required' : 'Login successful',
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Google code exchange error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Authentication failed',
+      message: error.message,
+      ...error.details
+    });
+  }
 });
 
 /**
  * @route GET /api/v1/auth/me
- * @desc Get current user info (requires auth middleware)
+ * @desc Get current user info: account, profile, admin membership, permissions and preferences
  */
-router.get('/me', (req, res) => {
-  res.json({
-    message: 'Auth middleware not implemented yet',
-    note: 'This will return current user info after implementing auth middleware'
-  });
+router.get('/me', authenticateToken, async (req, res) => {
+  try {
+    const user = await authService.getCurrentUser(req.user.id);
+
+    res.json({
+      user: user
+    });
+
+  } catch (error) {
+    console.error('Get current user error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to load current user',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/auth/refresh
+ * @desc Exchange a refresh token for a new access token and rotated refresh token
+ * @body {refreshToken}
+ */
+router.post('/refresh', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (!refreshToken) {
+      return res.status(400).json({
+        error: 'Refresh token is required'
+      });
+    }
+
+    const tokens = await sessionService.refresh(refreshToken);
+
+    res.json({
+      message: 'Token refreshed',
+      ...tokens
+    });
+
+  } catch (error) {
+    console.error('Token refresh error:', error.message);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to refresh token',
+      message: error.message,
+      ...error.details
+    });
+  }
 });
 
 /**
  * @route POST /api/v1/auth/logout
- * @desc Logout user
+ * @desc Logout user (revokes the current session)
  */
-router.post('/logout', (req, res) => {
-  res.json({
-    message: 'Logout successful',
-    note: 'Clear the token on frontend'
-  });
+router.post('/logout', authenticateToken, async (req, res) => {
+  try {
+    await sessionService.revoke(req.user.sessionId, 'logout');
+
+    await auditService.log({
+      userEmail: req.user.email,
+      action: 'logout',
+      notes: 'Logged out'
+    });
+
+    res.json({
+      message: 'Logout successful'
+    });
+
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: error.message
+    });
+  }
+});
+
+/**
+ * @route POST /api/v1/auth/logout-all
+ * @desc Log out of all devices (revokes every session of the user)
+ */
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await sessionService.revokeAllForUser(req.user.id, 'logout_all');
+
+    await auditService.log({
+      userEmail: req.user.email,
+      action: 'logout_all',
+      notes: `Revoked ${revoked} session(s)`
+    });
+
+    res.json({
+      message: 'Logged out of all devices',
+      revokedSessions: revoked
+    });
+
+  } catch (error) {
+    console.error('Logout all error:', error);
+    res.status(500).json({
+      error: 'Logout failed',
+      message: error.message
+    });
+  }
 });
 
 module.exports = router;
\ No newline at end of file
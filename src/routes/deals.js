@@ -3,39 +3,104 @@ const {
   createDeal, 
   getDeals, 
   getDealById, 
+  getDealHistory,
+  updateDeal,
+  requestExtension,
+  reassignDeal,
   checkDuplicateDeals 
 } = require('../controllers/dealController');
-const { authenticateToken, optionalAuth } = require('../middleware/auth');
+const { authenticateToken, authenticateApiKey, optionalAuth } = require('../middleware/auth');
+const dealStatusService = require('../services/dealStatusService');
+const dealQueryService = require('../services/dealQueryService');
+const dealAccessService = require('../services/dealAccessService');
+const duplicateService = require('../services/duplicateService');
+const { dealRepository } = require('../repositories');
 
 const router = express.Router();
 
 /**
  * @route POST /api/v1/deals
- * @desc Create new deal registration (requires auth)
- * @body {companyName, domain, partnerCompany, submitterName, submitterEmail, territory, customerIndustry, customerLocation, dealStage, expectedCloseDate, dealValue, contractType, primaryProduct, additionalNotes, uploadedFiles, agreedToTerms}
+ * @desc Create new deal registration (requires auth, or an API key with deals:write).
+ *   Partner users and API keys submit for their own company with their own email as submitter.
+ * @body {companyName, domain, partnerCompany, submitterName, submitterEmail, territory, customerIndustry, customerLocation, dealStage, expectedCloseDate, dealValue, contractType, primaryProduct, additionalNotes, uploadedFiles, agreedToTerms, escalateConflict}
  */
-router.post('/', authenticateToken, createDeal);
+router.post('/', authenticateApiKey('deals:write'), createDeal);
 
 /**
  * @route GET /api/v1/deals
- * @desc Get all deals with optional filtering (requires auth)
- * @query {status, partner, limit}
+ * @desc Get all deals with filtering, search, sorting and pagination (requires auth, or an API key with deals:read)
+ * @query {status, partner, q, minValue, maxValue, createdFrom, createdTo, closeFrom, closeTo, sort, order, limit, offset, cursor}
  */
-router.get('/', authenticateToken, getDeals);
+router.get('/', authenticateApiKey('deals:read'), getDeals);
+
+/**
+ * @route GET /api/v1/deals/my-deals
+ * @desc Get current user's deals only (requires auth)
+ * @query {status, q, minValue, maxValue, createdFrom, createdTo, closeFrom, closeTo, sort, order, limit, offset, cursor}
+ * Registered before /:id so "my-deals" is not treated as a deal ID
+ */
+router.get('/my-deals', authenticateApiKey('deals:read'), async (req, res) => {
+  try {
+    const options = dealQueryService.parseOptions(req.query);
+    
+    const deals = await dealRepository.findAll();
+
+    // FIXED: Only include deals submitted by the current user (unless they may view all deals)
+    const visibleDeals = deals.filter(deal => (
+      dealAccessService.can(req.user, 'deals:view_all') || deal.submitter_email === req.user?.email
+    ));
+
+    const result = dealQueryService.query(visibleDeals, options);
+
+    res.json({
+      deals: result.deals.map(deal => dealAccessService.forViewer(req.user, deal)),
+      total: result.total,
+      pagination: result.pagination,
+      filters: req.query,
+      user: {
+        email: req.user?.email,
+        role: req.user?.role
+      }
+    });
+
+  } catch (error) {
+    console.error('Get my deals error:', error);
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to retrieve deals',
+      message: error.message,
+      ...error.details
+    });
+  }
+});
 
 /**
  * @route GET /api/v1/deals/:id
  * @desc Get single deal by ID (requires auth)
  * @param {string} id - Deal ID
  */
-router.get('/:id', authenticateToken, getDealById);
+router.get('/:id', authenticateApiKey('deals:read'), getDealById);
+
+/**
+ * @route GET /api/v1/deals/:id/history
+ * @desc Get a deal's audit trail (submitter or admin)
+ * @param {string} id - Deal ID
+ */
+router.get('/:id/history', authenticateApiKey('deals:read'), getDealHistory);
+
+/**
+ * @route PATCH /api/v1/deals/:id
+ * @desc Edit a deal (submitter or admin); core fields and the deal value lock after approval.
+ *   Editing a field the approval rules read re-evaluates them and clears earlier sign-offs
+ * @body {companyName, domain, partnerCompany, submitterName, territory, customerLegalName, customerIndustry, customerLocation, dealStage, expectedCloseDate, dealValue, contractType, primaryProduct, additionalNotes, escalateConflict}
+ */
+router.patch('/:id', authenticateApiKey('deals:write'), updateDeal);
 
 /**
  * @route POST /api/v1/deals/check-duplicate
- * @desc Check for duplicate deals before submission (optional auth)
+ * @desc Check for duplicate deals before submission (optional auth; API keys need duplicates:check)
  * @body {companyName, domain}
  */
-router.post('/check-duplicate', optionalAuth, async (req, res) => {
+router.post('/check-duplicate', authenticateApiKey('duplicates:check', optionalAuth), async (req, res) => {
   try {
     const { companyName, domain } = req.body;
     
@@ -49,10 +114,13 @@ router.post('/check-duplicate', optionalAuth, async (req, res) => {
     
     res.json({
       hasDuplicates: result.hasDuplicates,
-      duplicates: result.duplicates,
+      duplicates: result.duplicates.map(candidate => duplicateService.toPublicCandidate(candidate)),
+      possibleMatches: result.possibleMatches.map(candidate => duplicateService.toPublicCandidate(candidate)),
       message: result.hasDuplicates ? 
         'Potential duplicates found' : 
-        'No duplicates detected'
+        result.possibleMatches.length > 0 ?
+          'Similar registrations found' :
+          'No duplicates detected'
     });
 
   } catch (error) {
@@ -66,47 +134,29 @@ router.post('/check-duplicate', optionalAuth, async (req, res) => {
 
 /**
  * @route GET /api/v1/deals/stats/summary
- * @desc Get deal statistics summary (requires auth)
+ * @desc Get deal statistics summary for the deals the user can see (requires auth)
  */
-router.get('/stats/summary', authenticateToken, async (req, res) => {
+router.get('/stats/summary', authenticateApiKey('deals:read'), async (req, res) => {
   try {
-    const deals = await require('../services/googleSheetsService').getSheetData('Deals');
-    
-    if (!deals || deals.length < 2) {
-      return res.json({
-        total: 0,
-        pending: 0,
-        approved: 0,
-        rejected: 0,
-        submitted: 0,
-        totalValue: 0
-      });
-    }
-
-    const headers = deals[0];
-    const statusIndex = headers.indexOf('status');
-    const valueIndex = headers.indexOf('deal_value');
-    const submitterEmailIndex = headers.indexOf('submitter_email'); // FIXED: Use actual field name
+    const deals = await dealRepository.findAll();
     
     let stats = {
+      scope: dealAccessService.scope(req.user),
       total: 0,
       pending: 0,
       approved: 0,
       rejected: 0,
       submitted: 0,
+      expired: 0,
       totalValue: 0
     };
 
-    // Filter deals by authenticated user's email (if not admin)
-    for (let i = 1; i < deals.length; i++) {
-      const submitterEmail = deals[i][submitterEmailIndex] || '';
-      const status = deals[i][statusIndex] || '';
-      const value = parseFloat((deals[i][valueIndex] || '0').replace(/[^0-9.]/g, '')) || 0;
-      
-      // FIXED: Role-based filtering using actual email field
-      const canViewDeal = req.user?.role === 'admin' || submitterEmail === req.user?.email;
+    // Admins count all deals, partner admins their company's, users only their own
+    for (const deal of deals) {
+      const status = deal.status || '';
+      const value = parseFloat((deal.deal_value || '0').replace(/[^0-9.]/g, '')) || 0;
       
-      if (canViewDeal) {
+      if (dealAccessService.canView(req.user, deal)) {
         stats.total++;
         stats.totalValue += value;
         
@@ -124,6 +174,9 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
           case 'submitted':
             stats.submitted++;
             break;
+          case 'expired':
+            stats.expired++;
+            break;
         }
       }
     }
@@ -142,24 +195,22 @@ router.get('/stats/summary', authenticateToken, async (req, res) => {
 /**
  * @route PUT /api/v1/deals/:id/status
  * @desc Update deal status (requires auth)
- * @body {status, approvedBy, rejectionReason}
+ * @body {status, rejectionReason, notes}
  */
 router.put('/:id/status', authenticateToken, async (req, res) => {
   try {
     const { id } = req.params;
-    const { status, rejectionReason } = req.body;
+    const { status, rejectionReason, notes } = req.body;
 
-    const validStatuses = ['submitted', 'under_review', 'approved', 'rejected'];
-    
-    if (!validStatuses.includes(status)) {
+    if (!dealStatusService.statuses.includes(status)) {
       return res.status(400).json({
         error: 'Invalid status',
-        validStatuses: validStatuses
+        validStatuses: dealStatusService.statuses
       });
     }
 
     // Find the deal
-    const deal = await require('../services/googleSheetsService').findRowByValue('Deals', 'id', id);
+    const deal = await dealRepository.findById(id);
     
     if (!deal) {
       return res.status(404).json({
@@ -167,90 +218,58 @@ router.put('/:id/status', authenticateToken, async (req, res) => {
       });
     }
 
-    // FIXED: Check permission using email instead of non-existent partner_id
-    if (req.user?.role !== 'admin' && deal.submitter_email !== req.user?.email) {
+    if (!dealAccessService.canManage(req.user, deal)) {
+      return res.status(403).json({
+        error: 'Permission denied',
+        message: 'You can only update deals of your own or your team'
+      });
+    }
+
+    // Submitters and partner admins may only reopen rejected deals; reviews need deals:approve
+    if (!dealAccessService.can(req.user, 'deals:approve') && status !== 'submitted') {
       return res.status(403).json({
         error: 'Permission denied',
-        message: 'You can only update deals you submitted'
+        message: 'Only approvers can review deals'
       });
     }
 
-    // This would require implementing updateRow functionality in googleSheetsService
-    // For now, return a placeholder response
+    const result = await dealStatusService.transition(id, status, {
+      actor: req.user?.email,
+      rejectionReason,
+      notes
+    });
+
     res.json({
-      message: 'Status update functionality coming soon',
+      message: 'Deal status updated successfully',
       dealId: id,
-      newStatus: status,
+      previousStatus: result.previousStatus,
+      newStatus: result.status,
       updatedBy: req.user?.email,
-      note: 'This will be implemented when we add updateRow to googleSheetsService'
+      deal: dealAccessService.forViewer(req.user, result.deal)
     });
 
   } catch (error) {
     console.error('Status update error:', error);
-    res.status(500).json({
-      error: 'Failed to update deal status',
-      message: error.message
+    res.status(error.status || 500).json({
+      error: error.status ? error.message : 'Failed to update deal status',
+      message: error.message,
+      ...error.details
     });
   }
 });
 
 /**
- * @route GET /api/v1/deals/my-deals
- * @desc Get current user's deals only (requires auth)
+ * @route POST /api/v1/deals/:id/extension-requests
+ * @desc Request an extension of an approved registration (submitter or partner admin)
+ * @body {requestedDays, justification}
  */
-router.get('/my-deals', authenticateToken, async (req, res) => {
-  try {
-    const { status, limit = 50 } = req.query;
-    
-    const deals = await require('../services/googleSheetsService').getSheetData('Deals');
-    
-    if (!deals || deals.length < 2) {
-      return res.json({
-        deals: [],
-        total: 0,
-        message: 'No deals found'
-      });
-    }
-
-    const headers = deals[0];
-    const submitterEmailIndex = headers.indexOf('submitter_email'); // FIXED: Use actual field name
-    let dealRecords = [];
-
-    // Convert to objects and filter by user's email
-    for (let i = 1; i < deals.length && dealRecords.length < limit; i++) {
-      const deal = {};
-      headers.forEach((header, index) => {
-        deal[header] = deals[i][index] || '';
-      });
-      
-      // FIXED: Only include deals submitted by the current user (unless admin)
-      const canViewDeal = req.user?.role === 'admin' || deal.submitter_email === req.user?.email;
-      
-      if (canViewDeal) {
-        // Apply status filter
-        if (status && deal.status !== status) continue;
-        
-        dealRecords.push(deal);
-      }
-    }
-
-    res.json({
-      deals: dealRecords,
-      total: dealRecords.length,
-      filters: { status, limit },
-      user: {
-        email: req.user?.email,
-        role: req.user?.role
-      }
-    });
+router.post('/:id/extension-requests', authenticateToken, requestExtension);
 
-  } catch (error) {
-    console.error('Get my deals error:', error);
-    res.status(500).json({
-      error: 'Failed to retrieve deals',
-      message: error.message
-    });
-  }
-});
+/**
+ * @route POST /api/v1/deals/:id/reassign
+ * @desc Reassign a deal to another user of the same partner company (partner admin or admin)
+ * @body {email, notes}
+ */
+router.post('/:id/reassign', authenticateToken, reassignDeal);
 
 module.exports = router;
\ No newline at end of file
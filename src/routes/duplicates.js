@@ -0,0 +1,39 @@
+const express = require('express');
+const {
+  getConflicts,
+  markNotDuplicate,
+  awardAccount,
+  mergeRegistrations
+} = require('../controllers/duplicateController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/duplicates/conflicts
+ * @desc Get clusters of registrations that conflict with each other (duplicates:view)
+ */
+router.get('/conflicts', authenticateToken, requirePermission('duplicates:view'), getConflicts);
+
+/**
+ * @route POST /api/v1/duplicates/not-duplicate
+ * @desc Mark deals as not duplicates so they stop blocking each other (duplicates:resolve)
+ * @body {dealIds, notes}
+ */
+router.post('/not-duplicate', authenticateToken, requirePermission('duplicates:resolve'), markNotDuplicate);
+
+/**
+ * @route POST /api/v1/duplicates/award
+ * @desc Award the account to one registration, rejecting the others (duplicates:resolve)
+ * @body {winnerDealId, loserDealIds, notes}
+ */
+router.post('/award', authenticateToken, requirePermission('duplicates:resolve'), awardAccount);
+
+/**
+ * @route POST /api/v1/duplicates/merge
+ * @desc Merge competing registrations into a primary deal (duplicates:resolve)
+ * @body {primaryDealId, mergedDealIds, notes}
+ */
+router.post('/merge', authenticateToken, requirePermission('duplicates:resolve'), mergeRegistrations);
+
+module.exports = router;
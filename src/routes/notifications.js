@@ -0,0 +1,30 @@
+const express = require('express');
+const {
+  getNotifications,
+  markNotificationRead,
+  markAllNotificationsRead
+} = require('../controllers/notificationController');
+const { authenticateToken } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/notifications
+ * @desc List the signed-in user's in-app notifications, newest first
+ * @query {unread} - 'true' for unread notifications only
+ */
+router.get('/', authenticateToken, getNotifications);
+
+/**
+ * @route POST /api/v1/notifications/read-all
+ * @desc Mark all of the signed-in user's notifications as read
+ */
+router.post('/read-all', authenticateToken, markAllNotificationsRead);
+
+/**
+ * @route POST /api/v1/notifications/:id/read
+ * @desc Mark one of the signed-in user's notifications as read
+ */
+router.post('/:id/read', authenticateToken, markNotificationRead);
+
+module.exports = router;
@@ -0,0 +1,46 @@
+const express = require('express');
+const {
+  getPartners,
+  getPartnerById,
+  createPartner,
+  updatePartner,
+  deactivatePartner
+} = require('../controllers/partnerController');
+const { authenticateToken, requirePermission } = require('../middleware/auth');
+
+const router = express.Router();
+
+/**
+ * @route GET /api/v1/partners
+ * @desc List partner companies (requires auth; without partners:view you get active partners' public fields)
+ * @query {status, q}
+ */
+router.get('/', authenticateToken, getPartners);
+
+/**
+ * @route GET /api/v1/partners/:id
+ * @desc Get a partner company (partners:view)
+ */
+router.get('/:id', authenticateToken, requirePermission('partners:view'), getPartnerById);
+
+/**
+ * @route POST /api/v1/partners
+ * @desc Register a partner company (partners:manage)
+ * @body {name, emailDomains, tier, status, territories, channelManagerEmail}
+ */
+router.post('/', authenticateToken, requirePermission('partners:manage'), createPartner);
+
+/**
+ * @route PUT /api/v1/partners/:id
+ * @desc Update a partner company; the name cannot change (partners:manage)
+ * @body {emailDomains, tier, status, territories, channelManagerEmail}
+ */
+router.put('/:id', authenticateToken, requirePermission('partners:manage'), updatePartner);
+
+/**
+ * @route DELETE /api/v1/partners/:id
+ * @desc Deactivate a partner company (partners:manage)
+ */
+router.delete('/:id', authenticateToken, requirePermission('partners:manage'), deactivatePartner);
+
+module.exports = router;
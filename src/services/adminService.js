@@ -0,0 +1,250 @@
+const { adminRepository, auditLogRepository, userRepository } = require('../repositories');
+const auditService = require('./auditService');
+const permissionService = require('./permissionService');
+const sessionService = require('./sessionService');
+const {
+  getCurrentTimestamp,
+  normalizeEmail,
+  createHttpError
+} = require('../utils/helpers');
+
+const ADMIN_STATUSES = ['active', 'revoked'];
+const ADMIN_ACTIONS = ['admin_added', 'admin_removed', 'admin_reactivated', 'admin_role_changed'];
+
+/**
+ * Internal (Daxa) staff in the Admins sheet and their roles.
+ * Removal keeps the row (status revoked) so it can be reactivated and its history stays visible.
+ */
+class AdminService {
+  formatAdmin(admin) {
+    return {
+      email: admin.email,
+      role: permissionService.adminRole(admin),
+      status: admin.status,
+      addedBy: admin.added_by,
+      addedAt: admin.added_at,
+      removedBy: admin.removed_by || null,
+      removedAt: admin.removed_at || null,
+      reactivatedBy: admin.reactivated_by || null,
+      reactivatedAt: admin.reactivated_at || null
+    };
+  }
+
+  validateRole(role) {
+    const resolved = permissionService.resolveRole(role);
+
+    if (!permissionService.isInternalRole(resolved)) {
+      throw createHttpError('Invalid role', 400, { validRoles: permissionService.internalRoles });
+    }
+
+    return resolved;
+  }
+
+  /**
+   * Admins by status ('active', 'revoked' or 'all'), optionally with their audit history (newest first)
+   */
+  async list({ status = 'active', includeHistory = false } = {}) {
+    if (status !== 'all' && !ADMIN_STATUSES.includes(status)) {
+      throw createHttpError('Invalid status', 400, { validStatuses: [...ADMIN_STATUSES, 'all'] });
+    }
+
+    const admins = (await adminRepository.findAll())
+      .filter(admin => status === 'all' || admin.status === status);
+
+    const entries = includeHistory
+      ? (await auditLogRepository.findAll()).filter(entry => ADMIN_ACTIONS.includes(entry.action))
+      : [];
+
+    return admins.map(admin => {
+      const formatted = this.formatAdmin(admin);
+
+      if (!includeHistory) {
+        return formatted;
+      }
+
+      formatted.history = entries
+        .filter(entry => normalizeEmail(entry.subject_email) === normalizeEmail(admin.email))
+        .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''))
+        .map(entry => ({
+          action: entry.action,
+          by: entry.user_email,
+          at: entry.timestamp,
+          notes: entry.notes
+        }));
+
+      return formatted;
+    });
+  }
+
+  async add(email, role, { actor }) {
+    const adminEmail = normalizeEmail(email);
+
+    if (!adminEmail) {
+      throw createHttpError('Email required', 400, { message: 'Please provide a valid email address' });
+    }
+
+    const adminRole = this.validateRole(role);
+
+    const existing = await adminRepository.findByEmail(adminEmail);
+    if (existing) {
+      throw createHttpError('Admin already exists', 409, {
+        message: existing.status === 'revoked'
+          ? 'This admin was removed; reactivate them instead'
+          : 'This email is already in the admin list',
+        status: existing.status
+      });
+    }
+
+    const admin = await adminRepository.create({
+      email: adminEmail,
+      added_by: actor || 'system',
+      added_at: getCurrentTimestamp(),
+      status: 'active',
+      role: adminRole
+    });
+
+    await auditService.log({
+      userEmail: actor,
+      action: 'admin_added',
+      notes: `Added admin ${adminEmail} as ${adminRole}`,
+      subjectEmail: adminEmail
+    });
+
+    return this.formatAdmin(admin);
+  }
+
+  /**
+   * Change an active admin's role. There must always be an active super admin left.
+   */
+  async changeRole(email, role, { actor }) {
+    const adminRole = this.validateRole(role);
+    const admin = await adminRepository.findByEmail(email);
+
+    if (!admin || admin.status !== 'active') {
+      throw createHttpError('Admin not found', 404, { email });
+    }
+
+    if (normalizeEmail(admin.email) === normalizeEmail(actor)) {
+      throw createHttpError('You cannot change your own admin role', 400);
+    }
+
+    const currentRole = permissionService.adminRole(admin);
+    if (currentRole === adminRole) {
+      return this.formatAdmin(admin);
+    }
+
+    if (currentRole === 'super_admin') {
+      await this.assertOtherSuperAdmin(admin.email);
+    }
+
+    const updated = await adminRepository.update(admin.email, { role: adminRole });
+
+    await auditService.log({
+      action: 'admin_role_changed',
+      userEmail: actor,
+      notes: `Changed admin role of ${admin.email}`,
+      field: 'role',
+      oldValue: currentRole,
+      newValue: adminRole,
+      subjectEmail: admin.email
+    });
+
+    return this.formatAdmin(updated);
+  }
+
+  /**
+   * Revoke an admin: the row stays with status revoked, and their sessions end
+   * so they continue with partner permissions at most
+   */
+  async remove(email, { actor }) {
+    const admin = await adminRepository.findByEmail(email);
+
+    if (!admin) {
+      throw createHttpError('Admin not found', 404, { email });
+    }
+
+    if (normalizeEmail(admin.email) === normalizeEmail(actor)) {
+      throw createHttpError('Cannot remove self', 400, { message: 'You cannot remove your own admin privileges' });
+    }
+
+    if (admin.status !== 'active') {
+      throw createHttpError('Admin is already removed', 409, { status: admin.status });
+    }
+
+    if (permissionService.adminRole(admin) === 'super_admin') {
+      await this.assertOtherSuperAdmin(admin.email);
+    }
+
+    const updated = await adminRepository.update(admin.email, {
+      status: 'revoked',
+      removed_by: actor,
+      removed_at: getCurrentTimestamp()
+    });
+
+    const user = await userRepository.findByEmail(admin.email);
+    const revokedSessions = user ? await sessionService.revokeAllForUser(user.id, 'admin_removed') : 0;
+
+    await auditService.log({
+      action: 'admin_removed',
+      userEmail: actor,
+      notes: `Removed admin ${admin.email} (${revokedSessions} session(s) revoked)`,
+      field: 'status',
+      oldValue: admin.status,
+      newValue: 'revoked',
+      subjectEmail: admin.email
+    });
+
+    return this.formatAdmin(updated);
+  }
+
+  /**
+   * Restore a removed admin, with their previous role unless another is given
+   */
+  async reactivate(email, { role, actor }) {
+    const admin = await adminRepository.findByEmail(email);
+
+    if (!admin) {
+      throw createHttpError('Admin not found', 404, { email });
+    }
+
+    if (admin.status !== 'revoked') {
+      throw createHttpError('Only removed admins can be reactivated', 409, { status: admin.status });
+    }
+
+    const adminRole = role ? this.validateRole(role) : permissionService.adminRole(admin);
+
+    const updated = await adminRepository.update(admin.email, {
+      status: 'active',
+      role: adminRole,
+      reactivated_by: actor,
+      reactivated_at: getCurrentTimestamp()
+    });
+
+    await auditService.log({
+      action: 'admin_reactivated',
+      userEmail: actor,
+      notes: `Reactivated admin ${admin.email} as ${adminRole}`,
+      field: 'status',
+      oldValue: 'revoked',
+      newValue: 'active',
+      subjectEmail: admin.email
+    });
+
+    return this.formatAdmin(updated);
+  }
+
+  async assertOtherSuperAdmin(email) {
+    const admins = await adminRepository.findActive();
+    const others = admins.filter(admin => (
+      permissionService.adminRole(admin) === 'super_admin' && normalizeEmail(admin.email) !== normalizeEmail(email)
+    ));
+
+    if (others.length === 0) {
+      throw createHttpError('Cannot remove the last super admin', 409, {
+        message: 'Make another admin super admin first'
+      });
+    }
+  }
+}
+
+module.exports = new AdminService();
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const authConfig = require('../config/auth');
+const { apiKeyRepository, userRepository } = require('../repositories');
+const auditService = require('./auditService');
+const dealAccessService = require('./dealAccessService');
+const {
+  generateId,
+  getCurrentTimestamp,
+  generateSecureToken,
+  hashToken,
+  createHttpError
+} = require('../utils/helpers');
+
+const API_KEY_SCOPES = ['deals:read', 'deals:write', 'duplicates:check'];
+const KEY_PREFIX = 'dpk_';
+
+// last_used_at is written at most once per interval to spare the sheet
+const LAST_USED_INTERVAL_MS = 60 * 1000;
+
+/**
+ * API keys for partner system-to-system integrations (e.g. CRM pushes).
+ * A key is "dpk_<keyId>.<secret>"; only the secret's hash is stored.
+ * Requests made with a key act as the partner admin who created it, limited to its scopes.
+ */
+class ApiKeyService {
+  constructor() {
+    this.scopes = API_KEY_SCOPES;
+  }
+
+  /**
+   * Key data safe to return to clients
+   */
+  formatKey(key) {
+    return {
+      id: key.id,
+      name: key.name,
+      partnerCompany: key.partner_company,
+      scopes: (key.scopes || '').split(',').filter(Boolean),
+      keyHint: key.key_hint,
+      rateLimitPerMinute: this.rateLimitOf(key),
+      status: key.status,
+      createdBy: key.created_by,
+      createdAt: key.created_at,
+      lastUsedAt: key.last_used_at || null,
+      lastUsedIp: key.last_used_ip || null,
+      revokedBy: key.revoked_by || null,
+      revokedAt: key.revoked_at || null
+    };
+  }
+
+  /**
+   * Create a key for the partner admin's company. The plain key is returned only here.
+   */
+  async create({ name, scopes, rateLimitPerMinute }, { user }) {
+    if (!dealAccessService.isPartnerAdmin(user) || !dealAccessService.can(user, 'api_keys:manage')) {
+      throw createHttpError('Only partner admins can create API keys', 403);
+    }
+
+    const keyName = (name || '').trim();
+    if (!keyName) {
+      throw createHttpError('Key name is required', 400);
+    }
+
+    const requestedScopes = [...new Set(Array.isArray(scopes) ? scopes : [])];
+    if (requestedScopes.length === 0 || requestedScopes.some(scope => !API_KEY_SCOPES.includes(scope))) {
+      throw createHttpError('Invalid scopes', 400, { validScopes: API_KEY_SCOPES });
+    }
+
+    const rateLimit = rateLimitPerMinute === undefined
+      ? authConfig.apiKeyRateLimitPerMinute
+      : parseInt(rateLimitPerMinute, 10);
+
+    if (!Number.isInteger(rateLimit) || rateLimit < 1 || rateLimit > authConfig.apiKeyMaxRateLimitPerMinute) {
+      throw createHttpError('Invalid rate limit', 400, {
+        message: `rateLimitPerMinute must be between 1 and ${authConfig.apiKeyMaxRateLimitPerMinute}`
+      });
+    }
+
+    const secret = generateSecureToken();
+
+    const key = await apiKeyRepository.create({
+      id: generateId(),
+      name: keyName,
+      partner_company: user.partnerName,
+      scopes: requestedScopes.join(','),
+      key_hash: hashToken(secret),
+      key_hint: secret.slice(-4),
+      rate_limit_per_minute: String(rateLimit),
+      status: 'active',
+      created_by: user.email,
+      created_at: getCurrentTimestamp()
+    });
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'api_key_created',
+      notes: `Created API key "${keyName}" for ${key.partner_company} (${key.scopes})`
+    });
+
+    return {
+      apiKey: `${KEY_PREFIX}${key.id}.${secret}`,
+      key: this.formatKey(key)
+    };
+  }
+
+  /**
+   * Keys of the partner admin's company; admins see every company's keys
+   */
+  async list(user, { partnerCompany } = {}) {
+    const canManageAll = dealAccessService.can(user, 'api_keys:manage_all');
+
+    if (!canManageAll && !dealAccessService.isPartnerAdmin(user)) {
+      throw createHttpError('Only partner admins can manage API keys', 403);
+    }
+
+    const keys = canManageAll
+      ? (partnerCompany ? await apiKeyRepository.findByPartnerCompany(partnerCompany) : await apiKeyRepository.findAll())
+      : await apiKeyRepository.findByPartnerCompany(user.partnerName);
+
+    return keys
+      .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''))
+      .map(key => this.formatKey(key));
+  }
+
+  /**
+   * Revoke a key (its company's partner admins, or an admin)
+   */
+  async revoke(keyId, { user }) {
+    const key = await apiKeyRepository.findById(keyId);
+
+    const canRevoke = key && (
+      dealAccessService.can(user, 'api_keys:manage_all') ||
+      (dealAccessService.can(user, 'api_keys:manage') && dealAccessService.isSameCompany(user, key))
+    );
+
+    if (!canRevoke) {
+      throw createHttpError('API key not found', 404, { keyId });
+    }
+
+    if (key.status === 'revoked') {
+      throw createHttpError('API key is already revoked', 409);
+    }
+
+    const updated = await apiKeyRepository.update(keyId, {
+      status: 'revoked',
+      revoked_by: user.email,
+      revoked_at: getCurrentTimestamp()
+    });
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'api_key_revoked',
+      notes: `Revoked API key "${key.name}" of ${key.partner_company}`
+    });
+
+    return this.formatKey(updated);
+  }
+
+  /**
+   * Resolve a presented key to its record and the user it acts as.
+   * Throws 401 for unknown, revoked or orphaned keys.
+   */
+  async authenticate(rawKey, { ipAddress } = {}) {
+    const invalid = () => createHttpError('Invalid API key', 401, { message: 'The provided API key is invalid or revoked' });
+
+    if (typeof rawKey !== 'string' || !rawKey.startsWith(KEY_PREFIX)) {
+      throw invalid();
+    }
+
+    const [keyId, secret] = rawKey.slice(KEY_PREFIX.length).split('.');
+    const key = keyId && secret ? await apiKeyRepository.findById(keyId) : null;
+
+    // A hand-edited key_hash may have any length; timingSafeEqual throws on a mismatch
+    const storedHash = Buffer.from(key?.key_hash || '');
+    const secretHash = Buffer.from(hashToken(secret || ''));
+
+    if (!key || key.status !== 'active' || storedHash.length !== secretHash.length ||
+        !crypto.timingSafeEqual(storedHash, secretHash)) {
+      throw invalid();
+    }
+
+    // The key stops working once its creator leaves the company or is deactivated
+    const owner = await userRepository.findByEmail(key.created_by);
+    if (!owner || owner.status !== 'active' || !dealAccessService.isSameCompany({ partnerName: owner.partner_company }, key)) {
+      throw createHttpError('Invalid API key', 401, { message: 'The owner of this API key is no longer active' });
+    }
+
+    const lastUsed = new Date(key.last_used_at).getTime();
+    if (Number.isNaN(lastUsed) || Date.now() - lastUsed >= LAST_USED_INTERVAL_MS) {
+      await apiKeyRepository.update(key.id, {
+        last_used_at: getCurrentTimestamp(),
+        last_used_ip: ipAddress || ''
+      });
+    }
+
+    return { key, owner };
+  }
+
+  hasScope(key, scope) {
+    return (key.scopes || '').split(',').includes(scope);
+  }
+
+  rateLimitOf(key) {
+    return parseInt(key.rate_limit_per_minute, 10) || authConfig.apiKeyRateLimitPerMinute;
+  }
+}
+
+module.exports = new ApiKeyService();
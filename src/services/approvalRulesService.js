@@ -0,0 +1,313 @@
+const { dealRepository } = require('../repositories');
+const auditService = require('./auditService');
+const settingsService = require('./settingsService');
+const dealStatusService = require('./dealStatusService');
+const reviewerAssignmentService = require('./reviewerAssignmentService');
+const { getCurrentTimestamp, normalizeEmail, createHttpError } = require('../utils/helpers');
+
+const RULE_ACTIONS = ['auto_approve', 'require_approvals', 'route'];
+const LIST_CONDITIONS = ['partners', 'partnerTiers', 'territories', 'products'];
+const VALUE_CONDITIONS = ['minValue', 'maxValue'];
+const MAX_REQUIRED_APPROVALS = 5;
+
+// Deal columns the rule conditions read (noDuplicates depends on the company and domain)
+const RULE_FIELDS = ['deal_value', 'partner_company', 'territory', 'primary_product', 'company_name', 'domain'];
+
+/**
+ * Parse a deal value like "$120,000" into a number (NaN when missing)
+ */
+const parseDealValue = (value) => parseFloat(String(value ?? '').replace(/[^0-9.]/g, ''));
+
+const inList = (list, value) => list.some(item => item.toLowerCase() === (value || '').trim().toLowerCase());
+
+/**
+ * Approval rules, configured by admins (Settings: approval_rules) and evaluated
+ * in order when a deal is submitted. A rule matches when all of its conditions hold:
+ *   { id, name, enabled, conditions: { minValue, maxValue, partners, partnerTiers, territories, products, noDuplicates },
+ *     action: 'auto_approve' | 'require_approvals' | 'route', approvals, reviewer }
+ * Matching require_approvals rules raise the number of sign-offs (the highest wins)
+ * and then take precedence over auto-approval; the first matching route rule assigns the reviewer.
+ * The evaluated trail is stored on the deal for reviewers.
+ */
+class ApprovalRulesService {
+  constructor() {
+    this.actions = RULE_ACTIONS;
+    this.ruleFields = RULE_FIELDS;
+  }
+
+  async getRules() {
+    return settingsService.get('approval_rules');
+  }
+
+  async setRules(rules, { actor }) {
+    return settingsService.set('approval_rules', this.validate(rules), { actor });
+  }
+
+  /**
+   * Check and normalize a rule list; throws 400 naming the first invalid rule
+   */
+  validate(rules) {
+    if (!Array.isArray(rules)) {
+      throw createHttpError('Rules must be an array', 400);
+    }
+
+    const ids = new Set();
+
+    return rules.map((rule, index) => {
+      const invalid = (message, details = {}) => createHttpError(message, 400, { ruleIndex: index, ...details });
+
+      if (!rule || typeof rule !== 'object') {
+        throw invalid('Invalid rule');
+      }
+
+      const id = String(rule.id || `rule-${index + 1}`).trim();
+      const name = String(rule.name || '').trim();
+
+      if (!name) {
+        throw invalid('Rule name is required');
+      }
+
+      if (ids.has(id)) {
+        throw invalid('Duplicate rule id', { id });
+      }
+      ids.add(id);
+
+      if (!this.actions.includes(rule.action)) {
+        throw invalid('Invalid rule action', { validActions: this.actions });
+      }
+
+      const conditions = rule.conditions || {};
+      const unknownConditions = Object.keys(conditions)
+        .filter(key => ![...LIST_CONDITIONS, ...VALUE_CONDITIONS, 'noDuplicates'].includes(key));
+
+      if (unknownConditions.length > 0) {
+        throw invalid('Unknown rule conditions', {
+          unknownConditions,
+          validConditions: [...VALUE_CONDITIONS, ...LIST_CONDITIONS, 'noDuplicates']
+        });
+      }
+
+      const normalized = { id, name, enabled: rule.enabled !== false, action: rule.action, conditions: {} };
+
+      VALUE_CONDITIONS.filter(key => conditions[key] !== undefined && conditions[key] !== null).forEach(key => {
+        const value = Number(conditions[key]);
+        if (!Number.isFinite(value) || value < 0) {
+          throw invalid(`${key} must be a non-negative number`);
+        }
+        normalized.conditions[key] = value;
+      });
+
+      LIST_CONDITIONS.filter(key => conditions[key] !== undefined).forEach(key => {
+        const values = (Array.isArray(conditions[key]) ? conditions[key] : String(conditions[key]).split(','))
+          .map(value => String(value).trim())
+          .filter(Boolean);
+        if (values.length > 0) {
+          normalized.conditions[key] = values;
+        }
+      });
+
+      if (conditions.noDuplicates !== undefined) {
+        normalized.conditions.noDuplicates = Boolean(conditions.noDuplicates);
+      }
+
+      if (rule.action === 'require_approvals') {
+        const approvals = parseInt(rule.approvals, 10);
+        if (!(approvals >= 2 && approvals <= MAX_REQUIRED_APPROVALS)) {
+          throw invalid(`approvals must be between 2 and ${MAX_REQUIRED_APPROVALS}`);
+        }
+        normalized.approvals = approvals;
+      }
+
+      if (rule.action === 'route') {
+        const reviewer = normalizeEmail(rule.reviewer);
+        if (!reviewer || !reviewer.includes('@')) {
+          throw invalid('Route rules need a reviewer email');
+        }
+        normalized.reviewer = reviewer;
+      }
+
+      return normalized;
+    });
+  }
+
+  /**
+   * Conditions of a rule the deal does not meet (empty when the rule matches)
+   */
+  failedConditions(rule, deal, { partner, duplicateCheck }) {
+    const { conditions } = rule;
+    const value = parseDealValue(deal.deal_value);
+    const failed = [];
+
+    if (conditions.minValue !== undefined && !(value >= conditions.minValue)) {
+      failed.push(`deal value below ${conditions.minValue}`);
+    }
+    if (conditions.maxValue !== undefined && !(value < conditions.maxValue)) {
+      failed.push(`deal value not under ${conditions.maxValue}`);
+    }
+    if (conditions.partners && !inList(conditions.partners, deal.partner_company)) {
+      failed.push('partner not listed');
+    }
+    if (conditions.partnerTiers && !inList(conditions.partnerTiers, partner?.tier)) {
+      failed.push('partner tier not listed');
+    }
+    if (conditions.territories && !inList(conditions.territories, deal.territory)) {
+      failed.push('territory not listed');
+    }
+    if (conditions.products && !inList(conditions.products, deal.primary_product)) {
+      failed.push('product not listed');
+    }
+    if (conditions.noDuplicates) {
+      const candidates = (duplicateCheck?.duplicates?.length || 0) + (duplicateCheck?.possibleMatches?.length || 0);
+      if (candidates > 0 || deal.conflict_status === 'open') {
+        failed.push('duplicate candidates found');
+      }
+    }
+
+    return failed;
+  }
+
+  /**
+   * Evaluate rules against a deal
+   * @param {Object} context - { partner, duplicateCheck }
+   * @returns {Object} - { trail, autoApprove, requiredApprovals, reviewer }
+   */
+  evaluate(deal, rules, context = {}) {
+    const outcome = { trail: [], autoApprove: false, requiredApprovals: 1, reviewer: null };
+    let autoApproveRule = null;
+
+    rules.forEach(rule => {
+      if (!rule.enabled) {
+        outcome.trail.push({ ruleId: rule.id, name: rule.name, action: rule.action, matched: false, skipped: 'disabled' });
+        return;
+      }
+
+      const failed = this.failedConditions(rule, deal, context);
+      const entry = { ruleId: rule.id, name: rule.name, action: rule.action, matched: failed.length === 0 };
+
+      if (failed.length > 0) {
+        entry.failedConditions = failed;
+      } else if (rule.action === 'require_approvals') {
+        outcome.requiredApprovals = Math.max(outcome.requiredApprovals, rule.approvals);
+        entry.approvals = rule.approvals;
+      } else if (rule.action === 'route') {
+        if (outcome.reviewer) {
+          entry.skipped = 'reviewer already routed';
+        } else {
+          outcome.reviewer = rule.reviewer;
+          entry.reviewer = rule.reviewer;
+        }
+      } else if (rule.action === 'auto_approve') {
+        autoApproveRule = autoApproveRule || rule;
+      }
+
+      outcome.trail.push(entry);
+    });
+
+    // Auto-approval never bypasses multi-level sign-off or an open channel conflict
+    outcome.autoApprove = Boolean(autoApproveRule) && outcome.requiredApprovals === 1 && deal.conflict_status !== 'open';
+    outcome.autoApproveRule = outcome.autoApprove ? autoApproveRule.id : null;
+
+    return outcome;
+  }
+
+  /**
+   * Evaluate the configured rules for a new deal, store the outcome on it and
+   * auto-approve when a rule allows it
+   * @returns {Object} - { deal, outcome } (outcome null when no rules are configured)
+   */
+  async applyOnSubmission(deal, context = {}) {
+    const rules = await this.getRules();
+
+    if (rules.length === 0) {
+      return { deal, outcome: null };
+    }
+
+    const outcome = this.evaluate(deal, rules, context);
+    const changes = {
+      required_approvals: String(outcome.requiredApprovals),
+      approval_rule_trail: JSON.stringify({ evaluatedAt: getCurrentTimestamp(), rules: outcome.trail })
+    };
+
+    if (outcome.reviewer) {
+      try {
+        const reviewer = await reviewerAssignmentService.resolveReviewer(outcome.reviewer);
+        Object.assign(changes, reviewerAssignmentService.assignmentChanges(reviewer.email, 'rule'));
+      } catch (error) {
+        console.error(`Approval rules: cannot route deal ${deal.id} to ${outcome.reviewer}:`, error.message);
+        outcome.reviewer = null;
+      }
+    }
+
+    let updatedDeal = await dealRepository.update(deal.id, changes);
+
+    const matched = outcome.trail.filter(entry => entry.matched).map(entry => entry.ruleId);
+    await auditService.log({
+      dealId: deal.id,
+      userEmail: 'system',
+      action: 'approval_rules_evaluated',
+      notes: [
+        matched.length > 0 ? `Matched rules: ${matched.join(', ')}` : 'No rules matched',
+        outcome.requiredApprovals > 1 ? `${outcome.requiredApprovals} approvals required` : null,
+        outcome.reviewer ? `Routed to ${outcome.reviewer}` : null
+      ].filter(Boolean).join('. ')
+    });
+
+    if (outcome.autoApprove) {
+      const result = await dealStatusService.review(deal.id, 'approved', {
+        actor: 'system',
+        action: 'auto_approved',
+        notes: `Auto-approved by rule ${outcome.autoApproveRule}`
+      });
+      updatedDeal = result.deal;
+    }
+
+    return { deal: updatedDeal, outcome };
+  }
+
+  /**
+   * Evaluate the rules again after an open deal was edited in a field they read.
+   * Sign-offs given for the old values are dropped, and a reviewer routed by a
+   * rule is released so the new outcome (or automatic assignment) decides.
+   * @returns {Object} - { deal, outcome } as applyOnSubmission
+   */
+  async reapplyAfterEdit(deal, context = {}) {
+    const reset = {
+      required_approvals: '',
+      approvals: '',
+      approval_rule_trail: ''
+    };
+
+    if (deal.reviewer_assigned_via === 'rule') {
+      Object.assign(reset, { reviewer: '', reviewer_assigned_at: '', reviewer_assigned_via: '' });
+    }
+
+    const resetDeal = await dealRepository.update(deal.id, reset);
+
+    return this.applyOnSubmission(resetDeal, context);
+  }
+
+  /**
+   * Approval state of a deal for reviewers
+   */
+  describe(deal) {
+    let trail = null;
+    try {
+      trail = deal.approval_rule_trail ? JSON.parse(deal.approval_rule_trail) : null;
+    } catch (error) {
+      console.error(`Invalid approval rule trail on deal ${deal.id}:`, error.message);
+    }
+
+    const requiredApprovals = Math.max(parseInt(deal.required_approvals, 10) || 1, 1);
+    const approvals = (deal.approvals || '').split(',').filter(Boolean);
+
+    return {
+      requiredApprovals,
+      approvals,
+      pendingApprovals: deal.status === 'approved' ? 0 : Math.max(requiredApprovals - approvals.length, 0),
+      reviewer: deal.reviewer || null,
+      ruleTrail: trail
+    };
+  }
+}
+
+module.exports = new ApprovalRulesService();
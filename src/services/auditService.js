@@ -0,0 +1,82 @@
+const { auditLogRepository } = require('../repositories');
+const { normalizeEmail, createHttpError } = require('../utils/helpers');
+
+class AuditService {
+  /**
+   * Record an audit entry. Every audited action goes through here.
+   * Failures are logged, never thrown: the action itself already happened.
+   * @param {Object} entry - { action, userEmail, dealId, notes, field, oldValue, newValue, subjectEmail }
+   */
+  async log(entry) {
+    try {
+      return await auditLogRepository.log(entry);
+    } catch (error) {
+      console.error(`Failed to write audit entry (${entry.action}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Record one entry per changed field with its before/after values
+   */
+  async logChanges({ action, userEmail, dealId, before = {}, after = {} }) {
+    const fields = Object.keys(after).filter(field => (before[field] || '') !== (after[field] || ''));
+
+    for (const field of fields) {
+      await this.log({
+        action,
+        userEmail,
+        dealId,
+        notes: `Changed ${field}`,
+        field,
+        oldValue: before[field] || '',
+        newValue: after[field] || ''
+      });
+    }
+
+    return fields;
+  }
+
+  /**
+   * Get a deal's audit trail, oldest first
+   */
+  async getDealHistory(dealId) {
+    const entries = await auditLogRepository.findByDeal(dealId);
+    return entries.sort((a, b) => (a.timestamp || '').localeCompare(b.timestamp || ''));
+  }
+
+  /**
+   * Search the audit log, newest first
+   * @param {Object} filters - { actor, action (comma separated), dealId, from, to }
+   */
+  async query({ actor, action, dealId, from, to } = {}) {
+    const actions = action ? action.split(',').map(value => value.trim()).filter(Boolean) : [];
+    const fromTime = from ? new Date(from).getTime() : null;
+    // A bare date as upper bound includes the whole day
+    const toTime = to
+      ? new Date(to).getTime() + (/^\d{4}-\d{2}-\d{2}$/.test(to) ? 24 * 60 * 60 * 1000 - 1 : 0)
+      : null;
+
+    if (Number.isNaN(fromTime) || Number.isNaN(toTime)) {
+      throw createHttpError('Invalid date range', 400, { from, to });
+    }
+
+    const entries = await auditLogRepository.findAll();
+
+    return entries
+      .filter(entry => {
+        if (actor && normalizeEmail(entry.user_email) !== normalizeEmail(actor)) return false;
+        if (actions.length > 0 && !actions.includes(entry.action)) return false;
+        if (dealId && entry.deal_id !== dealId) return false;
+
+        const time = new Date(entry.timestamp).getTime();
+        if (fromTime !== null && !(time >= fromTime)) return false;
+        if (toTime !== null && !(time <= toTime)) return false;
+
+        return true;
+      })
+      .sort((a, b) => (b.timestamp || '').localeCompare(a.timestamp || ''));
+  }
+}
+
+module.exports = new AuditService();
@@ -1,13 +1,36 @@
 const passport = require('passport');
 const GoogleStrategy = require('passport-google-oauth20').Strategy;
 const jwt = require('jsonwebtoken');
-const googleSheetsService = require('./googleSheetsService');
+const bcrypt = require('bcryptjs');
+const authConfig = require('../config/auth');
+const { userRepository, adminRepository, userProfileRepository, partnerRepository } = require('../repositories');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const sessionService = require('./sessionService');
+const invitationService = require('./invitationService');
+const partnerService = require('./partnerService');
+const twoFactorService = require('./twoFactorService');
+const permissionService = require('./permissionService');
+const {
+  generateId,
+  getCurrentTimestamp,
+  normalizeEmail,
+  generateSecureToken,
+  hashToken,
+  createHttpError
+} = require('../utils/helpers');
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 
 class AuthService {
   constructor() {
   }
 
-  async googleLogin(profile) {
+  /**
+   * Find or provision the Users row for a Google profile
+   * @param {Object} context - { inviteToken } for first-time sign-up
+   */
+  async googleLogin(profile, context = {}) {
     try {
       console.log('=== GOOGLE PROFILE DEBUG ===');
       console.log('Full profile object:', JSON.stringify(profile, null, 2));
@@ -30,84 +53,508 @@ class AuthService {
       console.log('Successfully extracted - Email:', email, 'Name:', firstName, lastName, 'ID:', googleId);
 
       // Check if user exists in Users sheet
-      let user = await googleSheetsService.findRowByValue('Users', 'email', email);
+      let user = await userRepository.findByEmail(email);
+
+      if (user && user.status === 'pending_verification') {
+        // Google has verified the address, so a pending password sign-up can be activated.
+        // Its password was never proven to belong to the address owner (it may have been
+        // set by someone else to pre-claim the account), so it is dropped: the user can set
+        // one through the password reset flow.
+        user = await userRepository.update(user.id, {
+          status: 'active',
+          email_verified_at: getCurrentTimestamp(),
+          verification_token_hash: '',
+          verification_expires_at: '',
+          password_hash: ''
+        });
+
+        const revokedSessions = await sessionService.revokeAllForUser(user.id, 'google_verified');
+
+        await auditService.log({
+          userEmail: user.email,
+          action: 'email_verified',
+          notes: `Verified by Google sign-in; unverified password cleared, ${revokedSessions} session(s) revoked`
+        });
+      }
 
       if (!user) {
-        // Create new user with default partner company
-        const defaultPartnerCompany = this.getPartnerCompanyFromEmail(email);
+        // Create new user with the invited (or domain-derived) partner company.
+        // Google sign-up has no company field, so unknown domains get the fallback partner.
+        const signup = await this.resolveSignup(email, {
+          inviteToken: context.inviteToken,
+          company: partnerService.fallbackName
+        });
         
-        const userData = [
-          googleId, // id
-          email, // email
-          firstName, // first_name
-          lastName, // last_name
-          defaultPartnerCompany, // partner_company
-          'user', // role
-          'active', // status
-          googleSheetsService.getCurrentTimestamp() // created_at
-        ];
-
-        await googleSheetsService.appendToSheet('Users', userData);
-        
-        // Fetch the newly created user
-        user = await googleSheetsService.findRowByValue('Users', 'email', email);
+        user = await userRepository.create({
+          id: googleId,
+          email: email,
+          first_name: firstName,
+          last_name: lastName,
+          partner_company: signup.partnerCompany,
+          role: signup.role,
+          status: 'active',
+          created_at: getCurrentTimestamp(),
+          email_verified_at: getCurrentTimestamp()
+        });
+
+        if (signup.invitation) {
+          await invitationService.accept(signup.invitation, user);
+        }
         
         console.log('✅ New user created:', email);
       } else {
         console.log('✅ Existing user found:', email);
       }
 
-      // Create JWT token
-      const tokenPayload = {
-        id: user.id,
-        email: user.email,
-        role: user.role,
-        partnerId: user.partner_company
-      };
+      // The session (or two-factor challenge) is issued when the frontend exchanges its one-time code
+      return user;
+
+    } catch (error) {
+      console.error('Google login error:', error);
+      if (error.status) {
+        throw error;
+      }
+      throw new Error('Authentication failed: ' + error.message);
+    }
+  }
+
+  /**
+   * Register a partner user with email and password.
+   * The account stays pending_verification until the emailed link is followed,
+   * unless it was created from an invitation (the invite link already proves the address).
+   */
+  async registerUser({ email, password, firstName, lastName, company, territory, inviteToken }) {
+    const normalizedEmail = normalizeEmail(email);
+
+    if (!EMAIL_PATTERN.test(normalizedEmail)) {
+      throw createHttpError('Invalid email address', 400);
+    }
+
+    this.validatePassword(password);
+
+    if (await userRepository.findByEmail(normalizedEmail)) {
+      throw createHttpError('An account with this email already exists', 409);
+    }
+
+    const signup = await this.resolveSignup(normalizedEmail, { inviteToken, company });
+    const passwordHash = await bcrypt.hash(password, authConfig.bcryptRounds);
+
+    let user = await userRepository.create({
+      id: generateId(),
+      email: normalizedEmail,
+      first_name: firstName.trim(),
+      last_name: lastName.trim(),
+      partner_company: signup.partnerCompany,
+      role: signup.role,
+      status: signup.invitation ? 'active' : 'pending_verification',
+      created_at: getCurrentTimestamp(),
+      password_hash: passwordHash,
+      email_verified_at: signup.invitation ? getCurrentTimestamp() : ''
+    });
+
+    if (territory) {
+      await userProfileRepository.upsert(normalizedEmail, { territory });
+    }
+
+    if (signup.invitation) {
+      await invitationService.accept(signup.invitation, user);
+    } else {
+      user = await this.sendVerificationEmail(user);
+    }
+
+    await auditService.log({
+      userEmail: normalizedEmail,
+      action: 'registered',
+      notes: `Registered for ${user.partner_company}`
+    });
+
+    return this.formatUser(user);
+  }
+
+  /**
+   * Partner company and role for a new account. An invitation decides both;
+   * without one the account joins a known partner domain's company or, when open
+   * sign-up is allowed, the company the user entered. A registered partner's name
+   * (other than the fallback partner) is only accepted from its own email domains.
+   */
+  async resolveSignup(email, { inviteToken, company } = {}) {
+    if (inviteToken) {
+      const invitation = await invitationService.resolveToken(inviteToken, email);
+      return { invitation, partnerCompany: invitation.partner_company, role: invitation.role };
+    }
+
+    const knownCompany = await this.getKnownPartnerCompany(email);
+
+    if (authConfig.signupRequiresInvite) {
+      if (!knownCompany) {
+        throw createHttpError('Invitation required', 403, {
+          code: 'invitation_required',
+          message: 'Sign-up requires an invitation from your partner manager'
+        });
+      }
+
+      return { invitation: null, partnerCompany: knownCompany, role: 'user' };
+    }
+
+    if (knownCompany) {
+      return { invitation: null, partnerCompany: knownCompany, role: 'user' };
+    }
+
+    const partnerCompany = typeof company === 'string' ? company.trim() : '';
 
-      const accessToken = jwt.sign(tokenPayload, process.env.JWT_SECRET, { 
-        expiresIn: '24h' 
+    if (!partnerCompany) {
+      throw createHttpError('Partner company is required', 400, { required: ['company'] });
+    }
+
+    const registered = await partnerRepository.findByName(partnerCompany);
+
+    if (registered && registered.name !== partnerService.fallbackName) {
+      throw createHttpError('Partner company does not match your email domain', 403, {
+        code: 'partner_domain_mismatch',
+        message: `Sign-ups for ${registered.name} must use one of its registered email domains`
       });
+    }
 
-      // Format user data for frontend
-      const userData = {
-        id: user.id,
-        email: user.email,
-        firstName: user.first_name,
-        lastName: user.last_name,
-        role: user.role,
-        partnerId: user.partner_company,
-        partnerName: user.partner_company
-      };
+    return { invitation: null, partnerCompany: registered ? registered.name : partnerCompany, role: 'user' };
+  }
+
+  /**
+   * Password policy: minimum length with at least one letter and one number
+   */
+  validatePassword(password) {
+    if (typeof password !== 'string' || password.length < authConfig.passwordMinLength ||
+        !/[a-zA-Z]/.test(password) || !/[0-9]/.test(password)) {
+      throw createHttpError('Password does not meet requirements', 400, {
+        requirements: `At least ${authConfig.passwordMinLength} characters including a letter and a number`
+      });
+    }
+  }
+
+  /**
+   * Issue a fresh verification token (only its hash is stored) and email the link
+   */
+  async sendVerificationEmail(user) {
+    const token = generateSecureToken();
+    const expiresAt = new Date(Date.now() + authConfig.verificationTokenHours * 60 * 60 * 1000).toISOString();
+
+    const updatedUser = await userRepository.update(user.id, {
+      verification_token_hash: hashToken(token),
+      verification_expires_at: expiresAt
+    });
+
+    await emailService.send('email_verification', user.email, { user, token, expiresAt });
+
+    return updatedUser;
+  }
+
+  /**
+   * Activate the account whose verification token matches
+   */
+  async verifyEmail(token) {
+    if (!token) {
+      throw createHttpError('Verification token is required', 400);
+    }
+
+    const tokenHash = hashToken(token);
+    const users = await userRepository.findAll();
+    const user = users.find(candidate => candidate.verification_token_hash === tokenHash);
+
+    if (!user) {
+      throw createHttpError('Invalid or already used verification link', 400);
+    }
+
+    if (new Date(user.verification_expires_at).getTime() < Date.now()) {
+      throw createHttpError('Verification link has expired', 410, { canResend: true });
+    }
+
+    const updatedUser = await userRepository.update(user.id, {
+      status: user.status === 'pending_verification' ? 'active' : user.status,
+      email_verified_at: getCurrentTimestamp(),
+      verification_token_hash: '',
+      verification_expires_at: ''
+    });
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'email_verified',
+      notes: 'Email address verified'
+    });
+
+    return this.formatUser(updatedUser);
+  }
+
+  /**
+   * Send a new verification link to a pending account.
+   * Silently does nothing for unknown or already verified emails.
+   */
+  async resendVerification(email) {
+    const user = await userRepository.findByEmail(email);
+
+    if (user && user.status === 'pending_verification') {
+      await this.sendVerificationEmail(user);
+    }
+  }
+
+  /**
+   * Email a single-use password reset link. Silently does nothing for unknown
+   * or deactivated accounts, and while a recent link is still cooling down.
+   */
+  async requestPasswordReset(email) {
+    const user = await userRepository.findByEmail(email);
+
+    if (!user || !['active', 'pending_verification'].includes(user.status)) {
+      return;
+    }
+
+    const lastRequest = new Date(user.reset_requested_at).getTime();
+    if (!Number.isNaN(lastRequest) && Date.now() - lastRequest < authConfig.passwordResetCooldownSeconds * 1000) {
+      return;
+    }
 
+    const token = generateSecureToken();
+    const expiresAt = new Date(Date.now() + authConfig.passwordResetMinutes * 60 * 1000).toISOString();
+
+    // Only the newest link is valid: its hash replaces any earlier one
+    await userRepository.update(user.id, {
+      reset_token_hash: hashToken(token),
+      reset_expires_at: expiresAt,
+      reset_requested_at: getCurrentTimestamp()
+    });
+
+    await emailService.send('password_reset', user.email, { user, token, expiresAt });
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'password_reset_requested',
+      notes: 'Password reset link sent'
+    });
+  }
+
+  /**
+   * Set a new password from a reset token, consume the token and end every session
+   */
+  async resetPassword(token, newPassword) {
+    if (!token) {
+      throw createHttpError('Reset token is required', 400);
+    }
+
+    this.validatePassword(newPassword);
+
+    const tokenHash = hashToken(token);
+    const users = await userRepository.findAll();
+    const user = users.find(candidate => candidate.reset_token_hash === tokenHash);
+
+    if (!user || !['active', 'pending_verification'].includes(user.status)) {
+      throw createHttpError('Invalid or already used reset link', 400);
+    }
+
+    if (new Date(user.reset_expires_at).getTime() <= Date.now()) {
+      throw createHttpError('Reset link has expired', 410);
+    }
+
+    const passwordHash = await bcrypt.hash(newPassword, authConfig.bcryptRounds);
+
+    // The emailed link also proves ownership of the address
+    const updatedUser = await userRepository.update(user.id, {
+      password_hash: passwordHash,
+      reset_token_hash: '',
+      reset_expires_at: '',
+      status: 'active',
+      email_verified_at: user.email_verified_at || getCurrentTimestamp(),
+      verification_token_hash: '',
+      verification_expires_at: ''
+    });
+
+    const revokedSessions = await sessionService.revokeAllForUser(user.id, 'password_reset');
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'password_reset',
+      notes: `Password reset, ${revokedSessions} session(s) revoked`
+    });
+
+    await emailService.send('password_changed', user.email, { user });
+
+    return this.formatUser(updatedUser);
+  }
+
+  /**
+   * Verify email/password credentials and issue an access token (or a two-factor challenge)
+   */
+  async loginUser(email, password, context = {}) {
+    const user = await userRepository.findByEmail(email);
+    const passwordMatches = Boolean(user?.password_hash) && await bcrypt.compare(String(password), user.password_hash);
+
+    if (!passwordMatches) {
+      await auditService.log({
+        userEmail: normalizeEmail(email),
+        action: 'login_failed',
+        notes: 'Email login with invalid credentials'
+      });
+
+      throw createHttpError('Invalid credentials', 401, { message: 'Email or password is incorrect' });
+    }
+
+    if (user.status === 'pending_verification') {
+      throw createHttpError('Email not verified', 403, {
+        message: 'Please verify your email address before logging in',
+        canResend: true
+      });
+    }
+
+    if (user.status !== 'active') {
+      throw createHttpError('Account inactive', 403, { message: 'Your account is not active' });
+    }
+
+    return this.completeLogin(user, context, 'Email login');
+  }
+
+  /**
+   * Role the user acts with: their Admins sheet role when an active admin, else the Users role
+   */
+  async getEffectiveRole(user) {
+    return permissionService.resolveUserRole(user);
+  }
+
+  /**
+   * Finish the first login step. Accounts with 2FA enabled, or whose role requires it,
+   * get a short-lived challenge token instead of a session.
+   */
+  async completeLogin(user, context = {}, method = 'Email login') {
+    const role = await this.getEffectiveRole(user);
+    const twoFactorEnabled = twoFactorService.isEnabled(user);
+
+    if (twoFactorEnabled || await twoFactorService.isRequiredForRole(role)) {
       return {
-        user: userData,
-        accessToken: accessToken
+        user: this.formatUser(user, role),
+        twoFactorRequired: true,
+        enrollmentRequired: !twoFactorEnabled,
+        challengeToken: await twoFactorService.createChallenge(user)
       };
+    }
 
-    } catch (error) {
-      console.error('Google login error:', error);
-      throw new Error('Authentication failed: ' + error.message);
+    return this.startSession(user, role, context, method);
+  }
+
+  async startSession(user, role, context, notes) {
+    await userRepository.update(user.id, { last_login_at: getCurrentTimestamp() });
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'login',
+      notes: notes
+    });
+
+    return {
+      user: this.formatUser(user, role),
+      ...(await this.issueTokens(user, context))
+    };
+  }
+
+  /**
+   * Second login step: exchange a challenge token and a TOTP or backup code for a session
+   */
+  async verifyTwoFactorLogin(challengeToken, { code, backupCode }, context = {}) {
+    const user = await twoFactorService.resolveChallenge(challengeToken);
+    const result = await twoFactorService.verify(user, { code, backupCode });
+    await twoFactorService.consumeChallenge(user);
+    const role = await this.getEffectiveRole(user);
+
+    const login = await this.startSession(user, role, context, `Login with two-factor (${result.method})`);
+
+    return result.backupCodesRemaining === undefined
+      ? login
+      : { ...login, backupCodesRemaining: result.backupCodesRemaining };
+  }
+
+  /**
+   * User managing 2FA: from a login challenge (enrollment before the first session)
+   * or from the signed-in user's access token
+   */
+  async getTwoFactorUser({ challengeToken, userId }) {
+    if (challengeToken) {
+      return twoFactorService.resolveChallenge(challengeToken);
+    }
+
+    const user = userId && await userRepository.findById(userId);
+
+    if (!user) {
+      throw createHttpError('Access token required', 401, { message: 'Please login or provide a challenge token' });
     }
+
+    return user;
+  }
+
+  /**
+   * User data returned to the frontend (never includes credential columns)
+   */
+  formatUser(user, role = permissionService.partnerRole(user.role)) {
+    return {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      role: permissionService.resolveRole(role) || 'partner_user',
+      permissions: permissionService.permissionsFor(role),
+      status: user.status,
+      partnerId: user.partner_company,
+      partnerName: user.partner_company
+    };
   }
 
   /**
-   * Determine partner company from email domain
-   * This is a simple mapping - you can customize this logic
+   * Everything the frontend needs about the signed-in user:
+   * Users row, UserProfiles preferences, Admins membership and permissions
    */
-  getPartnerCompanyFromEmail(email) {
-    const domain = email.split('@')[1]?.toLowerCase();
-    
-    // Simple domain to partner company mapping
-    const domainMappings = {
-      'techflow.com': 'TechFlow Solutions',
-      'digitalinnovations.com': 'Digital Innovations Inc.',
-      'cloudware.com': 'CloudWare Partners',
-      'databridge.com': 'DataBridge Consulting',
-      'daxa.ai': 'Daxa Internal', // For internal testing
+  async getCurrentUser(userId) {
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+      throw createHttpError('User not found', 404, { userId });
+    }
+
+    const [profile, admin] = await Promise.all([
+      userProfileRepository.findByEmail(user.email),
+      adminRepository.findByEmail(user.email)
+    ]);
+
+    const isAdmin = admin?.status === 'active';
+    const role = await permissionService.resolveUserRole(user);
+
+    return {
+      ...this.formatUser(user, role),
+      emailVerified: Boolean(user.email_verified_at) || !user.password_hash,
+      twoFactorEnabled: twoFactorService.isEnabled(user),
+      createdAt: user.created_at,
+      isAdmin: isAdmin,
+      admin: isAdmin ? { role: permissionService.adminRole(admin), addedBy: admin.added_by, addedAt: admin.added_at } : null,
+      profile: {
+        companyName: profile?.company_name || user.partner_company || '',
+        territory: profile?.territory || '',
+        companyDescription: profile?.company_description || '',
+        companySize: profile?.company_size || '',
+        websiteUrl: profile?.website_url || '',
+        updatedAt: profile?.updated_at || null
+      },
+      preferences: {
+        emailOptOuts: (profile?.email_opt_outs || '').split(',').filter(Boolean)
+      }
     };
+  }
+
+  /**
+   * Determine partner company from email domain (Partners sheet registry)
+   */
+  async getPartnerCompanyFromEmail(email) {
+    return (await this.getKnownPartnerCompany(email)) || partnerService.fallbackName;
+  }
 
-    return domainMappings[domain] || 'External Partner';
+  /**
+   * Name of the active partner owning the email's domain, or null
+   */
+  async getKnownPartnerCompany(email) {
+    const partner = await partnerService.findByEmail(email);
+    return partner ? partner.name : null;
   }
 
   /**
@@ -119,25 +566,22 @@ class AuthService {
       const firstName = profile.name.givenName;
       const lastName = profile.name.familyName;
       
-      let user = await googleSheetsService.findRowByValue('Users', 'email', email);
+      let user = await userRepository.findByEmail(email);
       
       if (!user) {
         // Create new user
-        const partnerCompany = this.getPartnerCompanyFromEmail(email);
+        const partnerCompany = await this.getPartnerCompanyFromEmail(email);
         
-        const userData = [
-          profile.id, // id (use Google ID)
-          email,
-          firstName,
-          lastName,
-          partnerCompany,
-          'user', // default role
-          'active', // status
-          googleSheetsService.getCurrentTimestamp()
-        ];
-
-        await googleSheetsService.appendToSheet('Users', userData);
-        user = await googleSheetsService.findRowByValue('Users', 'email', email);
+        user = await userRepository.create({
+          id: profile.id, // use Google ID
+          email: email,
+          first_name: firstName,
+          last_name: lastName,
+          partner_company: partnerCompany,
+          role: 'user', // default role
+          status: 'active',
+          created_at: getCurrentTimestamp()
+        });
       }
 
       return user;
@@ -148,19 +592,11 @@ class AuthService {
   }
 
   /**
-   * Generate JWT token
+   * Start a server-side session and issue its access/refresh token pair
+   * @param {Object} context - { userAgent, ipAddress }
    */
-  generateToken(user) {
-    const payload = {
-      id: user.id,
-      email: user.email,
-      role: user.role,
-      partnerId: user.partner_company
-    };
-
-    return jwt.sign(payload, process.env.JWT_SECRET, {
-      expiresIn: '24h'
-    });
+  async issueTokens(user, context = {}) {
+    return sessionService.createSession(user, context);
   }
 
   /**
@@ -0,0 +1,166 @@
+const { dealRepository } = require('../repositories');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const dealStatusService = require('./dealStatusService');
+const reviewerAssignmentService = require('./reviewerAssignmentService');
+const { createHttpError } = require('../utils/helpers');
+
+const BULK_ACTIONS = ['approve', 'reject', 'under_review', 'assign'];
+const MAX_BULK_DEALS = 100;
+
+/**
+ * Review actions on many deals at once (pending-deals queue).
+ * Every deal is checked on its own, the accepted ones are written in a single
+ * batch, and each gets its own audit entry.
+ */
+class BulkReviewService {
+  constructor() {
+    this.actions = BULK_ACTIONS;
+    this.maxDeals = MAX_BULK_DEALS;
+  }
+
+  /**
+   * @param {Object} request - { dealIds, action, rejectionReason, reasons: { [dealId]: reason }, reviewer, notes }
+   * @returns {Object} - { action, results: [{ dealId, success, status, deal } | { dealId, success, statusCode, error }], succeeded, failed }
+   */
+  async run({ dealIds, action, rejectionReason, reasons, reviewer, notes }, { actor }) {
+    if (!this.actions.includes(action)) {
+      throw createHttpError('Invalid action', 400, { validActions: this.actions });
+    }
+
+    this.validateText({ rejectionReason, reasons, reviewer, notes });
+
+    const ids = [...new Set((Array.isArray(dealIds) ? dealIds : []).map(id => String(id).trim()).filter(Boolean))];
+
+    if (ids.length === 0) {
+      throw createHttpError('dealIds must be a non-empty array', 400);
+    }
+
+    if (ids.length > this.maxDeals) {
+      throw createHttpError(`At most ${this.maxDeals} deals per request`, 400, { maxDeals: this.maxDeals });
+    }
+
+    const reviewerAdmin = action === 'assign' ? await reviewerAssignmentService.resolveReviewer(reviewer) : null;
+
+    const deals = await dealRepository.findAll();
+    const dealsById = new Map(deals.map(deal => [deal.id, deal]));
+
+    const planned = [];
+    const results = ids.map(dealId => {
+      const deal = dealsById.get(dealId);
+
+      if (!deal) {
+        return { dealId, success: false, statusCode: 404, error: 'Deal not found' };
+      }
+
+      const reason = reasons && Object.hasOwn(reasons, dealId) ? reasons[dealId] : '';
+
+      try {
+        const plan = action === 'assign'
+          ? this.planAssignment(deal, reviewerAdmin, { notes })
+          : this.planStatusChange(deal, action, {
+            actor,
+            rejectionReason: (reason || rejectionReason || '').trim(),
+            notes
+          });
+
+        const result = { dealId, success: true };
+        planned.push({ deal, plan, result });
+        return result;
+      } catch (error) {
+        if (!error.status) {
+          throw error;
+        }
+        return { dealId, success: false, statusCode: error.status, error: error.message, ...error.details };
+      }
+    });
+
+    if (planned.length > 0) {
+      const updatedDeals = await dealRepository.updateMany(
+        planned.map(({ deal, plan }) => ({ id: deal.id, changes: plan.updates }))
+      );
+
+      for (const [index, { deal, plan, result }] of planned.entries()) {
+        const updatedDeal = updatedDeals[index];
+
+        result.previousStatus = plan.fromStatus;
+        result.deal = updatedDeal;
+        result.status = updatedDeal?.status;
+
+        await auditService.log({
+          dealId: deal.id,
+          userEmail: actor,
+          action: plan.auditAction,
+          notes: plan.auditNotes,
+          ...plan.auditField
+        });
+
+        if (action === 'approve' || action === 'reject') {
+          await notificationService.dealReviewed(updatedDeal);
+        }
+
+        if (action === 'assign' && updatedDeal) {
+          await reviewerAssignmentService.notifyReviewer(updatedDeal, reviewerAdmin.email);
+        }
+      }
+    }
+
+    const succeeded = results.filter(result => result.success).length;
+
+    return {
+      action,
+      results,
+      succeeded,
+      failed: results.length - succeeded
+    };
+  }
+
+  /**
+   * Free-text fields must be strings, and reasons an object of strings keyed by deal id
+   */
+  validateText({ rejectionReason, reasons, reviewer, notes }) {
+    const invalid = Object.entries({ rejectionReason, reviewer, notes })
+      .filter(([, value]) => value !== undefined && value !== null && typeof value !== 'string')
+      .map(([field]) => field);
+
+    if (invalid.length > 0) {
+      throw createHttpError(`${invalid.join(', ')} must be a string`, 400, { fields: invalid });
+    }
+
+    if (reasons !== undefined && reasons !== null &&
+        (typeof reasons !== 'object' || Array.isArray(reasons) ||
+         Object.values(reasons).some(reason => typeof reason !== 'string'))) {
+      throw createHttpError('reasons must map deal ids to strings', 400, { fields: ['reasons'] });
+    }
+  }
+
+  planStatusChange(deal, action, { actor, rejectionReason, notes }) {
+    if (action === 'under_review') {
+      return dealStatusService.planTransition(deal, 'under_review', { actor, notes });
+    }
+
+    return dealStatusService.planReview(deal, action === 'approve' ? 'approved' : 'rejected', {
+      actor,
+      rejectionReason,
+      notes
+    });
+  }
+
+  planAssignment(deal, reviewerAdmin, { notes }) {
+    const status = (deal.status || 'submitted').toLowerCase();
+
+    if (!reviewerAssignmentService.openStatuses.includes(status)) {
+      throw createHttpError('Deal is not open for review', 409, { currentStatus: status });
+    }
+
+    return {
+      fromStatus: status,
+      updates: reviewerAssignmentService.assignmentChanges(reviewerAdmin.email, 'manual'),
+      auditAction: 'reviewer_assigned',
+      auditNotes: [`Assigned reviewer ${reviewerAdmin.email}`, notes].filter(Boolean).join('. '),
+      auditField: { field: 'reviewer', oldValue: deal.reviewer || '', newValue: reviewerAdmin.email }
+    };
+  }
+}
+
+module.exports = new BulkReviewService();
@@ -0,0 +1,207 @@
+const { dealRepository, userRepository } = require('../repositories');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const permissionService = require('./permissionService');
+const { normalizeEmail, createHttpError } = require('../utils/helpers');
+
+const PARTNER_ADMIN_ROLE = 'partner_admin';
+const USER_ROLES = ['user', PARTNER_ADMIN_ROLE];
+
+// Approval workflow columns; partners only follow the deal's status
+const REVIEW_FIELDS = [
+  'reviewer',
+  'reviewer_assigned_at',
+  'reviewer_assigned_via',
+  'required_approvals',
+  'approvals',
+  'approval_rule_trail'
+];
+
+const normalizeCompany = (company) => (company || '').trim().toLowerCase();
+
+/**
+ * Who may see and manage which deals:
+ * internal roles with deals:view_all see everything, partner admins see every deal
+ * of their partner company, everyone else only sees deals they submitted.
+ */
+class DealAccessService {
+  constructor() {
+    this.partnerAdminRole = PARTNER_ADMIN_ROLE;
+    this.userRoles = USER_ROLES;
+  }
+
+  can(user, permission) {
+    return permissionService.hasPermission(user, permission);
+  }
+
+  isPartnerAdmin(user) {
+    return user?.role === PARTNER_ADMIN_ROLE && Boolean(normalizeCompany(user.partnerName));
+  }
+
+  isSameCompany(user, deal) {
+    const company = normalizeCompany(user?.partnerName);
+    return Boolean(company) && company === normalizeCompany(deal.partner_company);
+  }
+
+  isSubmitter(user, deal) {
+    return Boolean(user?.email) && normalizeEmail(deal.submitter_email) === normalizeEmail(user.email);
+  }
+
+  /**
+   * Visibility scope of a user: 'all', 'team' or 'own'
+   */
+  scope(user) {
+    if (this.can(user, 'deals:view_all')) return 'all';
+    if (this.isPartnerAdmin(user)) return 'team';
+    return 'own';
+  }
+
+  canView(user, deal) {
+    return this.can(user, 'deals:view_all') ||
+      this.isSubmitter(user, deal) ||
+      (this.isPartnerAdmin(user) && this.isSameCompany(user, deal));
+  }
+
+  /**
+   * Partner-side management (edit, reopen, extension requests) follows visibility,
+   * except that read-only internal roles cannot manage
+   */
+  canManage(user, deal) {
+    return this.can(user, 'deals:edit_all') ||
+      this.isSubmitter(user, deal) ||
+      (this.isPartnerAdmin(user) && this.isSameCompany(user, deal));
+  }
+
+  /**
+   * Partner company and submitter of a new deal. Partner users and API keys register
+   * deals as themselves for their own company; only internal roles with deals:view_all
+   * may register on someone else's behalf. Naming anyone else is refused (403).
+   * @returns {Object} - { partnerCompany, submitterEmail }
+   */
+  submissionIdentity(user, { partnerCompany, submitterEmail }, { apiKey } = {}) {
+    if (!apiKey && this.can(user, 'deals:view_all')) {
+      return { partnerCompany, submitterEmail };
+    }
+
+    if (partnerCompany && normalizeCompany(partnerCompany) !== normalizeCompany(user?.partnerName)) {
+      throw createHttpError('Permission denied', 403, {
+        message: 'Deals can only be registered for your own partner company',
+        partnerCompany: user?.partnerName
+      });
+    }
+
+    if (submitterEmail && normalizeEmail(submitterEmail) !== normalizeEmail(user?.email)) {
+      throw createHttpError('Permission denied', 403, {
+        message: 'Deals can only be registered with your own email as submitter',
+        submitterEmail: user?.email
+      });
+    }
+
+    return { partnerCompany: user?.partnerName, submitterEmail: user?.email };
+  }
+
+  /**
+   * Moving a deal to another partner company is reserved to internal roles
+   */
+  canChangePartner(user, partnerCompany) {
+    return this.can(user, 'deals:edit_all') || normalizeCompany(partnerCompany) === normalizeCompany(user?.partnerName);
+  }
+
+  filterVisible(user, deals) {
+    return deals.filter(deal => this.canView(user, deal));
+  }
+
+  /**
+   * A deal as the user may see it: the approval workflow columns need deals:view_all
+   */
+  forViewer(user, deal) {
+    if (!deal || this.can(user, 'deals:view_all')) {
+      return deal;
+    }
+
+    const visible = { ...deal };
+    for (const field of REVIEW_FIELDS) {
+      delete visible[field];
+    }
+    return visible;
+  }
+
+  /**
+   * Hand a deal over to another active user of the same partner company
+   */
+  async reassign(dealId, assigneeEmail, { user, notes = '' }) {
+    if (!this.can(user, 'deals:reassign')) {
+      throw createHttpError('Permission denied', 403, { message: 'Only partner admins can reassign deals' });
+    }
+
+    if (!assigneeEmail) {
+      throw createHttpError('Assignee email is required', 400);
+    }
+
+    const deal = await dealRepository.findById(dealId);
+
+    if (!deal) {
+      throw createHttpError('Deal not found', 404, { dealId });
+    }
+
+    if (!this.canManage(user, deal)) {
+      throw createHttpError('Permission denied', 403, { message: 'You can only reassign deals of your partner company' });
+    }
+
+    const assignee = await userRepository.findByEmail(assigneeEmail);
+
+    if (!assignee || assignee.status !== 'active') {
+      throw createHttpError('Assignee not found or inactive', 404, { email: assigneeEmail });
+    }
+
+    if (normalizeCompany(assignee.partner_company) !== normalizeCompany(deal.partner_company)) {
+      throw createHttpError('Assignee must belong to the deal\'s partner company', 400, {
+        email: assignee.email,
+        partnerCompany: deal.partner_company
+      });
+    }
+
+    if (normalizeEmail(assignee.email) === normalizeEmail(deal.submitter_email)) {
+      throw createHttpError('Deal is already assigned to this user', 409, { email: assignee.email });
+    }
+
+    const changes = {
+      submitter_email: assignee.email,
+      submitter_name: [assignee.first_name, assignee.last_name].filter(Boolean).join(' ') || assignee.email
+    };
+
+    const updatedDeal = await dealRepository.update(dealId, changes);
+
+    await auditService.log({
+      dealId,
+      userEmail: user.email,
+      action: 'reassigned',
+      notes: [`Reassigned from ${deal.submitter_email} to ${assignee.email}`, notes].filter(Boolean).join('. '),
+      field: 'submitter_email',
+      oldValue: deal.submitter_email || '',
+      newValue: assignee.email
+    });
+
+    await notificationService.notify({
+      recipientEmail: assignee.email,
+      type: 'deal_reassigned',
+      dealId,
+      message: `The registration for ${deal.company_name} was assigned to you by ${user.email}.`
+    });
+
+    await notificationService.notify({
+      recipientEmail: deal.submitter_email,
+      type: 'deal_reassigned',
+      dealId,
+      message: `Your registration for ${deal.company_name} was reassigned to ${assignee.email}.`
+    });
+
+    return {
+      deal: updatedDeal,
+      previousOwner: deal.submitter_email,
+      owner: assignee.email
+    };
+  }
+}
+
+module.exports = new DealAccessService();
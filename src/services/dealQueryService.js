@@ -0,0 +1,188 @@
+const { createHttpError } = require('../utils/helpers');
+
+const SORT_FIELDS = ['created_at', 'deal_value', 'expected_close_date'];
+const SEARCH_FIELDS = ['company_name', 'domain', 'customer_legal_name', 'additional_notes'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Parse a money string like "$120,000" into a number (NaN when empty)
+ */
+const parseValue = (value) => {
+  const cleaned = String(value ?? '').replace(/[^0-9.]/g, '');
+  return cleaned ? parseFloat(cleaned) : NaN;
+};
+
+/**
+ * Parse a date query param; a bare YYYY-MM-DD upper bound covers the whole day
+ */
+const parseDate = (value, endOfDay = false) => {
+  if (!value) return null;
+  const time = new Date(value).getTime();
+  if (Number.isNaN(time)) return NaN;
+  return endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value) ? time + 24 * 60 * 60 * 1000 - 1 : time;
+};
+
+const encodeCursor = (sortValue, id) => Buffer.from(JSON.stringify([sortValue, id])).toString('base64url');
+
+const decodeCursor = (cursor) => {
+  try {
+    const [sortValue, id] = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    return { sortValue, id };
+  } catch (error) {
+    throw createHttpError('Invalid cursor', 400, { cursor });
+  }
+};
+
+class DealQueryService {
+  /**
+   * Read listing options from a request query string
+   * @query {status, partner, q, minValue, maxValue, createdFrom, createdTo, closeFrom, closeTo, sort, order, limit, offset, cursor}
+   */
+  parseOptions(query = {}) {
+    // ?status=a&status=b arrives as an array; other repeated or nested parameters are rejected
+    const statusValues = query.status === undefined ? [] : [].concat(query.status);
+    const malformed = Object.keys(query).filter(key => (key === 'status'
+      ? statusValues.some(value => typeof value !== 'string')
+      : typeof query[key] !== 'string'));
+    if (malformed.length > 0) {
+      throw createHttpError('Invalid query parameter', 400, { fields: malformed });
+    }
+
+    const sort = query.sort || 'created_at';
+    if (!SORT_FIELDS.includes(sort)) {
+      throw createHttpError('Invalid sort field', 400, { sort, sortFields: SORT_FIELDS });
+    }
+
+    const order = (query.order || 'desc').toLowerCase();
+    if (!['asc', 'desc'].includes(order)) {
+      throw createHttpError('Invalid sort order', 400, { order, orders: ['asc', 'desc'] });
+    }
+
+    const options = {
+      statuses: statusValues.join(',').split(',').map(value => value.trim().toLowerCase()).filter(Boolean),
+      partner: query.partner || null,
+      q: (query.q || '').trim().toLowerCase(),
+      minValue: query.minValue !== undefined && query.minValue !== '' ? parseFloat(query.minValue) : null,
+      maxValue: query.maxValue !== undefined && query.maxValue !== '' ? parseFloat(query.maxValue) : null,
+      createdFrom: parseDate(query.createdFrom),
+      createdTo: parseDate(query.createdTo, true),
+      closeFrom: parseDate(query.closeFrom),
+      closeTo: parseDate(query.closeTo, true),
+      sort,
+      order,
+      limit: Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT),
+      offset: Math.max(parseInt(query.offset, 10) || 0, 0),
+      cursor: query.cursor ? decodeCursor(query.cursor) : null
+    };
+
+    const invalid = ['minValue', 'maxValue', 'createdFrom', 'createdTo', 'closeFrom', 'closeTo']
+      .filter(key => Number.isNaN(options[key]));
+    if (invalid.length > 0) {
+      throw createHttpError('Invalid filter value', 400, { fields: invalid });
+    }
+
+    return options;
+  }
+
+  /**
+   * Comparable sort value for a deal (null when missing)
+   */
+  sortValue(deal, sort) {
+    if (sort === 'deal_value') {
+      const value = parseValue(deal.deal_value);
+      return Number.isNaN(value) ? null : value;
+    }
+
+    const time = new Date(deal[sort]).getTime();
+    return deal[sort] && !Number.isNaN(time) ? time : null;
+  }
+
+  matches(deal, options) {
+    if (options.statuses.length > 0 && !options.statuses.includes((deal.status || '').toLowerCase())) return false;
+    if (options.partner && deal.partner_company !== options.partner) return false;
+
+    if (options.q && !SEARCH_FIELDS.some(field => (deal[field] || '').toLowerCase().includes(options.q))) {
+      return false;
+    }
+
+    if (options.minValue !== null || options.maxValue !== null) {
+      const value = parseValue(deal.deal_value);
+      if (Number.isNaN(value)) return false;
+      if (options.minValue !== null && value < options.minValue) return false;
+      if (options.maxValue !== null && value > options.maxValue) return false;
+    }
+
+    const inRange = (field, from, to) => {
+      if (from === null && to === null) return true;
+      const time = new Date(deal[field]).getTime();
+      if (!deal[field] || Number.isNaN(time)) return false;
+      return (from === null || time >= from) && (to === null || time <= to);
+    };
+
+    return inRange('created_at', options.createdFrom, options.createdTo) &&
+      inRange('expected_close_date', options.closeFrom, options.closeTo);
+  }
+
+  /**
+   * Order (sort value, id) keys; missing values go last, ties broken by id
+   */
+  compareKeys(valueA, idA, valueB, idB, order) {
+    const direction = order === 'asc' ? 1 : -1;
+
+    if (valueA !== valueB) {
+      if (valueA === null) return 1;
+      if (valueB === null) return -1;
+      return (valueA - valueB) * direction;
+    }
+
+    return (idA || '').localeCompare(idB || '');
+  }
+
+  compare(a, b, options) {
+    return this.compareKeys(
+      this.sortValue(a, options.sort), a.id,
+      this.sortValue(b, options.sort), b.id,
+      options.order
+    );
+  }
+
+  /**
+   * Filter, sort and paginate deals the caller is already allowed to see.
+   * total counts every matching deal, not just the returned page.
+   */
+  query(deals, options) {
+    const matching = deals
+      .filter(deal => this.matches(deal, options))
+      .sort((a, b) => this.compare(a, b, options));
+
+    // A cursor resumes right after the last deal of the previous page
+    let start = options.offset;
+    if (options.cursor) {
+      const { sortValue, id } = options.cursor;
+      const nextIndex = matching.findIndex(deal => (
+        this.compareKeys(this.sortValue(deal, options.sort), deal.id, sortValue, id, options.order) > 0
+      ));
+      start = nextIndex === -1 ? matching.length : nextIndex;
+    }
+
+    const page = matching.slice(start, start + options.limit);
+    const hasMore = start + page.length < matching.length;
+    const last = page[page.length - 1];
+
+    return {
+      deals: page,
+      total: matching.length,
+      pagination: {
+        limit: options.limit,
+        offset: start,
+        returned: page.length,
+        hasMore,
+        nextOffset: hasMore ? start + page.length : null,
+        nextCursor: hasMore && last ? encodeCursor(this.sortValue(last, options.sort), last.id) : null
+      }
+    };
+  }
+}
+
+module.exports = new DealQueryService();
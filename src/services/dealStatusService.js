@@ -0,0 +1,235 @@
+const { dealRepository } = require('../repositories');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const registrationConfig = require('../config/registration');
+const { getCurrentTimestamp, normalizeEmail, createHttpError } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Legal deal status transitions.
+ * Rejected and expired deals can only move again by being reopened (back to submitted).
+ * Deals sent back for more information return to submitted once the partner edits them.
+ * Merged registrations (channel conflict resolution) are final.
+ */
+const STATUS_TRANSITIONS = {
+  submitted: ['under_review', 'merged'],
+  pending: ['under_review', 'merged'], // legacy alias of submitted
+  under_review: ['approved', 'rejected', 'needs_info', 'merged'],
+  needs_info: ['submitted', 'under_review', 'merged'],
+  approved: ['expired', 'merged'],
+  rejected: ['submitted'],
+  expired: ['submitted'],
+  merged: []
+};
+
+const DEAL_STATUSES = ['submitted', 'under_review', 'needs_info', 'approved', 'rejected', 'expired', 'merged'];
+
+class DealStatusService {
+  constructor() {
+    this.transitions = STATUS_TRANSITIONS;
+    this.statuses = DEAL_STATUSES;
+  }
+
+  /**
+   * Check whether a deal may move from one status to another
+   */
+  canTransition(fromStatus, toStatus) {
+    const current = (fromStatus || 'submitted').toLowerCase();
+    return (this.transitions[current] || []).includes(toStatus);
+  }
+
+  /**
+   * End of the protection period for a deal approved at approvedAt:
+   * a fixed number of days, or the expected close date plus a grace period
+   */
+  calculateExpiresAt(deal, approvedAt) {
+    const approvedTime = new Date(approvedAt).getTime();
+    let expiresTime = approvedTime + registrationConfig.protectionDays * DAY_MS;
+
+    if (registrationConfig.expiryMode === 'close_date') {
+      const closeTime = new Date(deal.expected_close_date).getTime();
+      if (!Number.isNaN(closeTime) && closeTime > approvedTime) {
+        expiresTime = closeTime + registrationConfig.closeDateGraceDays * DAY_MS;
+      }
+    }
+
+    return new Date(expiresTime).toISOString();
+  }
+
+  /**
+   * Validate a status change for a deal and work out the columns to write and
+   * the audit entry to record, without persisting anything
+   */
+  planTransition(deal, toStatus, { actor, rejectionReason, notes, action, changes = {} } = {}) {
+    if (!this.statuses.includes(toStatus)) {
+      throw createHttpError('Invalid status', 400, { validStatuses: this.statuses });
+    }
+
+    const fromStatus = (deal.status || 'submitted').toLowerCase();
+
+    if (!this.canTransition(fromStatus, toStatus)) {
+      throw createHttpError('Invalid status transition', 409, {
+        dealId: deal.id,
+        currentStatus: fromStatus,
+        requestedStatus: toStatus,
+        allowedStatuses: this.transitions[fromStatus] || []
+      });
+    }
+
+    if (toStatus === 'rejected' && !rejectionReason) {
+      throw createHttpError('Rejection reason is required', 400, { dealId: deal.id });
+    }
+
+    const reopening = ['rejected', 'expired'].includes(fromStatus) && toStatus === 'submitted';
+    const timestamp = getCurrentTimestamp();
+
+    // Deals that need several sign-offs (approval rules) stay in review until the last one
+    const requiredApprovals = Math.max(parseInt(deal.required_approvals, 10) || 1, 1);
+    let approvals = null;
+
+    if (toStatus === 'approved' && requiredApprovals > 1) {
+      approvals = (deal.approvals || '').split(',').filter(Boolean);
+
+      if (approvals.some(email => normalizeEmail(email) === normalizeEmail(actor))) {
+        throw createHttpError('You have already approved this deal', 409, {
+          dealId: deal.id,
+          requiredApprovals,
+          approvals
+        });
+      }
+
+      approvals.push(actor);
+
+      if (approvals.length < requiredApprovals) {
+        return {
+          fromStatus,
+          status: fromStatus,
+          updates: { ...changes, approvals: approvals.join(',') },
+          pendingApprovals: requiredApprovals - approvals.length,
+          auditAction: 'approval_recorded',
+          auditNotes: [`Approval ${approvals.length} of ${requiredApprovals} recorded`, notes || null].filter(Boolean).join('. ')
+        };
+      }
+    }
+
+    const updates = { ...changes, status: toStatus };
+    if (approvals) {
+      updates.approvals = approvals.join(',');
+    }
+    if (toStatus === 'approved' || toStatus === 'rejected') {
+      updates.approver = actor;
+      updates.reviewed_at = timestamp;
+      updates.rejection_reason = toStatus === 'rejected' ? rejectionReason : '';
+    }
+    if (toStatus === 'approved') {
+      updates.expires_at = this.calculateExpiresAt(deal, timestamp);
+    }
+    if (reopening) {
+      updates.approver = '';
+      updates.reviewed_at = '';
+      updates.rejection_reason = '';
+      updates.expires_at = '';
+      updates.approvals = '';
+    }
+
+    return {
+      fromStatus,
+      status: toStatus,
+      updates,
+      auditAction: action || (reopening ? 'reopened' : toStatus),
+      auditNotes: [
+        `Status changed from ${fromStatus} to ${toStatus}`,
+        rejectionReason && toStatus === 'rejected' ? `Reason: ${rejectionReason}` : null,
+        notes || null
+      ].filter(Boolean).join('. ')
+    };
+  }
+
+  /**
+   * Move a deal to a new status, persist reviewer columns and write an audit entry
+   */
+  async transition(dealId, toStatus, { actor, rejectionReason, notes, action, changes = {} } = {}) {
+    if (!this.statuses.includes(toStatus)) {
+      throw createHttpError('Invalid status', 400, { validStatuses: this.statuses });
+    }
+
+    const deal = await dealRepository.findById(dealId);
+
+    if (!deal) {
+      throw createHttpError('Deal not found', 404, { dealId });
+    }
+
+    const plan = this.planTransition(deal, toStatus, { actor, rejectionReason, notes, action, changes });
+    const updatedDeal = await dealRepository.update(dealId, plan.updates);
+
+    await auditService.log({
+      dealId,
+      userEmail: actor,
+      action: plan.auditAction,
+      notes: plan.auditNotes
+    });
+
+    if (plan.status === 'approved' || plan.status === 'rejected') {
+      await notificationService.dealReviewed(updatedDeal);
+    }
+
+    return {
+      deal: updatedDeal,
+      previousStatus: plan.fromStatus,
+      status: plan.status,
+      pendingApprovals: plan.pendingApprovals || 0
+    };
+  }
+
+  /**
+   * Plan an admin decision in one step; a freshly submitted deal passes
+   * through under_review, which the single audit entry mentions
+   */
+  planReview(deal, decision, { actor, rejectionReason, notes, action } = {}) {
+    const currentStatus = (deal.status || 'submitted').toLowerCase();
+
+    if (!this.canTransition(currentStatus, 'under_review') || this.canTransition(currentStatus, decision)) {
+      return this.planTransition(deal, decision, { actor, rejectionReason, notes, action });
+    }
+
+    if (decision === 'rejected' && !rejectionReason) {
+      throw createHttpError('Rejection reason is required', 400, { dealId: deal.id });
+    }
+
+    const pickUp = this.planTransition(deal, 'under_review', { actor });
+    const plan = this.planTransition({ ...deal, ...pickUp.updates }, decision, { actor, rejectionReason, notes, action });
+
+    return {
+      ...plan,
+      fromStatus: pickUp.fromStatus,
+      updates: { ...pickUp.updates, ...plan.updates },
+      auditNotes: `${pickUp.auditNotes}. ${plan.auditNotes}`
+    };
+  }
+
+  /**
+   * Record an admin decision (approved/rejected), moving a freshly
+   * submitted deal through under_review first so the trail stays complete
+   */
+  async review(dealId, decision, { actor, rejectionReason, notes, action } = {}) {
+    if (decision === 'rejected' && !rejectionReason) {
+      throw createHttpError('Rejection reason is required', 400, { dealId });
+    }
+
+    const deal = await dealRepository.findById(dealId);
+
+    if (!deal) {
+      throw createHttpError('Deal not found', 404, { dealId });
+    }
+
+    const currentStatus = (deal.status || 'submitted').toLowerCase();
+    if (this.canTransition(currentStatus, 'under_review') && !this.canTransition(currentStatus, decision)) {
+      await this.transition(dealId, 'under_review', { actor, notes: `Picked up for ${decision === 'approved' ? 'approval' : 'rejection'}` });
+    }
+
+    return this.transition(dealId, decision, { actor, rejectionReason, notes, action });
+  }
+}
+
+module.exports = new DealStatusService();
@@ -0,0 +1,457 @@
+const stringSimilarity = require('string-similarity');
+const duplicateConfig = require('../config/duplicates');
+const {
+  dealRepository,
+  duplicateResolutionRepository
+} = require('../repositories');
+const auditService = require('./auditService');
+const dealStatusService = require('./dealStatusService');
+const notificationService = require('./notificationService');
+const { createHttpError } = require('../utils/helpers');
+
+// Statuses in which a deal can still lose a channel conflict award
+const AWARDABLE_STATUSES = ['submitted', 'pending', 'under_review'];
+
+// Legal entity suffixes stripped before comparing company names
+const LEGAL_SUFFIXES = [
+  'incorporated', 'inc', 'corporation', 'corp', 'company', 'co', 'limited', 'ltd',
+  'llc', 'llp', 'lp', 'plc', 'gmbh', 'ag', 'sa', 'sas', 'sarl', 'srl', 'spa',
+  'bv', 'nv', 'oy', 'ab', 'as', 'kk', 'pty', 'pte', 'pvt', 'private', 'holdings', 'group'
+];
+
+// Second-level labels under which the registrable domain has three parts (acme.co.uk)
+const SECOND_LEVEL_DOMAINS = ['co', 'com', 'net', 'org', 'gov', 'ac', 'edu', 'ltd', 'plc'];
+
+class DuplicateService {
+  /**
+   * Normalize a company name: lower case, no punctuation, no legal suffixes
+   * "ACME Corporation, Inc." -> "acme"
+   */
+  normalizeCompanyName(name) {
+    const words = (name || '')
+      .toLowerCase()
+      .replace(/&/g, ' and ')
+      .replace(/[^a-z0-9\s]/g, ' ')
+      .split(/\s+/)
+      .filter(Boolean);
+
+    // Strip trailing suffixes only, so "Company Dynamics" keeps its first word
+    while (words.length > 1 && LEGAL_SUFFIXES.includes(words[words.length - 1])) {
+      words.pop();
+    }
+
+    if (words.length > 1 && words[0] === 'the') {
+      words.shift();
+    }
+
+    return words.join(' ');
+  }
+
+  /**
+   * Normalize a domain, URL or email address to its registrable domain
+   * "https://www.sales.acme.com/path", "jane@acme.com" -> "acme.com"
+   */
+  normalizeDomain(value) {
+    let domain = (value || '').trim().toLowerCase();
+
+    if (domain.includes('@')) {
+      domain = domain.split('@').pop();
+    }
+
+    domain = domain
+      .replace(/^[a-z][a-z0-9+.-]*:\/\//, '')
+      .split(/[/?#]/)[0]
+      .split(':')[0]
+      .replace(/\.+$/, '');
+
+    const labels = domain.split('.').filter(Boolean);
+
+    if (labels.length <= 2) {
+      return labels.join('.');
+    }
+
+    const secondLevel = labels[labels.length - 2];
+    const topLevel = labels[labels.length - 1];
+    const keep = topLevel.length === 2 && SECOND_LEVEL_DOMAINS.includes(secondLevel) ? 3 : 2;
+
+    return labels.slice(-keep).join('.');
+  }
+
+  /**
+   * Domain name without its public suffix: "acme.co.uk" -> "acme"
+   */
+  domainLabel(domain) {
+    return (domain || '').split('.')[0] || '';
+  }
+
+  /**
+   * Score an existing deal against a new registration
+   * Returns { confidence, matchReasons }
+   */
+  scoreCandidate({ companyName, domain }, deal) {
+    const reasons = [];
+    let confidence = 0;
+
+    const newName = this.normalizeCompanyName(companyName);
+    const existingName = this.normalizeCompanyName(deal.company_name);
+    const newDomain = this.normalizeDomain(domain);
+    const existingDomain = this.normalizeDomain(deal.domain);
+
+    if (newName && existingName) {
+      if (newName === existingName) {
+        confidence = Math.max(confidence, 0.95);
+        reasons.push('Company name matches');
+      } else {
+        const nameScore = stringSimilarity.compareTwoStrings(newName, existingName);
+        if (nameScore >= duplicateConfig.reviewThreshold) {
+          confidence = Math.max(confidence, nameScore * 0.9);
+          reasons.push(`Similar company name (${Math.round(nameScore * 100)}%)`);
+        }
+      }
+    }
+
+    if (newDomain && existingDomain) {
+      if (newDomain === existingDomain) {
+        confidence = Math.max(confidence, 1);
+        reasons.push('Domain matches');
+      } else {
+        const labelScore = stringSimilarity.compareTwoStrings(
+          this.domainLabel(newDomain),
+          this.domainLabel(existingDomain)
+        );
+        if (labelScore === 1) {
+          confidence = Math.max(confidence, 0.85);
+          reasons.push(`Same domain name under a different suffix (${existingDomain})`);
+        }
+      }
+    }
+
+    // Company name spelled out in the other registration's domain ("Acme" vs "acme.com")
+    const compactNew = newName.replace(/\s/g, '');
+    const compactExisting = existingName.replace(/\s/g, '');
+    if (compactNew && compactNew === this.domainLabel(existingDomain)) {
+      confidence = Math.max(confidence, 0.8);
+      reasons.push('Company name matches existing domain');
+    } else if (compactExisting && compactExisting === this.domainLabel(newDomain)) {
+      confidence = Math.max(confidence, 0.8);
+      reasons.push('Domain matches existing company name');
+    }
+
+    // Several independent signals make a match more likely
+    if (reasons.length > 1) {
+      confidence = Math.min(1, confidence + 0.05 * (reasons.length - 1));
+    }
+
+    return {
+      confidence: Math.round(confidence * 100) / 100,
+      matchReasons: reasons
+    };
+  }
+
+  /**
+   * Find existing deals that may be the same account as a new registration
+   * Returns candidates sorted by confidence; hasDuplicates is true when any
+   * candidate reaches the blocking threshold
+   */
+  async findDuplicates(companyName, domain, { excludeDealId } = {}) {
+    const deals = await dealRepository.findAll();
+    const notDuplicatePairs = excludeDealId
+      ? await duplicateResolutionRepository.getNotDuplicatePairKeys()
+      : new Set();
+    const candidates = [];
+
+    for (const deal of deals) {
+      if (deal.id === excludeDealId) continue;
+      if (!this.isActive(deal)) continue;
+      if (notDuplicatePairs.has(duplicateResolutionRepository.pairKey(excludeDealId, deal.id))) continue;
+
+      const { confidence, matchReasons } = this.scoreCandidate({ companyName, domain }, deal);
+
+      if (confidence >= duplicateConfig.reviewThreshold) {
+        candidates.push({ ...deal, confidence, matchReasons });
+      }
+    }
+
+    candidates.sort((a, b) => b.confidence - a.confidence);
+
+    const duplicates = candidates.filter(candidate => candidate.confidence >= duplicateConfig.blockThreshold);
+    const possibleMatches = candidates.filter(candidate => candidate.confidence < duplicateConfig.blockThreshold);
+
+    return {
+      hasDuplicates: duplicates.length > 0,
+      duplicates,
+      possibleMatches
+    };
+  }
+
+  /**
+   * Fields of a duplicate candidate that may be shown to the submitter.
+   * Candidates usually belong to other partners, so nothing that identifies
+   * the partner, its contacts or the deal terms is included.
+   */
+  toPublicCandidate(candidate) {
+    return {
+      id: candidate.id,
+      company_name: candidate.company_name,
+      domain: candidate.domain,
+      status: candidate.status,
+      created_at: candidate.created_at,
+      confidence: candidate.confidence,
+      matchReasons: candidate.matchReasons
+    };
+  }
+
+  /**
+   * Whether a deal still takes part in duplicate detection
+   */
+  isActive(deal) {
+    return !duplicateConfig.ignoredStatuses.includes((deal.status || '').toLowerCase());
+  }
+
+  /**
+   * Group active deals that block each other into conflict clusters
+   * for the channel manager queue. Pairs marked "not a duplicate" are ignored.
+   */
+  async getConflictClusters() {
+    const deals = (await dealRepository.findAll()).filter(deal => this.isActive(deal));
+    const notDuplicatePairs = await duplicateResolutionRepository.getNotDuplicatePairKeys();
+
+    // Union-find over deal indexes
+    const parent = deals.map((deal, index) => index);
+    const root = (index) => {
+      while (parent[index] !== index) {
+        parent[index] = parent[parent[index]];
+        index = parent[index];
+      }
+      return index;
+    };
+
+    const matches = [];
+    for (let i = 0; i < deals.length; i++) {
+      for (let j = i + 1; j < deals.length; j++) {
+        if (notDuplicatePairs.has(duplicateResolutionRepository.pairKey(deals[i].id, deals[j].id))) continue;
+
+        const { confidence, matchReasons } = this.scoreCandidate(
+          { companyName: deals[i].company_name, domain: deals[i].domain },
+          deals[j]
+        );
+
+        if (confidence >= duplicateConfig.blockThreshold) {
+          matches.push({ i, j, dealId: deals[i].id, otherDealId: deals[j].id, confidence, matchReasons });
+          parent[root(i)] = root(j);
+        }
+      }
+    }
+
+    const clusters = new Map();
+    for (const match of matches) {
+      const key = root(match.i);
+      if (!clusters.has(key)) {
+        clusters.set(key, { dealIndexes: new Set(), matches: [] });
+      }
+      const cluster = clusters.get(key);
+      cluster.dealIndexes.add(match.i);
+      cluster.dealIndexes.add(match.j);
+      cluster.matches.push({
+        dealId: match.dealId,
+        otherDealId: match.otherDealId,
+        confidence: match.confidence,
+        matchReasons: match.matchReasons
+      });
+    }
+
+    return [...clusters.values()]
+      .map(cluster => {
+        const clusterDeals = [...cluster.dealIndexes].map(index => deals[index]);
+        clusterDeals.sort((a, b) => (a.created_at || '').localeCompare(b.created_at || ''));
+
+        return {
+          clusterId: clusterDeals[0].id,
+          companyName: clusterDeals[0].company_name,
+          partners: [...new Set(clusterDeals.map(deal => deal.partner_company).filter(Boolean))],
+          escalated: clusterDeals.some(deal => deal.conflict_status === 'open'),
+          latestActivity: clusterDeals[clusterDeals.length - 1].created_at,
+          deals: clusterDeals,
+          matches: cluster.matches
+        };
+      })
+      .sort((a, b) => (b.latestActivity || '').localeCompare(a.latestActivity || ''));
+  }
+
+  /**
+   * Load deals by id, failing with 404 on the first missing one
+   */
+  async loadDeals(dealIds) {
+    const deals = [];
+    for (const dealId of dealIds) {
+      const deal = await dealRepository.findById(dealId);
+      if (!deal) {
+        throw createHttpError('Deal not found', 404, { dealId });
+      }
+      deals.push(deal);
+    }
+    return deals;
+  }
+
+  /**
+   * Clear a deal's open conflict flag once nothing blocks it any more
+   */
+  async refreshConflictStatus(dealId) {
+    const deal = await dealRepository.findById(dealId);
+    if (!deal || deal.conflict_status !== 'open') {
+      return;
+    }
+
+    const { hasDuplicates } = await this.findDuplicates(deal.company_name, deal.domain, { excludeDealId: deal.id });
+    if (!hasDuplicates) {
+      await dealRepository.update(deal.id, { conflict_status: 'resolved' });
+    }
+  }
+
+  /**
+   * Mark every pair among the given deals as "not a duplicate" so they stop blocking each other
+   */
+  async markNotDuplicate(dealIds, { actor, notes = '' }) {
+    const ids = [...new Set(dealIds || [])];
+    if (ids.length < 2) {
+      throw createHttpError('At least two deal IDs are required', 400);
+    }
+
+    await this.loadDeals(ids);
+
+    for (let i = 0; i < ids.length; i++) {
+      for (let j = i + 1; j < ids.length; j++) {
+        await duplicateResolutionRepository.record({
+          dealId: ids[i],
+          otherDealId: ids[j],
+          resolution: 'not_duplicate',
+          resolvedBy: actor,
+          notes
+        });
+      }
+    }
+
+    for (const dealId of ids) {
+      const others = ids.filter(id => id !== dealId);
+      await auditService.log({
+        dealId,
+        userEmail: actor,
+        action: 'conflict_not_duplicate',
+        notes: [`Marked as not a duplicate of ${others.join(', ')}`, notes].filter(Boolean).join('. ')
+      });
+      await this.refreshConflictStatus(dealId);
+    }
+
+    return { dealIds: ids, resolution: 'not_duplicate' };
+  }
+
+  /**
+   * Award a conflicted account to one registration and reject the competing ones
+   */
+  async awardAccount(winnerDealId, loserDealIds, { actor, notes = '' }) {
+    const loserIds = [...new Set(loserDealIds || [])].filter(id => id !== winnerDealId);
+    if (!winnerDealId || loserIds.length === 0) {
+      throw createHttpError('A winning deal and at least one competing deal are required', 400);
+    }
+
+    const [winner, ...losers] = await this.loadDeals([winnerDealId, ...loserIds]);
+
+    if (!this.isActive(winner)) {
+      throw createHttpError('Winning deal is no longer active', 409, { dealId: winner.id, status: winner.status });
+    }
+
+    // Validate every loser before changing anything
+    const blocked = losers.filter(deal => !AWARDABLE_STATUSES.includes((deal.status || 'submitted').toLowerCase()));
+    if (blocked.length > 0) {
+      throw createHttpError('Only pending registrations can lose an award; merge approved ones instead', 409, {
+        deals: blocked.map(deal => ({ dealId: deal.id, status: deal.status }))
+      });
+    }
+
+    const reason = `Channel conflict: account awarded to ${winner.partner_company} (deal ${winner.id})`;
+
+    for (const loser of losers) {
+      await dealStatusService.review(loser.id, 'rejected', {
+        actor,
+        rejectionReason: reason,
+        notes,
+        action: 'conflict_lost'
+      });
+      await dealRepository.update(loser.id, { conflict_status: 'resolved' });
+      await duplicateResolutionRepository.record({
+        dealId: winner.id,
+        otherDealId: loser.id,
+        resolution: 'awarded',
+        winnerDealId: winner.id,
+        resolvedBy: actor,
+        notes
+      });
+      await notificationService.notifyConflictResolution(loser, { resolution: 'awarded', winnerDeal: winner });
+    }
+
+    await dealRepository.update(winner.id, { conflict_status: 'resolved' });
+    await auditService.log({
+      dealId: winner.id,
+      userEmail: actor,
+      action: 'conflict_awarded',
+      notes: [`Account awarded over ${loserIds.join(', ')}`, notes].filter(Boolean).join('. ')
+    });
+
+    return { winnerDealId: winner.id, loserDealIds: loserIds, resolution: 'awarded' };
+  }
+
+  /**
+   * Merge competing registrations into a primary deal
+   */
+  async mergeRegistrations(primaryDealId, mergedDealIds, { actor, notes = '' }) {
+    const mergedIds = [...new Set(mergedDealIds || [])].filter(id => id !== primaryDealId);
+    if (!primaryDealId || mergedIds.length === 0) {
+      throw createHttpError('A primary deal and at least one deal to merge are required', 400);
+    }
+
+    const [primary, ...merged] = await this.loadDeals([primaryDealId, ...mergedIds]);
+
+    if (!this.isActive(primary)) {
+      throw createHttpError('Primary deal is no longer active', 409, { dealId: primary.id, status: primary.status });
+    }
+
+    const blocked = merged.filter(deal => !dealStatusService.canTransition(deal.status, 'merged'));
+    if (blocked.length > 0) {
+      throw createHttpError('Some registrations cannot be merged', 409, {
+        deals: blocked.map(deal => ({ dealId: deal.id, status: deal.status }))
+      });
+    }
+
+    for (const deal of merged) {
+      await dealStatusService.transition(deal.id, 'merged', {
+        actor,
+        notes: [`Merged into ${primary.id}`, notes].filter(Boolean).join('. '),
+        action: 'conflict_merged',
+        changes: { merged_into: primary.id, conflict_status: 'resolved' }
+      });
+      await duplicateResolutionRepository.record({
+        dealId: primary.id,
+        otherDealId: deal.id,
+        resolution: 'merged',
+        winnerDealId: primary.id,
+        resolvedBy: actor,
+        notes
+      });
+      if (deal.submitter_email !== primary.submitter_email) {
+        await notificationService.notifyConflictResolution(deal, { resolution: 'merged', winnerDeal: primary });
+      }
+    }
+
+    await dealRepository.update(primary.id, { conflict_status: 'resolved' });
+    await auditService.log({
+      dealId: primary.id,
+      userEmail: actor,
+      action: 'conflict_merged',
+      notes: [`Merged registrations ${mergedIds.join(', ')}`, notes].filter(Boolean).join('. ')
+    });
+
+    return { primaryDealId: primary.id, mergedDealIds: mergedIds, resolution: 'merged' };
+  }
+}
+
+module.exports = new DuplicateService();
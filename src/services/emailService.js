@@ -0,0 +1,241 @@
+const fs = require('fs');
+const path = require('path');
+const nodemailer = require('nodemailer');
+const emailConfig = require('../config/email');
+const { userProfileRepository } = require('../repositories');
+const { normalizeEmail } = require('../utils/helpers');
+
+const OUTBOX_SIZE = 100;
+
+const dealLink = (dealId) => `${emailConfig.appUrl}/deals/${dealId}`;
+
+const dealSummary = (deal) => [
+  `Customer: ${deal.company_name} (${deal.domain})`,
+  `Partner: ${deal.partner_company}`,
+  deal.deal_value ? `Deal value: ${deal.deal_value}` : null,
+  deal.expected_close_date ? `Expected close: ${deal.expected_close_date}` : null
+].filter(Boolean).join('\n');
+
+/**
+ * Email templates by type. Each returns { subject, text }; HTML is derived from the text.
+ * optional: users may opt out of the type from their profile.
+ */
+const TEMPLATES = {
+  deal_submitted: {
+    optional: true,
+    render: ({ deal }) => ({
+      subject: `Deal registration received: ${deal.company_name}`,
+      text: `Hi ${deal.submitter_name || 'there'},\n\n` +
+        `We received your deal registration and it is now waiting for review.\n\n` +
+        `${dealSummary(deal)}\n\n` +
+        `Track its status at ${dealLink(deal.id)}`
+    })
+  },
+  deal_awaiting_review: {
+    optional: true,
+    render: ({ deal }) => ({
+      subject: `New deal registration awaiting review: ${deal.company_name}`,
+      text: `${deal.submitter_name || deal.submitter_email} submitted a new deal registration.\n\n` +
+        `${dealSummary(deal)}\n\n` +
+        `Review it at ${dealLink(deal.id)}`
+    })
+  },
+  deal_approved: {
+    optional: true,
+    render: ({ deal }) => ({
+      subject: `Deal registration approved: ${deal.company_name}`,
+      text: `Hi ${deal.submitter_name || 'there'},\n\n` +
+        `Your deal registration was approved.\n\n` +
+        `${dealSummary(deal)}\n` +
+        (deal.expires_at ? `Protected until: ${deal.expires_at}\n` : '') +
+        `\nView it at ${dealLink(deal.id)}`
+    })
+  },
+  deal_rejected: {
+    optional: true,
+    render: ({ deal }) => ({
+      subject: `Deal registration rejected: ${deal.company_name}`,
+      text: `Hi ${deal.submitter_name || 'there'},\n\n` +
+        `Your deal registration was not approved.\n\n` +
+        `Reason: ${deal.rejection_reason || 'No reason given'}\n\n` +
+        `${dealSummary(deal)}\n\n` +
+        `You can update and resubmit it at ${dealLink(deal.id)}`
+    })
+  },
+  duplicate_detected: {
+    optional: true,
+    render: ({ deal, duplicates = [] }) => ({
+      subject: `Possible duplicate registration: ${deal.company_name}`,
+      text: `A deal registration conflicts with existing registrations and needs a channel decision.\n\n` +
+        `${dealSummary(deal)}\n\n` +
+        `Conflicting registrations:\n` +
+        duplicates.map(duplicate => `- ${duplicate.company_name} (${duplicate.partner_company}), registration ${duplicate.id}`).join('\n') +
+        `\n\nResolve it at ${emailConfig.appUrl}/admin/conflicts`
+    })
+  },
+  email_verification: {
+    optional: false,
+    render: ({ user, token, expiresAt }) => ({
+      subject: 'Verify your email for the Daxa Partner Portal',
+      text: `Hi ${user.first_name || 'there'},\n\n` +
+        `Confirm your email address to activate your partner account:\n` +
+        `${emailConfig.appUrl}/auth/verify-email?token=${encodeURIComponent(token)}\n\n` +
+        `This link expires at ${expiresAt}. If you did not sign up, you can ignore this email.`
+    })
+  },
+  password_reset: {
+    optional: false,
+    render: ({ user, token, expiresAt }) => ({
+      subject: 'Reset your Daxa Partner Portal password',
+      text: `Hi ${user.first_name || 'there'},\n\n` +
+        `We received a request to reset your password. Choose a new one here:\n` +
+        `${emailConfig.appUrl}/auth/reset-password?token=${encodeURIComponent(token)}\n\n` +
+        `This link can be used once and expires at ${expiresAt}. ` +
+        `If you did not request a reset, you can ignore this email.`
+    })
+  },
+  password_changed: {
+    optional: false,
+    render: ({ user }) => ({
+      subject: 'Your Daxa Partner Portal password was changed',
+      text: `Hi ${user.first_name || 'there'},\n\n` +
+        `Your password was just reset and all your sessions were signed out.\n\n` +
+        `If this was not you, contact your partner manager immediately.`
+    })
+  },
+  invitation: {
+    optional: false,
+    render: ({ invitation, inviteUrl }) => ({
+      subject: `You're invited to the Daxa Partner Portal`,
+      text: `Hi,\n\n` +
+        `${invitation.invited_by} invited you to register deals for ${invitation.partner_company} on the Daxa Partner Portal.\n\n` +
+        `Accept the invitation: ${inviteUrl}\n\n` +
+        `This invitation expires at ${invitation.expires_at}.`
+    })
+  }
+};
+
+const escapeHtml = (value) => value
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toHtml = (text) => text
+  .split('\n\n')
+  .map(paragraph => `<p>${escapeHtml(paragraph).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+class EmailService {
+  constructor() {
+    this.transporter = null;
+    this.outbox = [];
+    this.templates = TEMPLATES;
+  }
+
+  /**
+   * Email types users can opt out of
+   */
+  get optionalTypes() {
+    return Object.keys(TEMPLATES).filter(type => TEMPLATES[type].optional);
+  }
+
+  getTransporter() {
+    if (this.transporter) {
+      return this.transporter;
+    }
+
+    if (emailConfig.transport === 'smtp') {
+      this.transporter = emailConfig.smtp.host
+        ? nodemailer.createTransport({
+          host: emailConfig.smtp.host,
+          port: emailConfig.smtp.port,
+          secure: emailConfig.smtp.secure,
+          auth: emailConfig.smtp.user ? { user: emailConfig.smtp.user, pass: emailConfig.smtp.pass } : undefined
+        })
+        : nodemailer.createTransport({
+          service: 'SendGrid',
+          auth: { user: 'apikey', pass: emailConfig.sendgridApiKey }
+        });
+    } else {
+      // json and file transports render the message without sending it
+      this.transporter = nodemailer.createTransport({ jsonTransport: true });
+    }
+
+    return this.transporter;
+  }
+
+  /**
+   * Whether a recipient opted out of an email type ('all' opts out of every optional type)
+   */
+  async isOptedOut(email, type) {
+    if (!TEMPLATES[type]?.optional) {
+      return false;
+    }
+
+    const profile = await userProfileRepository.findByEmail(email);
+    const optOuts = (profile?.email_opt_outs || '').split(',').map(value => value.trim()).filter(Boolean);
+    return optOuts.includes('all') || optOuts.includes(type);
+  }
+
+  /**
+   * Render and send a templated email.
+   * Failures are logged, never thrown, so they cannot break the calling workflow.
+   * @returns {Object|null} - { type, to, subject, messageId } or null when skipped/failed
+   */
+  async send(type, to, data = {}) {
+    if (!to || emailConfig.transport === 'disabled') {
+      return null;
+    }
+
+    const template = TEMPLATES[type];
+    if (!template) {
+      console.error(`Unknown email template: ${type}`);
+      return null;
+    }
+
+    try {
+      if (await this.isOptedOut(to, type)) {
+        return null;
+      }
+
+      const { subject, text } = template.render(data);
+      const info = await this.getTransporter().sendMail({
+        from: emailConfig.from,
+        to: normalizeEmail(to),
+        subject,
+        text,
+        html: toHtml(text)
+      });
+
+      const sent = { type, to: normalizeEmail(to), subject, messageId: info.messageId };
+
+      if (emailConfig.transport !== 'smtp') {
+        this.record(sent, info.message);
+      }
+
+      return sent;
+    } catch (error) {
+      console.error(`Failed to send ${type} email to ${to}:`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * Keep rendered messages of the json/file transports for inspection
+   */
+  record(sent, message) {
+    this.outbox.push({ ...sent, message: JSON.parse(message) });
+    if (this.outbox.length > OUTBOX_SIZE) {
+      this.outbox.shift();
+    }
+
+    if (emailConfig.transport === 'file') {
+      fs.mkdirSync(emailConfig.outputDir, { recursive: true });
+      const fileName = `${Date.now()}-${sent.type}-${sent.messageId.replace(/[^a-zA-Z0-9-]/g, '')}.json`;
+      fs.writeFileSync(path.join(emailConfig.outputDir, fileName), message);
+    }
+  }
+}
+
+module.exports = new EmailService();
@@ -0,0 +1,91 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const { authCodeRepository, userRepository } = require('../repositories');
+const {
+  getCurrentTimestamp,
+  generateSecureToken,
+  hashToken,
+  createHttpError
+} = require('../utils/helpers');
+
+/**
+ * Google sign-in hardening.
+ * - state: a signed JWT carrying a nonce (also set in a cookie on the starting browser,
+ *   so a callback can only complete the sign-in that browser began) and the optional invite token.
+ * - auth codes: the callback redirects with a short-lived single-use code instead of tokens;
+ *   only its hash is stored and the frontend exchanges it via POST.
+ */
+class GoogleOAuthService {
+  createState({ inviteToken } = {}) {
+    const nonce = generateSecureToken(16);
+    const state = jwt.sign(
+      { typ: 'oauth_state', nonce, ...(inviteToken && { invite: inviteToken }) },
+      process.env.JWT_SECRET,
+      { expiresIn: `${authConfig.googleStateMinutes}m` }
+    );
+
+    return { state, nonce };
+  }
+
+  /**
+   * Check the state returned by Google against the nonce cookie of this browser
+   * @returns {Object} - { inviteToken }
+   */
+  verifyState(state, nonce) {
+    let payload;
+    try {
+      payload = jwt.verify(state || '', process.env.JWT_SECRET);
+    } catch (error) {
+      throw createHttpError('Invalid OAuth state', 400, { code: 'invalid_state' });
+    }
+
+    if (payload.typ !== 'oauth_state' || !nonce || payload.nonce.length !== nonce.length ||
+        !crypto.timingSafeEqual(Buffer.from(payload.nonce), Buffer.from(nonce))) {
+      throw createHttpError('Invalid OAuth state', 400, { code: 'invalid_state' });
+    }
+
+    return { inviteToken: payload.invite || null };
+  }
+
+  async createAuthCode(user) {
+    const code = generateSecureToken();
+    const now = new Date();
+
+    await authCodeRepository.create({
+      code_hash: hashToken(code),
+      user_id: user.id,
+      created_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + authConfig.googleAuthCodeSeconds * 1000).toISOString(),
+      used_at: ''
+    });
+
+    return code;
+  }
+
+  /**
+   * Consume a one-time code and return its user
+   */
+  async exchangeAuthCode(code) {
+    const authCode = code ? await authCodeRepository.findById(hashToken(code)) : null;
+
+    if (!authCode || authCode.used_at) {
+      throw createHttpError('Invalid or already used authorization code', 400);
+    }
+
+    await authCodeRepository.update(authCode.code_hash, { used_at: getCurrentTimestamp() });
+
+    if (new Date(authCode.expires_at).getTime() <= Date.now()) {
+      throw createHttpError('Authorization code has expired', 400, { message: 'Please sign in with Google again' });
+    }
+
+    const user = await userRepository.findById(authCode.user_id);
+    if (!user || user.status !== 'active') {
+      throw createHttpError('Invalid or inactive user', 401, { message: 'User account not found or inactive' });
+    }
+
+    return user;
+  }
+}
+
+module.exports = new GoogleOAuthService();
@@ -1,6 +1,7 @@
 const { google } = require('googleapis');
 const { JWT } = require('google-auth-library');
 const fs = require('fs');
+const { generateId, getCurrentTimestamp } = require('../utils/helpers');
 
 class GoogleSheetsService {
   constructor() {
@@ -202,6 +203,59 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Find a row by value and merge field updates into it by header name.
+   * Columns missing from the header row are appended to it first.
+   */
+  async updateRowByValue(sheetName, columnName, searchValue, updates) {
+    await this.ensureInitialized();
+    try {
+      const data = await this.getSheetData(sheetName);
+
+      if (!data || data.length === 0) {
+        return null;
+      }
+
+      const headers = [...data[0]];
+      const columnIndex = headers.indexOf(columnName);
+
+      if (columnIndex === -1) {
+        throw new Error(`Column '${columnName}' not found in sheet '${sheetName}'`);
+      }
+
+      const dataIndex = data.findIndex((row, i) => i > 0 && row[columnIndex] === searchValue);
+
+      if (dataIndex === -1) {
+        return null;
+      }
+
+      // Extend header row with any new columns
+      const newColumns = Object.keys(updates).filter(key => !headers.includes(key));
+      if (newColumns.length > 0) {
+        headers.push(...newColumns);
+        await this.updateRow(sheetName, 1, headers);
+      }
+
+      const values = headers.map((header, index) => (
+        Object.prototype.hasOwnProperty.call(updates, header)
+          ? updates[header]
+          : data[dataIndex][index] || ''
+      ));
+
+      // Sheet rows are 1-based
+      await this.updateRow(sheetName, dataIndex + 1, values);
+
+      const rowObject = {};
+      headers.forEach((header, index) => {
+        rowObject[header] = values[index] ?? '';
+      });
+      return rowObject;
+    } catch (error) {
+      console.error(`Error updating row by value in ${sheetName}:`, error.message);
+      throw error;
+    }
+  }
+
   /**
    * Get all rows as objects with headers as keys
    */
@@ -294,11 +348,18 @@ class GoogleSheetsService {
     }
   }
 
+  /**
+   * Generate a unique row ID
+   */
+  generateId() {
+    return generateId();
+  }
+
   /**
    * Get current timestamp in ISO format
    */
   getCurrentTimestamp() {
-    return new Date().toISOString();
+    return getCurrentTimestamp();
   }
 
   /**
@@ -0,0 +1,185 @@
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const emailConfig = require('../config/email');
+const { invitationRepository, userRepository } = require('../repositories');
+const auditService = require('./auditService');
+const emailService = require('./emailService');
+const dealAccessService = require('./dealAccessService');
+const partnerService = require('./partnerService');
+const {
+  generateId,
+  getCurrentTimestamp,
+  normalizeEmail,
+  createHttpError
+} = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Admin invitations of partner users.
+ * The invite link carries a JWT signed with JWT_SECRET naming the invitation;
+ * the Invitations row is the source of truth for status (pending/accepted/revoked).
+ */
+class InvitationService {
+  /**
+   * Invite an email address to a partner company with a role, and email the link
+   */
+  async createInvitation({ email, partnerCompany, role = 'user', invitedBy }) {
+    const normalizedEmail = normalizeEmail(email);
+
+    if (!normalizedEmail || !partnerCompany) {
+      throw createHttpError('Missing required fields', 400, { required: ['email', 'partnerCompany'] });
+    }
+
+    if (!dealAccessService.userRoles.includes(role)) {
+      throw createHttpError('Invalid role', 400, { validRoles: dealAccessService.userRoles });
+    }
+
+    const partner = await partnerService.findActiveByName(partnerCompany);
+    if (!partner) {
+      throw createHttpError('Unknown partner company', 400, { partnerCompany });
+    }
+
+    if (await userRepository.findByEmail(normalizedEmail)) {
+      throw createHttpError('A user with this email already exists', 409, { email: normalizedEmail });
+    }
+
+    // A new invitation replaces any still pending one for the same address
+    const pending = await invitationRepository.findPendingByEmail(normalizedEmail);
+    if (pending) {
+      await invitationRepository.update(pending.id, {
+        status: 'revoked',
+        revoked_by: invitedBy,
+        revoked_at: getCurrentTimestamp()
+      });
+    }
+
+    const createdAt = new Date();
+    const invitation = await invitationRepository.create({
+      id: generateId(),
+      email: normalizedEmail,
+      partner_company: partner.name,
+      role,
+      status: 'pending',
+      invited_by: invitedBy,
+      created_at: createdAt.toISOString(),
+      expires_at: new Date(createdAt.getTime() + authConfig.inviteExpiryDays * DAY_MS).toISOString()
+    });
+
+    const token = this.signToken(invitation);
+    const inviteUrl = `${emailConfig.appUrl}/auth/invite?token=${encodeURIComponent(token)}`;
+
+    await emailService.send('invitation', normalizedEmail, { invitation, inviteUrl });
+
+    await auditService.log({
+      userEmail: invitedBy,
+      action: 'invitation_created',
+      notes: `Invited ${normalizedEmail} to ${invitation.partner_company} as ${role}`
+    });
+
+    return { invitation, inviteUrl, token };
+  }
+
+  signToken(invitation) {
+    const expiresIn = Math.max(Math.floor((new Date(invitation.expires_at).getTime() - Date.now()) / 1000), 1);
+    return jwt.sign({ typ: 'invite', inv: invitation.id, email: invitation.email }, process.env.JWT_SECRET, { expiresIn });
+  }
+
+  /**
+   * Look up the pending invitation behind a token, optionally checking it was issued to email
+   */
+  async resolveToken(token, email) {
+    let payload;
+    try {
+      payload = jwt.verify(token, process.env.JWT_SECRET);
+    } catch (error) {
+      throw createHttpError(
+        error.name === 'TokenExpiredError' ? 'Invitation has expired' : 'Invalid invitation',
+        error.name === 'TokenExpiredError' ? 410 : 400
+      );
+    }
+
+    if (payload.typ !== 'invite') {
+      throw createHttpError('Invalid invitation', 400);
+    }
+
+    const invitation = await invitationRepository.findById(payload.inv);
+
+    if (!invitation || invitation.status !== 'pending') {
+      throw createHttpError('Invitation is no longer valid', 410, { status: invitation?.status });
+    }
+
+    if (new Date(invitation.expires_at).getTime() <= Date.now()) {
+      throw createHttpError('Invitation has expired', 410);
+    }
+
+    if (email && normalizeEmail(email) !== normalizeEmail(invitation.email)) {
+      throw createHttpError('Invitation was issued to a different email address', 403);
+    }
+
+    return invitation;
+  }
+
+  /**
+   * Mark an invitation as used by the account created from it
+   */
+  async accept(invitation, user) {
+    const updated = await invitationRepository.update(invitation.id, {
+      status: 'accepted',
+      accepted_at: getCurrentTimestamp(),
+      accepted_user_id: user.id
+    });
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'invitation_accepted',
+      notes: `Joined ${invitation.partner_company} as ${invitation.role}`
+    });
+
+    return updated;
+  }
+
+  /**
+   * List invitations (newest first), marking lapsed pending ones as expired
+   */
+  async list({ status } = {}) {
+    const now = Date.now();
+    const invitations = (await invitationRepository.findAll()).map(invitation => (
+      invitation.status === 'pending' && new Date(invitation.expires_at).getTime() <= now
+        ? { ...invitation, status: 'expired' }
+        : invitation
+    ));
+
+    return invitations
+      .filter(invitation => !status || invitation.status === status)
+      .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+  }
+
+  async revoke(invitationId, { actor }) {
+    const invitation = await invitationRepository.findById(invitationId);
+
+    if (!invitation) {
+      throw createHttpError('Invitation not found', 404, { invitationId });
+    }
+
+    if (invitation.status !== 'pending') {
+      throw createHttpError('Only pending invitations can be revoked', 409, { status: invitation.status });
+    }
+
+    const updated = await invitationRepository.update(invitationId, {
+      status: 'revoked',
+      revoked_by: actor,
+      revoked_at: getCurrentTimestamp()
+    });
+
+    await auditService.log({
+      userEmail: actor,
+      action: 'invitation_revoked',
+      notes: `Revoked invitation for ${invitation.email}`
+    });
+
+    return updated;
+  }
+}
+
+module.exports = new InvitationService();
@@ -0,0 +1,136 @@
+const { notificationRepository, adminRepository } = require('../repositories');
+const emailService = require('./emailService');
+const { getCurrentTimestamp, normalizeEmail, createHttpError } = require('../utils/helpers');
+
+class NotificationService {
+  /**
+   * Store an in-app notification for a user.
+   * Failures are logged, never thrown, so they cannot break the calling workflow.
+   */
+  async notify({ recipientEmail, type, dealId, message }) {
+    if (!recipientEmail) {
+      return null;
+    }
+
+    try {
+      return await notificationRepository.add({ recipientEmail, type, dealId, message });
+    } catch (error) {
+      console.error(`Failed to notify ${recipientEmail} (${type}):`, error.message);
+      return null;
+    }
+  }
+
+  /**
+   * A user's in-app notifications, newest first
+   */
+  async listForUser(user, { unreadOnly = false } = {}) {
+    const notifications = await notificationRepository.findByRecipient(user.email);
+
+    return notifications
+      .filter(notification => !unreadOnly || !notification.read_at)
+      .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+  }
+
+  /**
+   * Mark one of the user's notifications as read (already read ones are left as they are)
+   */
+  async markRead(notificationId, user) {
+    const notification = await notificationRepository.findById(notificationId);
+
+    // Other users' notifications are reported as missing rather than forbidden
+    if (!notification || notification.recipient_email !== normalizeEmail(user.email)) {
+      throw createHttpError('Notification not found', 404, { notificationId });
+    }
+
+    if (notification.read_at) {
+      return notification;
+    }
+
+    return notificationRepository.update(notificationId, { read_at: getCurrentTimestamp() });
+  }
+
+  /**
+   * Mark all of the user's unread notifications as read
+   * @returns {number} - how many were marked
+   */
+  async markAllRead(user) {
+    const unread = await this.listForUser(user, { unreadOnly: true });
+    const readAt = getCurrentTimestamp();
+
+    await notificationRepository.updateMany(unread.map(notification => ({
+      id: notification.id,
+      changes: { read_at: readAt }
+    })));
+
+    return unread.length;
+  }
+
+  /**
+   * Tell the losing partner of a channel conflict decision what happened
+   */
+  async notifyConflictResolution(deal, { resolution, winnerDeal }) {
+    const message = resolution === 'merged'
+      ? `Your registration for ${deal.company_name} was merged into registration ${winnerDeal.id}.`
+      : `Your registration for ${deal.company_name} was not accepted: the account was awarded to ${winnerDeal.partner_company}.`;
+
+    return this.notify({
+      recipientEmail: deal.submitter_email,
+      type: `conflict_${resolution}`,
+      dealId: deal.id,
+      message
+    });
+  }
+
+  /**
+   * Email every active admin (from the Admins sheet)
+   */
+  async emailAdmins(type, data) {
+    let admins = [];
+    try {
+      admins = await adminRepository.findActive();
+    } catch (error) {
+      console.error(`Failed to load admins for ${type} email:`, error.message);
+    }
+
+    for (const admin of admins) {
+      await emailService.send(type, admin.email, data);
+    }
+  }
+
+  /**
+   * Confirm a new registration to the partner and ask admins to review it
+   */
+  async dealSubmitted(deal) {
+    await emailService.send('deal_submitted', deal.submitter_email, { deal });
+    await this.emailAdmins('deal_awaiting_review', { deal });
+  }
+
+  /**
+   * Tell the partner about an approval or rejection
+   */
+  async dealReviewed(deal) {
+    const status = (deal.status || '').toLowerCase();
+    if (status !== 'approved' && status !== 'rejected') {
+      return;
+    }
+
+    await this.notify({
+      recipientEmail: deal.submitter_email,
+      type: `deal_${status}`,
+      dealId: deal.id,
+      message: status === 'approved'
+        ? `Your registration for ${deal.company_name} was approved.`
+        : `Your registration for ${deal.company_name} was rejected: ${deal.rejection_reason}`
+    });
+    await emailService.send(`deal_${status}`, deal.submitter_email, { deal });
+  }
+
+  /**
+   * Alert admins that a registration was submitted despite conflicting with others
+   */
+  async duplicateDetected(deal, duplicates) {
+    await this.emailAdmins('duplicate_detected', { deal, duplicates });
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,235 @@
+const { partnerRepository } = require('../repositories');
+const auditService = require('./auditService');
+const {
+  generateId,
+  getCurrentTimestamp,
+  normalizeEmail,
+  createHttpError
+} = require('../utils/helpers');
+
+const PARTNER_STATUSES = ['active', 'inactive'];
+const DOMAIN_PATTERN = /^[a-z0-9-]+(\.[a-z0-9-]+)+$/;
+
+// Company given to open sign-ups whose domain and company are both unknown
+const FALLBACK_PARTNER = 'External Partner';
+
+// Companies of the domain mapping used before the Partners sheet existed;
+// users created back then still belong to them
+const DEFAULT_PARTNERS = [
+  { name: 'TechFlow Solutions', emailDomains: ['techflow.com'] },
+  { name: 'Digital Innovations Inc.', emailDomains: ['digitalinnovations.com'] },
+  { name: 'CloudWare Partners', emailDomains: ['cloudware.com'] },
+  { name: 'DataBridge Consulting', emailDomains: ['databridge.com'] },
+  { name: 'Daxa Internal', emailDomains: ['daxa.ai'] },
+  { name: FALLBACK_PARTNER, emailDomains: [] }
+];
+
+/**
+ * Accept a list as an array or a comma separated string
+ */
+const toList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map(item => String(item).trim())
+  .filter(Boolean);
+
+class PartnerService {
+  constructor() {
+    this.statuses = PARTNER_STATUSES;
+    this.fallbackName = FALLBACK_PARTNER;
+  }
+
+  /**
+   * List partners, optionally by status or name/domain search
+   */
+  async list({ status, q } = {}) {
+    const search = (q || '').trim().toLowerCase();
+    const partners = await partnerRepository.findAll();
+
+    return partners
+      .filter(partner => !status || partner.status === status)
+      .filter(partner => !search ||
+        (partner.name || '').toLowerCase().includes(search) ||
+        (partner.email_domains || '').toLowerCase().includes(search))
+      .sort((a, b) => (a.name || '').localeCompare(b.name || ''));
+  }
+
+  async get(partnerId) {
+    const partner = await partnerRepository.findById(partnerId);
+
+    if (!partner) {
+      throw createHttpError('Partner not found', 404, { partnerId });
+    }
+
+    return partner;
+  }
+
+  /**
+   * Map request fields to Partners columns, validating the ones present
+   */
+  async buildChanges(input, { partnerId } = {}) {
+    const changes = {};
+
+    if (input.emailDomains !== undefined) {
+      const domains = [...new Set(toList(input.emailDomains).map(domain => domain.toLowerCase().replace(/^@/, '')))];
+      const invalidDomains = domains.filter(domain => !DOMAIN_PATTERN.test(domain));
+
+      if (invalidDomains.length > 0) {
+        throw createHttpError('Invalid email domains', 400, { invalidDomains });
+      }
+
+      // A domain decides a user's company, so it may belong to one partner only
+      for (const domain of domains) {
+        const owner = await partnerRepository.findByDomain(domain);
+        if (owner && owner.id !== partnerId) {
+          throw createHttpError('Email domain already belongs to another partner', 409, { domain, partner: owner.name });
+        }
+      }
+
+      changes.email_domains = domains.join(',');
+    }
+
+    if (input.territories !== undefined) {
+      changes.territories = toList(input.territories).join(',');
+    }
+
+    if (input.tier !== undefined) {
+      changes.tier = String(input.tier || '').trim();
+    }
+
+    if (input.status !== undefined) {
+      if (!PARTNER_STATUSES.includes(input.status)) {
+        throw createHttpError('Invalid status', 400, { validStatuses: PARTNER_STATUSES });
+      }
+      changes.status = input.status;
+    }
+
+    if (input.channelManagerEmail !== undefined) {
+      changes.channel_manager_email = normalizeEmail(input.channelManagerEmail);
+    }
+
+    return changes;
+  }
+
+  async create(input, { actor }) {
+    if (input.name !== undefined && typeof input.name !== 'string') {
+      throw createHttpError('Partner name must be a string', 400);
+    }
+
+    const name = (input.name || '').trim();
+
+    if (!name) {
+      throw createHttpError('Partner name is required', 400);
+    }
+
+    if (await partnerRepository.findByName(name)) {
+      throw createHttpError('A partner with this name already exists', 409, { name });
+    }
+
+    const changes = await this.buildChanges(input);
+    const timestamp = getCurrentTimestamp();
+
+    const partner = await partnerRepository.create({
+      id: generateId(),
+      name,
+      email_domains: '',
+      tier: '',
+      status: 'active',
+      territories: '',
+      channel_manager_email: '',
+      ...changes,
+      created_by: actor,
+      created_at: timestamp,
+      updated_at: timestamp
+    });
+
+    await auditService.log({
+      userEmail: actor,
+      action: 'partner_created',
+      notes: `Created partner ${name}`
+    });
+
+    return partner;
+  }
+
+  /**
+   * Update a partner. The name is immutable: users and deals reference it.
+   */
+  async update(partnerId, input, { actor }) {
+    const partner = await this.get(partnerId);
+
+    if (input.name !== undefined && typeof input.name !== 'string') {
+      throw createHttpError('Partner name must be a string', 400);
+    }
+
+    if (input.name !== undefined && input.name.trim() !== partner.name) {
+      throw createHttpError('Partner name cannot be changed', 400, { name: partner.name });
+    }
+
+    const changes = await this.buildChanges(input, { partnerId });
+
+    if (Object.keys(changes).length === 0) {
+      throw createHttpError('No changes provided', 400);
+    }
+
+    const updated = await partnerRepository.update(partnerId, { ...changes, updated_at: getCurrentTimestamp() });
+
+    for (const [field, value] of Object.entries(changes)) {
+      if ((partner[field] || '') === value) continue;
+      await auditService.log({
+        action: 'partner_updated',
+        userEmail: actor,
+        notes: `Changed ${field} of ${partner.name}`,
+        field,
+        oldValue: partner[field] || '',
+        newValue: value
+      });
+    }
+
+    return updated;
+  }
+
+  async deactivate(partnerId, { actor }) {
+    return this.update(partnerId, { status: 'inactive' }, { actor });
+  }
+
+  /**
+   * Create the default partners that are missing. Existing partners and
+   * domains already owned by another partner are left alone.
+   */
+  async ensureDefaults({ actor = 'system' } = {}) {
+    const created = [];
+
+    for (const { name, emailDomains } of DEFAULT_PARTNERS) {
+      if (await partnerRepository.findByName(name)) continue;
+
+      const freeDomains = [];
+      for (const domain of emailDomains) {
+        if (!(await partnerRepository.findByDomain(domain))) {
+          freeDomains.push(domain);
+        }
+      }
+
+      created.push(await this.create({ name, emailDomains: freeDomains }, { actor }));
+    }
+
+    return created;
+  }
+
+  /**
+   * Active partner whose email domains cover an email address, or null
+   */
+  async findByEmail(email) {
+    const domain = normalizeEmail(email).split('@')[1];
+    const partner = await partnerRepository.findByDomain(domain);
+    return partner && partner.status === 'active' ? partner : null;
+  }
+
+  /**
+   * Active partner with the given name (case-insensitive), or null
+   */
+  async findActiveByName(name) {
+    const partner = await partnerRepository.findByName(name);
+    return partner && partner.status === 'active' ? partner : null;
+  }
+}
+
+module.exports = new PartnerService();
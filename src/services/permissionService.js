@@ -0,0 +1,80 @@
+const { ROLES, ROLE_ALIASES } = require('../config/permissions');
+const { adminRepository } = require('../repositories');
+
+/**
+ * Role resolution and permission checks (see config/permissions)
+ */
+class PermissionService {
+  constructor() {
+    this.roles = ROLES;
+    this.internalRoles = Object.keys(ROLES).filter(role => ROLES[role].internal);
+  }
+
+  /**
+   * Canonical role name for a stored or requested role (legacy aliases included), or null
+   */
+  resolveRole(role) {
+    const name = ROLE_ALIASES[role] || role;
+    return ROLES[name] ? name : null;
+  }
+
+  isInternalRole(role) {
+    return this.internalRoles.includes(this.resolveRole(role));
+  }
+
+  permissionsFor(role) {
+    return ROLES[this.resolveRole(role)]?.permissions || [];
+  }
+
+  /**
+   * Whether a request user ({ role } or { permissions }) holds a permission
+   */
+  hasPermission(user, permission) {
+    const permissions = user?.permissions || this.permissionsFor(user?.role);
+    return permissions.includes(permission);
+  }
+
+  /**
+   * Role of an Admins row; rows from before roles existed are super admins
+   */
+  adminRole(admin) {
+    return this.resolveRole(admin.role || 'super_admin');
+  }
+
+  /**
+   * Role a user acts with: their active Admins row role, else their Users role.
+   * Internal roles come only from the Admins sheet; a Users role such as 'admin'
+   * falls back to partner_user like any unknown role.
+   */
+  async resolveUserRole(user) {
+    const admin = await adminRepository.findByEmail(user.email);
+
+    if (admin && admin.status === 'active' && this.adminRole(admin)) {
+      return this.adminRole(admin);
+    }
+
+    return this.partnerRole(user.role);
+  }
+
+  /**
+   * Partner role for a Users role, never an internal one
+   */
+  partnerRole(role) {
+    const resolved = this.resolveRole(role || 'user');
+    return resolved && !this.isInternalRole(resolved) ? resolved : 'partner_user';
+  }
+
+  /**
+   * Role catalog for admin screens
+   */
+  describeRoles() {
+    return Object.entries(ROLES).map(([role, definition]) => ({
+      role,
+      label: definition.label,
+      internal: definition.internal,
+      permissions: definition.permissions
+    }));
+  }
+}
+
+module.exports = new PermissionService();
@@ -0,0 +1,224 @@
+const registrationConfig = require('../config/registration');
+const {
+  dealRepository,
+  extensionRequestRepository
+} = require('../repositories');
+const auditService = require('./auditService');
+const dealStatusService = require('./dealStatusService');
+const dealAccessService = require('./dealAccessService');
+const notificationService = require('./notificationService');
+const { generateId, getCurrentTimestamp, createHttpError } = require('../utils/helpers');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class RegistrationExpiryService {
+  constructor() {
+    this.timer = null;
+  }
+
+  /**
+   * Expire approved deals whose protection period has lapsed.
+   * Approved deals without expires_at (approved before expiry existed) are never
+   * expired in the sweep that finds them: they get a full protection period
+   * starting now, so the first sweep after deploying does not expire old deals en masse.
+   */
+  async sweepExpiredDeals(now = new Date()) {
+    const deals = await dealRepository.findAll();
+    const approved = deals.filter(deal => (deal.status || '').toLowerCase() === 'approved');
+    const expired = [];
+
+    const legacy = approved.filter(deal => !deal.expires_at);
+    if (legacy.length > 0) {
+      await dealRepository.updateMany(legacy.map(deal => ({
+        id: deal.id,
+        changes: { expires_at: dealStatusService.calculateExpiresAt(deal, now) }
+      })));
+      console.log(`Registration sweep set expiry on ${legacy.length} previously approved deal(s)`);
+    }
+
+    for (const deal of approved) {
+      const expiresAt = deal.expires_at;
+      if (!expiresAt || new Date(expiresAt).getTime() > now.getTime()) continue;
+
+      try {
+        await dealStatusService.transition(deal.id, 'expired', {
+          actor: 'system',
+          notes: `Protection period ended ${expiresAt}`
+        });
+        await notificationService.notify({
+          recipientEmail: deal.submitter_email,
+          type: 'registration_expired',
+          dealId: deal.id,
+          message: `Your registration for ${deal.company_name} expired on ${expiresAt}.`
+        });
+        expired.push(deal.id);
+      } catch (error) {
+        console.error(`Failed to expire deal ${deal.id}:`, error.message);
+      }
+    }
+
+    if (expired.length > 0) {
+      console.log(`Registration sweep expired ${expired.length} deal(s)`);
+    }
+
+    return { expired, checkedAt: now.toISOString() };
+  }
+
+  /**
+   * Run the sweep on an interval (no-op when the interval is 0)
+   */
+  start() {
+    const minutes = registrationConfig.sweepIntervalMinutes;
+    if (this.timer || minutes <= 0) {
+      return;
+    }
+
+    const run = () => this.sweepExpiredDeals().catch(error => {
+      console.error('Registration sweep error:', error.message);
+    });
+
+    this.timer = setInterval(run, minutes * 60 * 1000);
+    this.timer.unref();
+    run();
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+
+  /**
+   * Partner request to extend an approved registration (submitter or their partner admin)
+   */
+  async requestExtension(dealId, { user, requestedDays, justification }) {
+    const deal = await dealRepository.findById(dealId);
+
+    if (!deal) {
+      throw createHttpError('Deal not found', 404, { dealId });
+    }
+
+    if (!dealAccessService.canManage(user, deal)) {
+      throw createHttpError('Permission denied', 403, { message: 'You can only extend deals of your own or your team' });
+    }
+
+    const requestedBy = user.email;
+
+    if ((deal.status || '').toLowerCase() !== 'approved') {
+      throw createHttpError('Only approved registrations can be extended', 409, { dealId, status: deal.status });
+    }
+
+    const days = parseInt(requestedDays, 10);
+    if (Number.isNaN(days) || days < 1 || days > registrationConfig.maxExtensionDays) {
+      throw createHttpError('Invalid extension length', 400, {
+        requestedDays,
+        maxExtensionDays: registrationConfig.maxExtensionDays
+      });
+    }
+
+    if (!justification || !justification.trim()) {
+      throw createHttpError('Justification is required', 400);
+    }
+
+    if (await extensionRequestRepository.findPendingForDeal(dealId)) {
+      throw createHttpError('An extension request is already pending for this deal', 409, { dealId });
+    }
+
+    const request = await extensionRequestRepository.create({
+      id: generateId(),
+      deal_id: dealId,
+      requested_by: requestedBy,
+      requested_days: String(days),
+      justification: justification.trim(),
+      status: 'pending',
+      requested_at: getCurrentTimestamp(),
+      previous_expires_at: deal.expires_at || ''
+    });
+
+    await auditService.log({
+      dealId,
+      userEmail: requestedBy,
+      action: 'extension_requested',
+      notes: `Requested ${days} day extension: ${request.justification}`
+    });
+
+    return request;
+  }
+
+  /**
+   * Approve or deny a pending extension request
+   */
+  async decideExtension(requestId, decision, { actor, days, notes = '' }) {
+    const request = await extensionRequestRepository.findById(requestId);
+
+    if (!request) {
+      throw createHttpError('Extension request not found', 404, { requestId });
+    }
+
+    if (request.status !== 'pending') {
+      throw createHttpError('Extension request already decided', 409, { requestId, status: request.status });
+    }
+
+    const deal = await dealRepository.findById(request.deal_id);
+    if (!deal) {
+      throw createHttpError('Deal not found', 404, { dealId: request.deal_id });
+    }
+
+    const decidedAt = getCurrentTimestamp();
+    const changes = {
+      status: decision,
+      decided_by: actor,
+      decided_at: decidedAt,
+      decision_notes: notes
+    };
+
+    if (decision === 'approved') {
+      if ((deal.status || '').toLowerCase() !== 'approved') {
+        throw createHttpError('Deal is no longer approved', 409, { dealId: deal.id, status: deal.status });
+      }
+
+      const grantedDays = parseInt(days || request.requested_days, 10);
+      if (Number.isNaN(grantedDays) || grantedDays < 1 || grantedDays > registrationConfig.maxExtensionDays) {
+        throw createHttpError('Invalid extension length', 400, {
+          days,
+          maxExtensionDays: registrationConfig.maxExtensionDays
+        });
+      }
+
+      // Extend from the current expiry, or from now if it already passed
+      const currentExpiry = new Date(deal.expires_at || decidedAt).getTime();
+      const base = Math.max(currentExpiry, Date.now());
+      const newExpiresAt = new Date(base + grantedDays * DAY_MS).toISOString();
+
+      await dealRepository.update(deal.id, { expires_at: newExpiresAt });
+      changes.previous_expires_at = deal.expires_at || '';
+      changes.new_expires_at = newExpiresAt;
+    }
+
+    const updated = await extensionRequestRepository.update(requestId, changes);
+
+    await auditService.log({
+      dealId: deal.id,
+      userEmail: actor,
+      action: decision === 'approved' ? 'extension_approved' : 'extension_denied',
+      notes: [
+        decision === 'approved' ? `Protection extended to ${changes.new_expires_at}` : 'Extension denied',
+        notes
+      ].filter(Boolean).join('. ')
+    });
+
+    await notificationService.notify({
+      recipientEmail: request.requested_by,
+      type: decision === 'approved' ? 'extension_approved' : 'extension_denied',
+      dealId: deal.id,
+      message: decision === 'approved'
+        ? `Your registration for ${deal.company_name} was extended to ${changes.new_expires_at}.`
+        : `Your extension request for ${deal.company_name} was denied.${notes ? ` ${notes}` : ''}`
+    });
+
+    return updated;
+  }
+}
+
+module.exports = new RegistrationExpiryService();
@@ -0,0 +1,293 @@
+const { dealRepository, adminRepository } = require('../repositories');
+const auditService = require('./auditService');
+const notificationService = require('./notificationService');
+const settingsService = require('./settingsService');
+const permissionService = require('./permissionService');
+const partnerService = require('./partnerService');
+const { getCurrentTimestamp, normalizeEmail, createHttpError } = require('../utils/helpers');
+
+// Deals waiting on a reviewer (the pending-deals queue)
+const QUEUE_STATUSES = ['submitted', 'pending', 'under_review'];
+
+// Deals a reviewer can still be assigned to
+const OPEN_STATUSES = [...QUEUE_STATUSES, 'needs_info'];
+
+/**
+ * Reviewer (channel manager) assignment of deals and per-reviewer workload.
+ * New deals are assigned automatically (Settings: reviewer_assignment), trying in order
+ *   1. territory: the reviewer mapped to the deal's territory
+ *   2. partner: the partner company's channel manager
+ *   3. round robin: the reviewer after the one who got the last round-robin deal
+ * Reviewers are active admins whose role may approve deals.
+ */
+class ReviewerAssignmentService {
+  constructor() {
+    this.queueStatuses = QUEUE_STATUSES;
+    this.openStatuses = OPEN_STATUSES;
+  }
+
+  isReviewer(admin) {
+    return Boolean(admin) && admin.status === 'active' &&
+      permissionService.permissionsFor(permissionService.adminRole(admin)).includes('deals:approve');
+  }
+
+  /**
+   * Active reviewers, sorted by email
+   */
+  async listReviewers() {
+    const admins = await adminRepository.findActive();
+    return admins
+      .filter(admin => this.isReviewer(admin))
+      .sort((a, b) => normalizeEmail(a.email).localeCompare(normalizeEmail(b.email)));
+  }
+
+  async resolveReviewer(email) {
+    if (!email) {
+      throw createHttpError('Reviewer email is required', 400);
+    }
+
+    const admin = await adminRepository.findByEmail(email);
+
+    if (!admin || admin.status !== 'active') {
+      throw createHttpError('Reviewer not found or inactive', 404, { reviewer: email });
+    }
+
+    if (!this.isReviewer(admin)) {
+      throw createHttpError('Reviewer cannot approve deals', 400, { reviewer: admin.email });
+    }
+
+    return admin;
+  }
+
+  /**
+   * Check and normalize the reviewer_assignment setting
+   * @param {Object} config - { territories: { [territory]: reviewerEmail }, usePartnerChannelManager, roundRobin }
+   */
+  async validateConfig(config) {
+    if (!config || typeof config !== 'object' || Array.isArray(config)) {
+      throw createHttpError('Invalid reviewer assignment settings', 400);
+    }
+
+    const territories = {};
+    for (const [territory, email] of Object.entries(config.territories || {})) {
+      const reviewer = await this.resolveReviewer(email);
+      territories[territory.trim()] = normalizeEmail(reviewer.email);
+    }
+
+    return {
+      territories,
+      usePartnerChannelManager: config.usePartnerChannelManager !== false,
+      roundRobin: config.roundRobin !== false
+    };
+  }
+
+  async getConfig() {
+    return settingsService.get('reviewer_assignment');
+  }
+
+  async setConfig(config, { actor }) {
+    return settingsService.set('reviewer_assignment', await this.validateConfig(config), { actor });
+  }
+
+  /**
+   * Work out who should review a new deal
+   * @returns {Object|null} - { reviewer, via } with via territory, partner or round_robin
+   */
+  async pickReviewer(deal) {
+    const config = await this.getConfig();
+    const reviewers = await this.listReviewers();
+    const eligible = (email) => reviewers.find(admin => normalizeEmail(admin.email) === normalizeEmail(email));
+
+    const territory = Object.keys(config.territories || {})
+      .find(name => name.toLowerCase() === (deal.territory || '').trim().toLowerCase());
+    if (territory && eligible(config.territories[territory])) {
+      return { reviewer: eligible(config.territories[territory]).email, via: 'territory' };
+    }
+
+    if (config.usePartnerChannelManager) {
+      const partner = await partnerService.findActiveByName(deal.partner_company || '');
+      if (partner && eligible(partner.channel_manager_email)) {
+        return { reviewer: eligible(partner.channel_manager_email).email, via: 'partner' };
+      }
+    }
+
+    if (config.roundRobin && reviewers.length > 0) {
+      const deals = await dealRepository.findAll();
+      const last = deals
+        .filter(existing => existing.reviewer_assigned_via === 'round_robin')
+        .sort((a, b) => (b.reviewer_assigned_at || '').localeCompare(a.reviewer_assigned_at || ''))[0];
+      const lastIndex = last
+        ? reviewers.findIndex(admin => normalizeEmail(admin.email) === normalizeEmail(last.reviewer))
+        : -1;
+
+      return { reviewer: reviewers[(lastIndex + 1) % reviewers.length].email, via: 'round_robin' };
+    }
+
+    return null;
+  }
+
+  /**
+   * Columns recording an assignment
+   */
+  assignmentChanges(reviewerEmail, via) {
+    return {
+      reviewer: reviewerEmail,
+      reviewer_assigned_at: getCurrentTimestamp(),
+      reviewer_assigned_via: via
+    };
+  }
+
+  async notifyReviewer(deal, reviewerEmail) {
+    await notificationService.notify({
+      recipientEmail: reviewerEmail,
+      type: 'deal_assigned',
+      dealId: deal.id,
+      message: `The registration for ${deal.company_name} was assigned to you for review.`
+    });
+  }
+
+  /**
+   * Assign a newly submitted deal that is still open and has no reviewer yet
+   */
+  async autoAssign(deal) {
+    const status = (deal.status || 'submitted').toLowerCase();
+
+    if (deal.reviewer || !this.openStatuses.includes(status)) {
+      return deal;
+    }
+
+    const pick = await this.pickReviewer(deal);
+
+    if (!pick) {
+      return deal;
+    }
+
+    const updatedDeal = await dealRepository.update(deal.id, this.assignmentChanges(pick.reviewer, pick.via));
+
+    await auditService.log({
+      dealId: deal.id,
+      userEmail: 'system',
+      action: 'reviewer_assigned',
+      notes: `Assigned reviewer ${pick.reviewer} (${pick.via.replace('_', ' ')})`,
+      field: 'reviewer',
+      oldValue: '',
+      newValue: pick.reviewer
+    });
+
+    await this.notifyReviewer(updatedDeal, pick.reviewer);
+
+    return updatedDeal;
+  }
+
+  /**
+   * Manually (re)assign a deal to a reviewer
+   */
+  async assign(dealId, reviewerEmail, { actor, notes = '' }) {
+    const reviewer = await this.resolveReviewer(reviewerEmail);
+    const deal = await dealRepository.findById(dealId);
+
+    if (!deal) {
+      throw createHttpError('Deal not found', 404, { dealId });
+    }
+
+    const status = (deal.status || 'submitted').toLowerCase();
+
+    if (!this.openStatuses.includes(status)) {
+      throw createHttpError('Deal is not open for review', 409, { currentStatus: status });
+    }
+
+    if (normalizeEmail(deal.reviewer) === normalizeEmail(reviewer.email)) {
+      throw createHttpError('Deal is already assigned to this reviewer', 409, { reviewer: reviewer.email });
+    }
+
+    const updatedDeal = await dealRepository.update(dealId, this.assignmentChanges(reviewer.email, 'manual'));
+
+    await auditService.log({
+      dealId,
+      userEmail: actor,
+      action: 'reviewer_assigned',
+      notes: [
+        deal.reviewer ? `Reassigned reviewer from ${deal.reviewer} to ${reviewer.email}` : `Assigned reviewer ${reviewer.email}`,
+        notes
+      ].filter(Boolean).join('. '),
+      field: 'reviewer',
+      oldValue: deal.reviewer || '',
+      newValue: reviewer.email
+    });
+
+    if (normalizeEmail(reviewer.email) !== normalizeEmail(actor)) {
+      await this.notifyReviewer(updatedDeal, reviewer.email);
+    }
+
+    return {
+      deal: updatedDeal,
+      previousReviewer: deal.reviewer || null,
+      reviewer: reviewer.email
+    };
+  }
+
+  isQueued(deal) {
+    return QUEUE_STATUSES.includes((deal.status || '').toLowerCase());
+  }
+
+  /**
+   * Whether a deal is assigned to a reviewer ('unassigned' matches deals without one)
+   */
+  isAssignedTo(deal, reviewerEmail) {
+    if (reviewerEmail === 'unassigned') {
+      return !deal.reviewer;
+    }
+    return Boolean(deal.reviewer) && normalizeEmail(deal.reviewer) === normalizeEmail(reviewerEmail);
+  }
+
+  /**
+   * Queued deals assigned to a reviewer
+   */
+  async queueFor(reviewerEmail) {
+    const deals = await dealRepository.findAll();
+    return deals.filter(deal => this.isQueued(deal) && this.isAssignedTo(deal, reviewerEmail));
+  }
+
+  /**
+   * Open assignments per reviewer, busiest first, plus the unassigned backlog.
+   * Reviewers who lost their role but still hold deals are listed as inactive.
+   */
+  async workload() {
+    const [deals, reviewers] = await Promise.all([dealRepository.findAll(), this.listReviewers()]);
+    const queued = deals.filter(deal => this.isQueued(deal));
+
+    const counts = new Map(reviewers.map(admin => [normalizeEmail(admin.email), {
+      reviewer: admin.email,
+      role: permissionService.adminRole(admin),
+      active: true,
+      queued: 0,
+      underReview: 0,
+      oldestAssignedAt: null
+    }]));
+
+    queued.filter(deal => deal.reviewer).forEach(deal => {
+      const key = normalizeEmail(deal.reviewer);
+
+      if (!counts.has(key)) {
+        counts.set(key, { reviewer: deal.reviewer, role: null, active: false, queued: 0, underReview: 0, oldestAssignedAt: null });
+      }
+
+      const entry = counts.get(key);
+      entry.queued += 1;
+      if ((deal.status || '').toLowerCase() === 'under_review') {
+        entry.underReview += 1;
+      }
+      if (deal.reviewer_assigned_at && (!entry.oldestAssignedAt || deal.reviewer_assigned_at < entry.oldestAssignedAt)) {
+        entry.oldestAssignedAt = deal.reviewer_assigned_at;
+      }
+    });
+
+    return {
+      reviewers: [...counts.values()].sort((a, b) => b.queued - a.queued || a.reviewer.localeCompare(b.reviewer)),
+      unassigned: queued.filter(deal => !deal.reviewer).length,
+      total: queued.length
+    };
+  }
+}
+
+module.exports = new ReviewerAssignmentService();
@@ -0,0 +1,166 @@
+const jwt = require('jsonwebtoken');
+const authConfig = require('../config/auth');
+const { sessionRepository, userRepository } = require('../repositories');
+const auditService = require('./auditService');
+const {
+  generateId,
+  getCurrentTimestamp,
+  generateSecureToken,
+  hashToken,
+  createHttpError
+} = require('../utils/helpers');
+
+/**
+ * Server-side login sessions.
+ * Each login creates a Sessions row; the short-lived access token carries its id (sid)
+ * and the refresh token is "<sessionId>.<secret>" with only the secret's hash stored.
+ * Refreshing rotates the secret; presenting an already rotated secret revokes the session.
+ */
+class SessionService {
+  /**
+   * Start a session for a user and issue its first token pair
+   * @param {Object} context - { userAgent, ipAddress }
+   */
+  async createSession(user, context = {}) {
+    const secret = generateSecureToken();
+    const now = new Date();
+
+    const session = await sessionRepository.create({
+      id: generateId(),
+      user_id: user.id,
+      user_email: user.email,
+      refresh_token_hash: hashToken(secret),
+      previous_token_hash: '',
+      created_at: now.toISOString(),
+      last_used_at: now.toISOString(),
+      expires_at: new Date(now.getTime() + authConfig.refreshTokenTtlMs).toISOString(),
+      revoked_at: '',
+      revoked_reason: '',
+      user_agent: context.userAgent || '',
+      ip_address: context.ipAddress || ''
+    });
+
+    return this.buildTokens(user, session, secret);
+  }
+
+  buildTokens(user, session, secret) {
+    const accessToken = jwt.sign({
+      id: user.id,
+      email: user.email,
+      role: user.role,
+      partnerId: user.partner_company,
+      sid: session.id
+    }, process.env.JWT_SECRET, {
+      expiresIn: authConfig.accessTokenExpiresIn
+    });
+
+    return {
+      accessToken,
+      refreshToken: `${session.id}.${secret}`,
+      expiresIn: authConfig.accessTokenExpiresIn,
+      refreshExpiresAt: session.expires_at,
+      sessionId: session.id
+    };
+  }
+
+  isActive(session, now = new Date()) {
+    return Boolean(session) &&
+      !session.revoked_at &&
+      new Date(session.expires_at).getTime() > now.getTime();
+  }
+
+  /**
+   * Whether the session behind an access token is still valid
+   */
+  async isSessionActive(sessionId) {
+    if (!sessionId) {
+      return false;
+    }
+
+    return this.isActive(await sessionRepository.findById(sessionId));
+  }
+
+  /**
+   * Exchange a refresh token for a new token pair, rotating the refresh secret
+   */
+  async refresh(refreshToken) {
+    const [sessionId, secret] = String(refreshToken || '').split('.');
+
+    if (!sessionId || !secret) {
+      throw createHttpError('Invalid refresh token', 401);
+    }
+
+    const session = await sessionRepository.findById(sessionId);
+
+    if (!this.isActive(session)) {
+      throw createHttpError('Session expired or revoked', 401, { message: 'Please login again' });
+    }
+
+    const secretHash = hashToken(secret);
+
+    if (secretHash !== session.refresh_token_hash) {
+      // A rotated-out token being replayed means it leaked: end the session
+      if (secretHash === session.previous_token_hash) {
+        await this.revoke(session.id, 'refresh_token_reuse');
+        await auditService.log({
+          userEmail: session.user_email,
+          action: 'session_revoked',
+          notes: `Refresh token reuse detected for session ${session.id}`
+        });
+      }
+
+      throw createHttpError('Invalid refresh token', 401);
+    }
+
+    const user = await userRepository.findById(session.user_id);
+
+    if (!user || user.status !== 'active') {
+      await this.revoke(session.id, 'user_inactive');
+      throw createHttpError('Invalid or inactive user', 401, { message: 'User account not found or inactive' });
+    }
+
+    const newSecret = generateSecureToken();
+    const updatedSession = await sessionRepository.update(session.id, {
+      refresh_token_hash: hashToken(newSecret),
+      previous_token_hash: session.refresh_token_hash,
+      last_used_at: getCurrentTimestamp()
+    });
+
+    return this.buildTokens(user, updatedSession, newSecret);
+  }
+
+  /**
+   * Revoke one session (no-op when already revoked)
+   */
+  async revoke(sessionId, reason = 'logout') {
+    const session = await sessionRepository.findById(sessionId);
+
+    if (!session || session.revoked_at) {
+      return null;
+    }
+
+    return sessionRepository.update(sessionId, {
+      revoked_at: getCurrentTimestamp(),
+      revoked_reason: reason
+    });
+  }
+
+  /**
+   * Revoke every active session of a user, optionally keeping one
+   * @returns {number} - number of sessions revoked
+   */
+  async revokeAllForUser(userId, reason = 'logout_all', { exceptSessionId } = {}) {
+    const sessions = await sessionRepository.findActiveByUser(userId);
+    let revoked = 0;
+
+    for (const session of sessions) {
+      if (session.id === exceptSessionId) continue;
+      await this.revoke(session.id, reason);
+      revoked++;
+    }
+
+    return revoked;
+  }
+}
+
+module.exports = new SessionService();
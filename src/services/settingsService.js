@@ -0,0 +1,76 @@
+const { settingsRepository } = require('../repositories');
+const auditService = require('./auditService');
+const { getCurrentTimestamp, createHttpError } = require('../utils/helpers');
+
+/**
+ * Admin-editable application settings (Settings sheet), with their defaults.
+ * Values are stored as JSON strings.
+ */
+const SETTING_DEFAULTS = {
+  // Roles that must use two-factor authentication to log in
+  two_factor_required_roles: [],
+  // Rules evaluated on deal submission (see approvalRulesService)
+  approval_rules: [],
+  // Automatic reviewer assignment of new deals (see reviewerAssignmentService)
+  reviewer_assignment: {
+    territories: {},
+    usePartnerChannelManager: true,
+    roundRobin: true
+  }
+};
+
+class SettingsService {
+  async get(key) {
+    if (!(key in SETTING_DEFAULTS)) {
+      throw createHttpError('Unknown setting', 400, { key });
+    }
+
+    const setting = await settingsRepository.findById(key);
+    if (!setting || setting.value === '') {
+      return SETTING_DEFAULTS[key];
+    }
+
+    try {
+      return JSON.parse(setting.value);
+    } catch (error) {
+      console.error(`Invalid value for setting ${key}:`, error.message);
+      return SETTING_DEFAULTS[key];
+    }
+  }
+
+  async getAll() {
+    const settings = {};
+    for (const key of Object.keys(SETTING_DEFAULTS)) {
+      settings[key] = await this.get(key);
+    }
+    return settings;
+  }
+
+  async set(key, value, { actor }) {
+    const previous = await this.get(key);
+    const changes = {
+      value: JSON.stringify(value),
+      updated_by: actor,
+      updated_at: getCurrentTimestamp()
+    };
+
+    if (await settingsRepository.findById(key)) {
+      await settingsRepository.update(key, changes);
+    } else {
+      await settingsRepository.create({ key, ...changes });
+    }
+
+    await auditService.log({
+      userEmail: actor,
+      action: 'setting_changed',
+      notes: `Changed ${key}`,
+      field: key,
+      oldValue: JSON.stringify(previous),
+      newValue: changes.value
+    });
+
+    return value;
+  }
+}
+
+module.exports = new SettingsService();
@@ -0,0 +1,270 @@
+const jwt = require('jsonwebtoken');
+const { userRepository } = require('../repositories');
+const auditService = require('./auditService');
+const settingsService = require('./settingsService');
+const totpService = require('./totpService');
+const permissionService = require('./permissionService');
+const authConfig = require('../config/auth');
+const { generateId, getCurrentTimestamp, createHttpError } = require('../utils/helpers');
+
+const CHALLENGE_EXPIRES_IN = '5m';
+
+/**
+ * TOTP two-factor authentication for user accounts.
+ * Secrets are stored encrypted, backup codes only as hashes.
+ * Wrong codes are counted per user; too many in a row lock verification for a while.
+ */
+class TwoFactorService {
+  isEnabled(user) {
+    return Boolean(user?.totp_enabled_at);
+  }
+
+  /**
+   * Whether admins require 2FA for a role (Settings: two_factor_required_roles)
+   */
+  async isRequiredForRole(role) {
+    const roles = await settingsService.get('two_factor_required_roles');
+    return roles.map(name => permissionService.resolveRole(name)).includes(permissionService.resolveRole(role));
+  }
+
+  /**
+   * Short-lived token proving the password/Google step succeeded, exchanged for
+   * a session once the second factor is verified (or enrolled).
+   * Only the user's latest challenge is valid, and only until it is consumed.
+   */
+  async createChallenge(user) {
+    const challengeId = generateId();
+    await userRepository.update(user.id, { totp_challenge_id: challengeId });
+
+    return jwt.sign({ typ: 'mfa', id: user.id, jti: challengeId }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_EXPIRES_IN });
+  }
+
+  async resolveChallenge(challengeToken) {
+    let payload;
+    try {
+      payload = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch (error) {
+      throw createHttpError('Two-factor challenge expired or invalid', 401, { message: 'Please login again' });
+    }
+
+    if (payload.typ !== 'mfa') {
+      throw createHttpError('Two-factor challenge expired or invalid', 401, { message: 'Please login again' });
+    }
+
+    const user = await userRepository.findById(payload.id);
+    if (!user || user.status !== 'active') {
+      throw createHttpError('Invalid or inactive user', 401, { message: 'User account not found or inactive' });
+    }
+
+    if (!payload.jti || payload.jti !== user.totp_challenge_id) {
+      throw createHttpError('Two-factor challenge expired or invalid', 401, { message: 'Please login again' });
+    }
+
+    return user;
+  }
+
+  /**
+   * Invalidate the user's challenge once it has been exchanged for a session
+   */
+  async consumeChallenge(user) {
+    await userRepository.update(user.id, { totp_challenge_id: '' });
+  }
+
+  /**
+   * Refuse verification while the user is locked out after too many wrong codes
+   */
+  assertNotLocked(user) {
+    const lockedUntil = new Date(user.totp_locked_until).getTime();
+
+    if (lockedUntil > Date.now()) {
+      throw createHttpError('Too many invalid codes', 429, {
+        message: 'Two-factor verification is temporarily locked, please try again later',
+        retryAfterSeconds: Math.ceil((lockedUntil - Date.now()) / 1000)
+      });
+    }
+  }
+
+  /**
+   * Count a wrong code; the last allowed one locks verification and voids the login challenge
+   */
+  async recordFailure(user) {
+    const attempts = (parseInt(user.totp_failed_attempts, 10) || 0) + 1;
+
+    if (attempts < authConfig.twoFactorMaxAttempts) {
+      await userRepository.update(user.id, { totp_failed_attempts: String(attempts) });
+      return;
+    }
+
+    await userRepository.update(user.id, {
+      totp_failed_attempts: '0',
+      totp_locked_until: new Date(Date.now() + authConfig.twoFactorLockMinutes * 60 * 1000).toISOString(),
+      totp_challenge_id: ''
+    });
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'two_factor_locked',
+      notes: `Two-factor verification locked for ${authConfig.twoFactorLockMinutes} minutes after ${attempts} invalid codes`
+    });
+  }
+
+  /**
+   * Columns clearing the failure count after a correct code
+   */
+  failureReset(user) {
+    return user.totp_failed_attempts && user.totp_failed_attempts !== '0'
+      ? { totp_failed_attempts: '0', totp_locked_until: '' }
+      : {};
+  }
+
+  /**
+   * Start enrollment: store a pending secret and return it with its provisioning URI
+   */
+  async beginEnrollment(user) {
+    if (this.isEnabled(user)) {
+      throw createHttpError('Two-factor authentication is already enabled', 409);
+    }
+
+    const secret = totpService.generateSecret();
+    await userRepository.update(user.id, { totp_pending_secret: totpService.encryptSecret(secret) });
+
+    return {
+      secret,
+      otpauthUrl: totpService.provisioningUri(user.email, secret)
+    };
+  }
+
+  /**
+   * Confirm enrollment with a first code from the authenticator app
+   * @returns {string[]} - backup codes, shown to the user once
+   */
+  async enable(user, code) {
+    if (this.isEnabled(user)) {
+      throw createHttpError('Two-factor authentication is already enabled', 409);
+    }
+
+    if (!user.totp_pending_secret) {
+      throw createHttpError('Start two-factor setup first', 400);
+    }
+
+    this.assertNotLocked(user);
+
+    const secret = totpService.decryptSecret(user.totp_pending_secret);
+    const step = totpService.verify(secret, code);
+
+    if (step === null) {
+      await this.recordFailure(user);
+      throw createHttpError('Invalid verification code', 401);
+    }
+
+    const backupCodes = totpService.generateBackupCodes();
+
+    await userRepository.update(user.id, {
+      ...this.failureReset(user),
+      totp_secret: user.totp_pending_secret,
+      totp_pending_secret: '',
+      totp_enabled_at: getCurrentTimestamp(),
+      totp_last_step: String(step),
+      totp_backup_codes: backupCodes.hashes.join(',')
+    });
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'two_factor_enabled',
+      notes: 'Two-factor authentication enabled'
+    });
+
+    return backupCodes.codes;
+  }
+
+  /**
+   * Check a TOTP code or consume a backup code; throws 401 when neither matches
+   */
+  async verify(user, { code, backupCode }) {
+    if (!this.isEnabled(user)) {
+      throw createHttpError('Two-factor authentication is not enabled', 400);
+    }
+
+    this.assertNotLocked(user);
+
+    if (backupCode) {
+      const hashes = (user.totp_backup_codes || '').split(',').filter(Boolean);
+      const codeHash = totpService.hashBackupCode(backupCode);
+
+      if (!hashes.includes(codeHash)) {
+        await this.recordFailure(user);
+        throw createHttpError('Invalid backup code', 401);
+      }
+
+      const remaining = hashes.filter(hash => hash !== codeHash);
+      await userRepository.update(user.id, { ...this.failureReset(user), totp_backup_codes: remaining.join(',') });
+
+      await auditService.log({
+        userEmail: user.email,
+        action: 'two_factor_backup_code_used',
+        notes: `${remaining.length} backup code(s) left`
+      });
+
+      return { method: 'backup_code', backupCodesRemaining: remaining.length };
+    }
+
+    const lastStep = parseInt(user.totp_last_step, 10);
+    const step = totpService.verify(totpService.decryptSecret(user.totp_secret), code, {
+      lastStep: Number.isNaN(lastStep) ? -1 : lastStep
+    });
+
+    if (step === null) {
+      await this.recordFailure(user);
+      throw createHttpError('Invalid verification code', 401);
+    }
+
+    await userRepository.update(user.id, { ...this.failureReset(user), totp_last_step: String(step) });
+
+    return { method: 'totp' };
+  }
+
+  /**
+   * Turn 2FA off (not allowed while the user's role requires it)
+   */
+  async disable(user, role, { code, backupCode }) {
+    if (await this.isRequiredForRole(role)) {
+      throw createHttpError('Two-factor authentication is required for your role', 403);
+    }
+
+    await this.verify(user, { code, backupCode });
+
+    await userRepository.update(user.id, {
+      totp_secret: '',
+      totp_pending_secret: '',
+      totp_enabled_at: '',
+      totp_last_step: '',
+      totp_backup_codes: ''
+    });
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'two_factor_disabled',
+      notes: 'Two-factor authentication disabled'
+    });
+  }
+
+  /**
+   * Replace all backup codes after verifying a current code
+   */
+  async regenerateBackupCodes(user, { code }) {
+    await this.verify(user, { code });
+
+    const backupCodes = totpService.generateBackupCodes();
+    await userRepository.update(user.id, { totp_backup_codes: backupCodes.hashes.join(',') });
+
+    await auditService.log({
+      userEmail: user.email,
+      action: 'two_factor_backup_codes_regenerated',
+      notes: 'Backup codes regenerated'
+    });
+
+    return backupCodes.codes;
+  }
+}
+
+module.exports = new TwoFactorService();
@@ -0,0 +1,233 @@
+const { userRepository, adminRepository } = require('../repositories');
+const auditService = require('./auditService');
+const sessionService = require('./sessionService');
+const dealAccessService = require('./dealAccessService');
+const partnerService = require('./partnerService');
+const {
+  getCurrentTimestamp,
+  normalizeEmail,
+  createHttpError
+} = require('../utils/helpers');
+
+const USER_STATUSES = ['active', 'inactive', 'pending_verification'];
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 200;
+
+/**
+ * Admin management of partner user accounts (Users sheet).
+ * Changes that alter what a user may do end their sessions, so the next login
+ * picks up the new status, role or company.
+ */
+class UserManagementService {
+  constructor() {
+    this.statuses = USER_STATUSES;
+  }
+
+  /**
+   * User data for the admin views (never includes credential columns)
+   */
+  formatUser(user, isAdmin = false) {
+    return {
+      id: user.id,
+      email: user.email,
+      firstName: user.first_name,
+      lastName: user.last_name,
+      partnerCompany: user.partner_company,
+      role: user.role || 'user',
+      isAdmin: isAdmin,
+      status: user.status,
+      createdAt: user.created_at,
+      lastLoginAt: user.last_login_at || null,
+      twoFactorEnabled: Boolean(user.totp_enabled_at),
+      deactivatedAt: user.deactivated_at || null,
+      deactivatedBy: user.deactivated_by || null,
+      deactivationReason: user.deactivation_reason || null
+    };
+  }
+
+  /**
+   * List/search users, newest first
+   * @query {q, status, role, partnerCompany, limit, offset}
+   */
+  async list(query = {}) {
+    const search = (query.q || '').trim().toLowerCase();
+    const company = (query.partnerCompany || '').trim().toLowerCase();
+    const limit = Math.min(Math.max(parseInt(query.limit, 10) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+    const offset = Math.max(parseInt(query.offset, 10) || 0, 0);
+
+    const [users, admins] = await Promise.all([
+      userRepository.findAll(),
+      adminRepository.findActive()
+    ]);
+    const adminEmails = new Set(admins.map(admin => normalizeEmail(admin.email)));
+
+    const matches = users
+      .filter(user => !query.status || user.status === query.status)
+      .filter(user => !query.role || (user.role || 'user') === query.role)
+      .filter(user => !company || (user.partner_company || '').toLowerCase() === company)
+      .filter(user => !search ||
+        (user.email || '').toLowerCase().includes(search) ||
+        `${user.first_name || ''} ${user.last_name || ''}`.toLowerCase().includes(search) ||
+        (user.partner_company || '').toLowerCase().includes(search))
+      .sort((a, b) => (b.created_at || '').localeCompare(a.created_at || ''));
+
+    const page = matches.slice(offset, offset + limit);
+
+    return {
+      users: page.map(user => this.formatUser(user, adminEmails.has(normalizeEmail(user.email)))),
+      total: matches.length,
+      pagination: {
+        limit,
+        offset,
+        returned: page.length,
+        hasMore: offset + page.length < matches.length
+      }
+    };
+  }
+
+  async get(userId) {
+    const user = await userRepository.findById(userId);
+
+    if (!user) {
+      throw createHttpError('User not found', 404, { userId });
+    }
+
+    return user;
+  }
+
+  async getFormatted(userId) {
+    const user = await this.get(userId);
+    return this.formatUser(user, await adminRepository.isActiveAdmin(user.email));
+  }
+
+  /**
+   * Block an account and end all of its sessions
+   */
+  async deactivate(userId, { actor, reason }) {
+    const user = await this.get(userId);
+
+    if (normalizeEmail(user.email) === normalizeEmail(actor)) {
+      throw createHttpError('You cannot deactivate your own account', 400);
+    }
+
+    if (user.status === 'inactive') {
+      throw createHttpError('User is already inactive', 409);
+    }
+
+    const updated = await userRepository.update(user.id, {
+      status: 'inactive',
+      deactivated_at: getCurrentTimestamp(),
+      deactivated_by: actor,
+      deactivation_reason: (reason || '').trim()
+    });
+
+    const revokedSessions = await sessionService.revokeAllForUser(user.id, 'deactivated');
+
+    await auditService.log({
+      action: 'user_deactivated',
+      userEmail: actor,
+      subjectEmail: user.email,
+      notes: `Deactivated ${user.email}${reason ? `: ${reason}` : ''} (${revokedSessions} session(s) revoked)`,
+      field: 'status',
+      oldValue: user.status,
+      newValue: 'inactive'
+    });
+
+    return this.formatUser(updated);
+  }
+
+  async reactivate(userId, { actor }) {
+    const user = await this.get(userId);
+
+    if (user.status !== 'inactive') {
+      throw createHttpError('Only inactive users can be reactivated', 409, { status: user.status });
+    }
+
+    const updated = await userRepository.update(user.id, {
+      status: 'active',
+      deactivated_at: '',
+      deactivated_by: '',
+      deactivation_reason: ''
+    });
+
+    await auditService.log({
+      action: 'user_reactivated',
+      userEmail: actor,
+      subjectEmail: user.email,
+      notes: `Reactivated ${user.email}`,
+      field: 'status',
+      oldValue: 'inactive',
+      newValue: 'active'
+    });
+
+    return this.formatUser(updated);
+  }
+
+  /**
+   * Grant or revoke the partner-admin role
+   */
+  async changeRole(userId, role, { actor }) {
+    if (!dealAccessService.userRoles.includes(role)) {
+      throw createHttpError('Invalid role', 400, { validRoles: dealAccessService.userRoles });
+    }
+
+    const user = await this.get(userId);
+
+    if (role === dealAccessService.partnerAdminRole && !user.partner_company) {
+      throw createHttpError('Partner admins must belong to a partner company', 400, { userId: user.id });
+    }
+
+    if ((user.role || 'user') === role) {
+      return this.formatUser(user);
+    }
+
+    const updated = await userRepository.update(user.id, { role });
+    const revokedSessions = await sessionService.revokeAllForUser(user.id, 'role_changed');
+
+    await auditService.log({
+      action: 'role_changed',
+      userEmail: actor,
+      subjectEmail: user.email,
+      notes: `Changed role of ${user.email} (${revokedSessions} session(s) revoked)`,
+      field: 'role',
+      oldValue: user.role || '',
+      newValue: role
+    });
+
+    return this.formatUser(updated);
+  }
+
+  /**
+   * Move a user to another (active) partner company
+   */
+  async changePartnerCompany(userId, partnerCompany, { actor }) {
+    const partner = await partnerService.findActiveByName(partnerCompany || '');
+
+    if (!partner) {
+      throw createHttpError('Unknown partner company', 400, { partnerCompany });
+    }
+
+    const user = await this.get(userId);
+
+    if (user.partner_company === partner.name) {
+      return this.formatUser(user);
+    }
+
+    const updated = await userRepository.update(user.id, { partner_company: partner.name });
+    const revokedSessions = await sessionService.revokeAllForUser(user.id, 'company_changed');
+
+    await auditService.log({
+      action: 'partner_company_changed',
+      userEmail: actor,
+      subjectEmail: user.email,
+      notes: `Moved ${user.email} to ${partner.name} (${revokedSessions} session(s) revoked)`,
+      field: 'partner_company',
+      oldValue: user.partner_company || '',
+      newValue: partner.name
+    });
+
+    return this.formatUser(updated);
+  }
+}
+
+module.exports = new UserManagementService();
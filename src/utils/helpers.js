@@ -0,0 +1,55 @@
+const crypto = require('crypto');
+const { v4: uuidv4 } = require('uuid');
+
+/**
+ * Generate a unique record ID
+ */
+const generateId = () => uuidv4();
+
+/**
+ * Get current timestamp in ISO format
+ */
+const getCurrentTimestamp = () => new Date().toISOString();
+
+/**
+ * Lower-case and trim an email address for comparisons
+ */
+const normalizeEmail = (email) => (email || '').trim().toLowerCase();
+
+/**
+ * Generate a random URL-safe secret (email verification links and similar)
+ */
+const generateSecureToken = (bytes = 32) => crypto.randomBytes(bytes).toString('base64url');
+
+/**
+ * Hash a secret token for storage; only the hash is ever persisted
+ */
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+/**
+ * Integer environment variable, or the fallback when unset or not a number
+ */
+const numberFromEnv = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isNaN(value) ? fallback : value;
+};
+
+/**
+ * Build an error carrying an HTTP status (and extra response fields) for route handlers
+ */
+const createHttpError = (message, status, details = {}) => {
+  const error = new Error(message);
+  error.status = status;
+  error.details = details;
+  return error;
+};
+
+module.exports = {
+  generateId,
+  getCurrentTimestamp,
+  normalizeEmail,
+  generateSecureToken,
+  hashToken,
+  numberFromEnv,
+  createHttpError
+};
@@ -0,0 +1,82 @@
+const { api, repositories, seed, createAdmin, authHeader } = require('./helpers/testApp');
+const adminService = require('../src/services/adminService');
+const sessionService = require('../src/services/sessionService');
+
+const { adminRepository } = repositories;
+
+describe('admin removal and reactivation', () => {
+  let users;
+  let adminAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    adminAuth = await authHeader(users.superAdmin);
+  });
+
+  const post = (path, body) => api().post(`/api/v1/admin/${path}`).set('Authorization', adminAuth).send(body);
+
+  test('removing an admin keeps the row and ends their sessions', async () => {
+    const session = await sessionService.createSession(users.approver);
+
+    const res = await post('remove', { email: 'Approver@daxa.ai' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ email: 'approver@daxa.ai', removed_by: 'admin@daxa.ai' });
+    expect((await adminRepository.findByEmail('approver@daxa.ai')).status).toBe('revoked');
+    expect((await api().get('/api/v1/auth/me').set('Authorization', `Bearer ${session.accessToken}`)).status).toBe(401);
+
+    const me = await api().get('/api/v1/auth/me').set('Authorization', await authHeader(users.approver));
+    expect(me.body.user).toMatchObject({ isAdmin: false, role: 'partner_user' });
+  });
+
+  test('admins cannot remove themselves or an already removed admin', async () => {
+    expect((await post('remove', { email: 'admin@daxa.ai' })).status).toBe(400);
+
+    await post('remove', { email: 'viewer@daxa.ai' });
+    expect((await post('remove', { email: 'viewer@daxa.ai' })).status).toBe(409);
+    expect((await post('remove', { email: 'nobody@daxa.ai' })).status).toBe(404);
+  });
+
+  test('the last active super admin cannot be removed or demoted', async () => {
+    await expect(adminService.remove('admin@daxa.ai', { actor: 'system' })).rejects.toMatchObject({ status: 409 });
+    await expect(adminService.changeRole('admin@daxa.ai', 'viewer', { actor: 'system' })).rejects.toMatchObject({ status: 409 });
+
+    await createAdmin('second@daxa.ai', 'super_admin');
+    await expect(adminService.remove('admin@daxa.ai', { actor: 'system' })).resolves.toMatchObject({ status: 'revoked' });
+  });
+
+  test('removed admins are reactivated with their previous or a new role', async () => {
+    await post('remove', { email: 'approver@daxa.ai' });
+    await post('remove', { email: 'viewer@daxa.ai' });
+
+    const previous = await post('reactivate', { email: 'approver@daxa.ai' });
+    expect(previous.body.admin).toMatchObject({ status: 'active', role: 'approver', reactivatedBy: 'admin@daxa.ai' });
+
+    const promoted = await post('reactivate', { email: 'viewer@daxa.ai', role: 'super_admin' });
+    expect(promoted.body.admin.role).toBe('super_admin');
+
+    expect((await post('reactivate', { email: 'approver@daxa.ai' })).status).toBe(409);
+  });
+
+  test('re-adding a removed admin points to reactivation', async () => {
+    await post('remove', { email: 'viewer@daxa.ai' });
+
+    const res = await post('add', { email: 'viewer@daxa.ai' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.status).toBe('revoked');
+  });
+
+  test('the admin list filters by status and includes history on request', async () => {
+    await post('remove', { email: 'viewer@daxa.ai' });
+
+    const active = await api().get('/api/v1/admin/list').set('Authorization', adminAuth);
+    expect(active.body.admins.map(admin => admin.email).sort()).toEqual(['admin@daxa.ai', 'approver@daxa.ai']);
+
+    const revoked = await api().get('/api/v1/admin/list').query({ status: 'revoked', includeHistory: 'true' }).set('Authorization', adminAuth);
+    expect(revoked.body.admins).toHaveLength(1);
+    expect(revoked.body.admins[0].history).toEqual([expect.objectContaining({ action: 'admin_removed', by: 'admin@daxa.ai' })]);
+
+    expect((await api().get('/api/v1/admin/list').query({ status: 'gone' }).set('Authorization', adminAuth)).status).toBe(400);
+  });
+});
@@ -0,0 +1,101 @@
+const { api, repositories, seed, authHeader } = require('./helpers/testApp');
+const sessionService = require('../src/services/sessionService');
+
+const { userRepository, sessionRepository, auditLogRepository } = repositories;
+
+describe('admin user management', () => {
+  let users;
+  let adminAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    adminAuth = await authHeader(users.superAdmin);
+  });
+
+  const me = (accessToken) => api().get('/api/v1/auth/me').set('Authorization', `Bearer ${accessToken}`);
+
+  test('lists and searches users, flagging admins', async () => {
+    const all = await api().get('/api/v1/admin/users').set('Authorization', adminAuth);
+    expect(all.status).toBe(200);
+    expect(all.body.total).toBe(7);
+    expect(all.body.users.find(user => user.email === 'approver@daxa.ai').isAdmin).toBe(true);
+    expect(all.body.users[0]).not.toHaveProperty('password_hash');
+
+    const acme = await api().get('/api/v1/admin/users').query({ partnerCompany: 'acme', role: 'user' }).set('Authorization', adminAuth);
+    expect(acme.body.users.map(user => user.email).sort()).toEqual(['teammate@acme.io', 'user@acme.io']);
+
+    const paged = await api().get('/api/v1/admin/users').query({ q: 'acme', limit: 2 }).set('Authorization', adminAuth);
+    expect(paged.body.pagination).toMatchObject({ limit: 2, returned: 2, hasMore: true });
+  });
+
+  test('deactivating a user signs them out and reactivating restores access', async () => {
+    const session = await sessionService.createSession(users.partnerUser);
+
+    const res = await api().post(`/api/v1/admin/users/${users.partnerUser.id}/deactivate`)
+      .set('Authorization', adminAuth)
+      .send({ reason: 'Left the company' });
+
+    expect(res.body.user).toMatchObject({ status: 'inactive', deactivatedBy: 'admin@daxa.ai', deactivationReason: 'Left the company' });
+    expect((await me(session.accessToken)).status).toBe(401);
+    expect((await sessionRepository.findById(session.sessionId)).revoked_reason).toBe('deactivated');
+
+    const again = await api().post(`/api/v1/admin/users/${users.partnerUser.id}/deactivate`).set('Authorization', adminAuth);
+    expect(again.status).toBe(409);
+
+    const reactivated = await api().post(`/api/v1/admin/users/${users.partnerUser.id}/reactivate`).set('Authorization', adminAuth);
+    expect(reactivated.body.user).toMatchObject({ status: 'active', deactivatedAt: null });
+  });
+
+  test('audit entries name the affected user', async () => {
+    const id = users.partnerUser.id;
+
+    await api().post(`/api/v1/admin/users/${id}/deactivate`).set('Authorization', adminAuth).send({});
+    await api().post(`/api/v1/admin/users/${id}/reactivate`).set('Authorization', adminAuth);
+    await api().put(`/api/v1/admin/users/${id}/role`).set('Authorization', adminAuth).send({ role: 'partner_admin' });
+    await api().put(`/api/v1/admin/users/${id}/partner-company`).set('Authorization', adminAuth).send({ partnerCompany: 'Rand' });
+
+    const entries = await auditLogRepository.findBy('subject_email', 'user@acme.io');
+    expect(entries.map(entry => entry.action)).toEqual(['user_deactivated', 'user_reactivated', 'role_changed', 'partner_company_changed']);
+    entries.forEach(entry => expect(entry.user_email).toBe('admin@daxa.ai'));
+  });
+
+  test('admins cannot deactivate themselves', async () => {
+    const res = await api().post(`/api/v1/admin/users/${users.superAdmin.id}/deactivate`).set('Authorization', adminAuth);
+
+    expect(res.status).toBe(400);
+  });
+
+  test('granting partner admin ends the user\'s sessions', async () => {
+    const session = await sessionService.createSession(users.partnerUser);
+
+    const res = await api().put(`/api/v1/admin/users/${users.partnerUser.id}/role`).set('Authorization', adminAuth).send({ role: 'partner_admin' });
+
+    expect(res.body.user.role).toBe('partner_admin');
+    expect((await me(session.accessToken)).status).toBe(401);
+
+    const invalid = await api().put(`/api/v1/admin/users/${users.partnerUser.id}/role`).set('Authorization', adminAuth).send({ role: 'super_admin' });
+    expect(invalid.status).toBe(400);
+  });
+
+  test('moves users to another registered partner company', async () => {
+    const res = await api().put(`/api/v1/admin/users/${users.partnerUser.id}/partner-company`)
+      .set('Authorization', adminAuth)
+      .send({ partnerCompany: 'rand' });
+
+    expect(res.body.user.partnerCompany).toBe('Rand');
+    expect((await userRepository.findById(users.partnerUser.id)).partner_company).toBe('Rand');
+
+    const unknown = await api().put(`/api/v1/admin/users/${users.partnerUser.id}/partner-company`)
+      .set('Authorization', adminAuth)
+      .send({ partnerCompany: 'Nowhere' });
+    expect(unknown.status).toBe(400);
+  });
+
+  test('viewers can list users but not manage them', async () => {
+    const viewerAuth = await authHeader(users.viewer);
+
+    expect((await api().get('/api/v1/admin/users').set('Authorization', viewerAuth)).status).toBe(200);
+    expect((await api().post(`/api/v1/admin/users/${users.partnerUser.id}/deactivate`).set('Authorization', viewerAuth)).status).toBe(403);
+    expect((await api().get('/api/v1/admin/users').set('Authorization', await authHeader(users.partnerAdmin))).status).toBe(403);
+  });
+});
@@ -0,0 +1,157 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+
+const { apiKeyRepository, dealRepository, userRepository } = repositories;
+
+const submission = {
+  companyName: 'Initech',
+  domain: 'initech.com',
+  submitterName: 'Acme Lead',
+  agreedToTerms: true
+};
+
+describe('partner API keys', () => {
+  let users;
+  let partnerAdminAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    partnerAdminAuth = await authHeader(users.partnerAdmin);
+  });
+
+  const createKey = async (body = {}) => api().post('/api/v1/api-keys')
+    .set('Authorization', partnerAdminAuth)
+    .send({ name: 'CRM sync', scopes: ['deals:read', 'deals:write'], ...body });
+
+  describe('management', () => {
+    test('partner admins create keys whose secret is only shown once', async () => {
+      const res = await createKey({ rateLimitPerMinute: 30 });
+
+      expect(res.status).toBe(201);
+      expect(res.body.apiKey).toMatch(/^dpk_/);
+      expect(res.body.key).toMatchObject({ partnerCompany: 'Acme', scopes: ['deals:read', 'deals:write'], rateLimitPerMinute: 30 });
+
+      const stored = await apiKeyRepository.findById(res.body.key.id);
+      expect(stored.key_hash).not.toContain(res.body.apiKey.split('.')[1]);
+
+      const list = await api().get('/api/v1/api-keys').set('Authorization', partnerAdminAuth);
+      expect(list.body.apiKeys).toHaveLength(1);
+      expect(JSON.stringify(list.body)).not.toContain(res.body.apiKey);
+    });
+
+    test('validates scopes and rate limits, and refuses other roles', async () => {
+      expect((await createKey({ scopes: ['admin:everything'] })).status).toBe(400);
+      expect((await createKey({ scopes: [] })).status).toBe(400);
+      expect((await createKey({ rateLimitPerMinute: 0 })).status).toBe(400);
+
+      for (const user of [users.partnerUser, users.superAdmin]) {
+        const res = await api().post('/api/v1/api-keys').set('Authorization', await authHeader(user)).send({ name: 'Key', scopes: ['deals:read'] });
+        expect(res.status).toBe(403);
+      }
+    });
+
+    test('revoked keys stop working', async () => {
+      const { body } = await createKey();
+
+      const revoke = await api().delete(`/api/v1/api-keys/${body.key.id}`).set('Authorization', partnerAdminAuth);
+      expect(revoke.body.key.status).toBe('revoked');
+
+      expect((await api().get('/api/v1/deals').set('X-API-Key', body.apiKey)).status).toBe(401);
+
+      const otherCompany = await api().delete(`/api/v1/api-keys/${body.key.id}`).set('Authorization', await authHeader(users.otherPartnerUser));
+      expect(otherCompany.status).toBe(404);
+    });
+  });
+
+  describe('authentication', () => {
+    let apiKey;
+
+    beforeEach(async () => {
+      ({ body: { apiKey } } = await createKey());
+      await createDeal({ id: 'lead', submitter_email: 'lead@acme.io' });
+      await createDeal({ id: 'teammate', submitter_email: 'user@acme.io', company_name: 'Initech', domain: 'initech.com' });
+      await createDeal({ id: 'rand', partner_company: 'Rand', submitter_email: 'user@rand.io', company_name: 'Hooli', domain: 'hooli.com' });
+    });
+
+    const ids = (res) => res.body.deals.map(deal => deal.id).sort();
+
+    test('keys act as their partner admin within the granted scopes', async () => {
+      const res = await api().get('/api/v1/deals').set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(ids(res)).toEqual(['lead', 'teammate']);
+
+      const scoped = await api().post('/api/v1/deals/check-duplicate').set('X-API-Key', apiKey).send({ companyName: 'Hooli' });
+      expect(scoped.status).toBe(403);
+      expect(scoped.body.requiredScope).toBe('duplicates:check');
+    });
+
+    test('keys never act with an internal role', async () => {
+      await userRepository.update(users.partnerAdmin.id, { role: 'admin' });
+
+      const res = await api().get('/api/v1/deals').set('X-API-Key', apiKey);
+
+      expect(res.status).toBe(200);
+      expect(ids(res)).toEqual(['lead']);
+      expect(res.body.user.scope).toBe('own');
+    });
+
+    test('keys stop working when their owner is deactivated', async () => {
+      await userRepository.update(users.partnerAdmin.id, { status: 'inactive' });
+
+      expect((await api().get('/api/v1/deals').set('X-API-Key', apiKey)).status).toBe(401);
+    });
+
+    test('malformed or tampered keys are refused without errors', async () => {
+      const [keyId] = apiKey.slice('dpk_'.length).split('.');
+      await apiKeyRepository.update(keyId, { key_hash: 'short' });
+
+      expect((await api().get('/api/v1/deals').set('X-API-Key', apiKey)).status).toBe(401);
+      expect((await api().get('/api/v1/deals').set('X-API-Key', `dpk_${keyId}`)).status).toBe(401);
+      expect((await api().get('/api/v1/deals').set('X-API-Key', 'not-a-key')).status).toBe(401);
+    });
+
+    test('only valid keys are rate limited per key instead of per IP', async () => {
+      const valid = await api().get('/api/v1/deals').set('X-API-Key', apiKey);
+      expect(valid.headers['ratelimit-limit']).toBe('60');
+      expect(valid.headers['x-ratelimit-limit']).toBeUndefined();
+
+      const invalid = await api().get('/api/v1/deals').set('X-API-Key', `${apiKey}x`);
+      expect(invalid.status).toBe(401);
+      expect(invalid.headers['x-ratelimit-limit']).toBe('100');
+    });
+  });
+
+  describe('deal submissions', () => {
+    test('keys submit deals for their own company and owner', async () => {
+      const { body: { apiKey } } = await createKey();
+
+      const res = await api().post('/api/v1/deals').set('X-API-Key', apiKey).send(submission);
+      expect(res.status).toBe(201);
+
+      const [deal] = await dealRepository.findBy('company_name', 'Initech');
+      expect(deal).toMatchObject({ partner_company: 'Acme', submitter_email: 'lead@acme.io' });
+
+      const forged = await api().post('/api/v1/deals').set('X-API-Key', apiKey).send({ ...submission, partnerCompany: 'Rand' });
+      expect(forged.status).toBe(403);
+    });
+
+    test('partner users cannot submit for another company or submitter', async () => {
+      const auth = await authHeader(users.partnerUser);
+
+      expect((await api().post('/api/v1/deals').set('Authorization', auth).send({ ...submission, partnerCompany: 'Rand' })).status).toBe(403);
+      expect((await api().post('/api/v1/deals').set('Authorization', auth).send({ ...submission, submitterEmail: 'teammate@acme.io' })).status).toBe(403);
+    });
+
+    test('partner users cannot move a deal to another company', async () => {
+      await createDeal({ id: 'own' });
+
+      const res = await api().patch('/api/v1/deals/own')
+        .set('Authorization', await authHeader(users.partnerUser))
+        .send({ partnerCompany: 'Rand' });
+
+      expect(res.status).toBe(403);
+      expect(res.body.message).toBe('Deals can only belong to your own partner company');
+      expect((await dealRepository.findById('own')).partner_company).toBe('Acme');
+    });
+  });
+});
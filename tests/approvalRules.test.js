@@ -0,0 +1,144 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+const approvalRulesService = require('../src/services/approvalRulesService');
+
+const { dealRepository } = repositories;
+
+const submission = {
+  companyName: 'Initech',
+  domain: 'initech.com',
+  submitterName: 'Acme User',
+  territory: 'EMEA',
+  agreedToTerms: true
+};
+
+describe('approval rules', () => {
+  let users;
+  let adminAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    adminAuth = await authHeader(users.superAdmin);
+  });
+
+  const setRules = (rules) => api().put('/api/v1/admin/settings/approval-rules').set('Authorization', adminAuth).send({ rules });
+  const submit = async (fields) => {
+    const res = await api().post('/api/v1/deals').set('Authorization', await authHeader(users.partnerUser)).send({ ...submission, ...fields });
+    return { res, deal: await dealRepository.findById(res.body.dealId) };
+  };
+
+  test('validates and normalizes rules', async () => {
+    const res = await setRules([
+      { name: 'Small gold deals', action: 'auto_approve', conditions: { maxValue: '25000', partnerTiers: 'gold, platinum' } }
+    ]);
+
+    expect(res.status).toBe(200);
+    expect(res.body.rules).toEqual([{
+      id: 'rule-1',
+      name: 'Small gold deals',
+      enabled: true,
+      action: 'auto_approve',
+      conditions: { maxValue: 25000, partnerTiers: ['gold', 'platinum'] }
+    }]);
+
+    expect((await setRules({})).status).toBe(400);
+    expect((await setRules([{ name: 'No action' }])).status).toBe(400);
+    expect((await setRules([{ name: 'Typo', action: 'auto_approve', conditions: { value: 1 } }])).status).toBe(400);
+    expect((await setRules([{ name: 'One', action: 'require_approvals', approvals: 1 }])).status).toBe(400);
+    expect((await setRules([{ name: 'Nowhere', action: 'route' }])).status).toBe(400);
+
+    const duplicate = await setRules([{ id: 'a', name: 'A', action: 'auto_approve' }, { id: 'a', name: 'B', action: 'auto_approve' }]);
+    expect(duplicate.body).toMatchObject({ error: 'Duplicate rule id', ruleIndex: 1 });
+  });
+
+  test('auto-approves matching submissions and records the trail', async () => {
+    await setRules([{ id: 'small', name: 'Small deals', action: 'auto_approve', conditions: { maxValue: 25000 } }]);
+
+    const small = await submit({ dealValue: '$10,000' });
+    expect(small.res.body.status).toBe('approved');
+    expect(small.deal.approver).toBe('system');
+    expect(JSON.parse(small.deal.approval_rule_trail).rules[0]).toMatchObject({ ruleId: 'small', matched: true });
+
+    const large = await submit({ companyName: 'Hooli', domain: 'hooli.com', dealValue: '90000' });
+    expect(large.res.body.status).toBe('submitted');
+    expect(JSON.parse(large.deal.approval_rule_trail).rules[0].failedConditions).toEqual(['deal value not under 25000']);
+  });
+
+  test('multi-approval rules override auto-approval and need distinct approvers', async () => {
+    await setRules([
+      { id: 'any', name: 'Everything', action: 'auto_approve' },
+      { id: 'big', name: 'Big deals', action: 'require_approvals', approvals: 2, conditions: { minValue: 50000 } }
+    ]);
+
+    const { deal } = await submit({ dealValue: '120000' });
+    expect(deal).toMatchObject({ status: 'submitted', required_approvals: '2' });
+
+    const approve = async (user) => api().post(`/api/v1/admin/deals/${deal.id}/approve`).set('Authorization', await authHeader(user)).send({});
+
+    const first = await approve(users.approver);
+    expect(first.body).toMatchObject({ status: 'under_review', pendingApprovals: 1 });
+    expect((await approve(users.approver)).status).toBe(409);
+
+    const second = await approve(users.superAdmin);
+    expect(second.body.status).toBe('approved');
+    expect((await dealRepository.findById(deal.id)).approvals).toBe('approver@daxa.ai,admin@daxa.ai');
+  });
+
+  test('route rules assign the reviewer', async () => {
+    await setRules([{ name: 'EMEA', action: 'route', reviewer: 'Approver@daxa.ai', conditions: { territories: ['emea'] } }]);
+
+    const { deal } = await submit({ dealValue: '90000' });
+
+    expect(deal.reviewer).toBe('approver@daxa.ai');
+    expect(approvalRulesService.describe(deal)).toMatchObject({ requiredApprovals: 1, pendingApprovals: 1, reviewer: 'approver@daxa.ai' });
+  });
+
+  test('raising the value of an open deal re-evaluates the rules', async () => {
+    await setRules([
+      { id: 'small', name: 'Small deals', action: 'auto_approve', conditions: { maxValue: 25000 } },
+      { id: 'big', name: 'Big deals', action: 'require_approvals', approvals: 3, conditions: { minValue: 100000 } }
+    ]);
+
+    const { deal } = await submit({ dealValue: '30000' });
+    expect(deal).toMatchObject({ status: 'submitted', required_approvals: '1' });
+
+    const res = await api().patch(`/api/v1/deals/${deal.id}`).set('Authorization', await authHeader(users.partnerUser)).send({ dealValue: '500000' });
+
+    expect(res.status).toBe(200);
+    const edited = await dealRepository.findById(deal.id);
+    expect(edited).toMatchObject({ status: 'submitted', required_approvals: '3', approvals: '' });
+    expect(JSON.parse(edited.approval_rule_trail).rules[1]).toMatchObject({ ruleId: 'big', matched: true });
+
+    const approval = await api().post(`/api/v1/admin/deals/${deal.id}/approve`).set('Authorization', await authHeader(users.approver)).send({});
+    expect(approval.body).toMatchObject({ status: 'under_review', pendingApprovals: 2 });
+  });
+
+  test('partners never see the approval workflow columns', async () => {
+    await setRules([{ id: 'big', name: 'Big deals', action: 'require_approvals', approvals: 2, conditions: { minValue: 50000 } }]);
+    const { deal } = await submit({ dealValue: '120000' });
+    const reviewFields = ['approval_rule_trail', 'required_approvals', 'approvals', 'reviewer'];
+
+    const partnerAuth = await authHeader(users.partnerUser);
+    const responses = [
+      (await api().get(`/api/v1/deals/${deal.id}`).set('Authorization', partnerAuth)).body.deal,
+      (await api().get('/api/v1/deals').set('Authorization', partnerAuth)).body.deals[0],
+      (await api().get('/api/v1/deals/my-deals').set('Authorization', partnerAuth)).body.deals[0]
+    ];
+
+    for (const visible of responses) {
+      expect(visible).toMatchObject({ id: deal.id, status: 'submitted' });
+      reviewFields.forEach(field => expect(visible).not.toHaveProperty(field));
+    }
+
+    const internal = await api().get(`/api/v1/deals/${deal.id}`).set('Authorization', await authHeader(users.viewer));
+    expect(internal.body.deal).toMatchObject({ required_approvals: '2' });
+  });
+
+  test('the deal value is locked once a deal is approved', async () => {
+    const deal = await createDeal({ status: 'approved' });
+
+    const res = await api().patch(`/api/v1/deals/${deal.id}`).set('Authorization', await authHeader(users.partnerUser)).send({ dealValue: '5000000' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.lockedFields).toEqual(['deal_value']);
+  });
+});
@@ -0,0 +1,58 @@
+const { api, repositories, seed, authHeader } = require('./helpers/testApp');
+
+const { auditLogRepository } = repositories;
+
+describe('audit trail API', () => {
+  let users;
+  let viewerAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    viewerAuth = await authHeader(users.viewer);
+
+    const entries = [
+      { id: 'a1', deal_id: 'deal-1', user_email: 'user@acme.io', action: 'created', timestamp: '2026-03-01T09:00:00.000Z' },
+      { id: 'a2', deal_id: 'deal-1', user_email: 'approver@daxa.ai', action: 'approved', timestamp: '2026-03-02T09:00:00.000Z' },
+      { id: 'a3', deal_id: 'deal-2', user_email: 'Approver@daxa.ai', action: 'rejected', timestamp: '2026-03-02T18:00:00.000Z' },
+      { id: 'a4', deal_id: '', user_email: 'admin@daxa.ai', action: 'user_deactivated', timestamp: '2026-03-05T09:00:00.000Z' }
+    ];
+    for (const entry of entries) {
+      await auditLogRepository.create(entry);
+    }
+  });
+
+  const search = (query) => api().get('/api/v1/admin/audit').query(query).set('Authorization', viewerAuth);
+
+  test('lists entries newest first', async () => {
+    const res = await search({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.entries.map(entry => entry.id)).toEqual(['a4', 'a3', 'a2', 'a1']);
+  });
+
+  test('filters by actor, actions and deal', async () => {
+    expect((await search({ actor: 'approver@daxa.ai' })).body.entries.map(entry => entry.id)).toEqual(['a3', 'a2']);
+    expect((await search({ action: 'created, rejected' })).body.entries.map(entry => entry.id)).toEqual(['a3', 'a1']);
+    expect((await search({ dealId: 'deal-1' })).body.total).toBe(2);
+  });
+
+  test('a bare end date includes the whole day', async () => {
+    const res = await search({ from: '2026-03-02', to: '2026-03-02' });
+
+    expect(res.body.entries.map(entry => entry.id)).toEqual(['a3', 'a2']);
+  });
+
+  test('rejects invalid dates and pages the results', async () => {
+    expect((await search({ from: 'yesterday' })).status).toBe(400);
+
+    const page = await search({ limit: 1, offset: 1 });
+    expect(page.body).toMatchObject({ total: 4, limit: 1, offset: 1 });
+    expect(page.body.entries.map(entry => entry.id)).toEqual(['a3']);
+  });
+
+  test('partners cannot read the audit trail', async () => {
+    const res = await api().get('/api/v1/admin/audit').set('Authorization', await authHeader(users.partnerUser));
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,99 @@
+const { api, repositories, seed } = require('./helpers/testApp');
+const bcrypt = require('bcryptjs');
+const authService = require('../src/services/authService');
+const emailService = require('../src/services/emailService');
+const sessionService = require('../src/services/sessionService');
+
+const { userRepository, sessionRepository } = repositories;
+
+const registration = {
+  email: 'New.User@Acme.io',
+  password: 'Sup3rSecret',
+  firstName: 'New',
+  lastName: 'User'
+};
+
+/**
+ * Token from the link in the newest email of a type
+ */
+const tokenFromEmail = (type) => {
+  const email = [...emailService.outbox].reverse().find(sent => sent.type === type);
+  return decodeURIComponent(email.message.text.match(/token=([^\s&]+)/)[1]);
+};
+
+describe('email/password registration and login', () => {
+  beforeEach(async () => {
+    await seed();
+  });
+
+  const login = (email, password) => api().post('/api/v1/auth/login').send({ email, password });
+
+  test('registers a pending account with a hashed password for a known partner domain', async () => {
+    const res = await api().post('/api/v1/auth/register').send(registration);
+
+    expect(res.status).toBe(201);
+    expect(res.body.user).toMatchObject({ email: 'new.user@acme.io', status: 'pending_verification' });
+
+    const user = await userRepository.findByEmail('new.user@acme.io');
+    expect(user.partner_company).toBe('Acme');
+    expect(user.password_hash).not.toContain(registration.password);
+    expect(await bcrypt.compare(registration.password, user.password_hash)).toBe(true);
+  });
+
+  test('refuses weak passwords and taken emails', async () => {
+    const weak = await api().post('/api/v1/auth/register').send({ ...registration, password: 'short' });
+    expect(weak.status).toBe(400);
+
+    const taken = await api().post('/api/v1/auth/register').send({ ...registration, email: 'user@acme.io' });
+    expect(taken.status).toBe(409);
+  });
+
+  test('logs in only after the email is verified', async () => {
+    await api().post('/api/v1/auth/register').send(registration);
+
+    const early = await login(registration.email, registration.password);
+    expect(early.status).toBe(403);
+    expect(early.body.canResend).toBe(true);
+
+    const verify = await api().post('/api/v1/auth/verify-email').send({ token: tokenFromEmail('email_verification') });
+    expect(verify.status).toBe(200);
+
+    const res = await login(registration.email, registration.password);
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeTruthy();
+    expect(res.body.refreshToken).toBeTruthy();
+    expect(res.body.user.email).toBe('new.user@acme.io');
+  });
+
+  test('verification links are single-use', async () => {
+    await api().post('/api/v1/auth/register').send(registration);
+    const token = tokenFromEmail('email_verification');
+
+    expect((await api().post('/api/v1/auth/verify-email').send({ token })).status).toBe(200);
+    expect((await api().post('/api/v1/auth/verify-email').send({ token })).status).toBe(400);
+  });
+
+  test('rejects wrong passwords without telling which part was wrong', async () => {
+    await api().post('/api/v1/auth/register').send(registration);
+    await api().post('/api/v1/auth/verify-email').send({ token: tokenFromEmail('email_verification') });
+
+    const wrongPassword = await login(registration.email, 'Wr0ngPassword');
+    const unknownUser = await login('nobody@acme.io', registration.password);
+
+    expect(wrongPassword.status).toBe(401);
+    expect(unknownUser.status).toBe(401);
+    expect(wrongPassword.body.error).toBe(unknownUser.body.error);
+  });
+
+  test('Google sign-in activating a pending account drops its unverified password and sessions', async () => {
+    await api().post('/api/v1/auth/register').send(registration);
+    const pending = await userRepository.findByEmail('new.user@acme.io');
+    const { sessionId } = await sessionService.createSession(pending);
+
+    const user = await authService.googleLogin({ email: 'new.user@acme.io', sub: 'google-1', given_name: 'New' });
+
+    expect(user).toMatchObject({ status: 'active', password_hash: '' });
+    expect((await sessionRepository.findById(sessionId)).revoked_reason).toBe('google_verified');
+    expect((await login(registration.email, registration.password)).status).toBe(401);
+  });
+});
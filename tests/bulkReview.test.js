@@ -0,0 +1,80 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+const emailService = require('../src/services/emailService');
+
+const { dealRepository, auditLogRepository } = repositories;
+
+describe('bulk review', () => {
+  let users;
+  let approverAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    approverAuth = await authHeader(users.approver);
+
+    await createDeal({ id: 'd1', status: 'submitted' });
+    await createDeal({ id: 'd2', status: 'under_review', company_name: 'Initech', domain: 'initech.com' });
+    await createDeal({ id: 'd3', status: 'approved', company_name: 'Hooli', domain: 'hooli.com' });
+  });
+
+  const bulk = (body, auth = approverAuth) => api().post('/api/v1/admin/deals/bulk').set('Authorization', auth).send(body);
+
+  test('approves each deal on its own and reports per-deal outcomes', async () => {
+    const res = await bulk({ dealIds: ['d1', 'd2', 'd3', 'missing'], action: 'approve' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ succeeded: 2, failed: 2 });
+    expect(res.body.results).toEqual([
+      expect.objectContaining({ dealId: 'd1', success: true, previousStatus: 'submitted', status: 'approved' }),
+      expect.objectContaining({ dealId: 'd2', success: true, previousStatus: 'under_review', status: 'approved' }),
+      expect.objectContaining({ dealId: 'd3', success: false, statusCode: 409 }),
+      expect.objectContaining({ dealId: 'missing', success: false, statusCode: 404 })
+    ]);
+
+    expect((await auditLogRepository.findBy('deal_id', 'd1')).length).toBeGreaterThan(0);
+    expect(emailService.outbox.filter(sent => sent.type === 'deal_approved')).toHaveLength(2);
+  });
+
+  test('rejections need a shared or per-deal reason', async () => {
+    const res = await bulk({
+      dealIds: ['d1', 'd2'],
+      action: 'reject',
+      reasons: { d2: 'Customer already registered directly' }
+    });
+
+    expect(res.body.results[0]).toMatchObject({ dealId: 'd1', success: false, statusCode: 400 });
+    expect(res.body.results[1]).toMatchObject({ dealId: 'd2', success: true, status: 'rejected' });
+    expect((await dealRepository.findById('d2')).rejection_reason).toBe('Customer already registered directly');
+
+    const shared = await bulk({ dealIds: ['d1'], action: 'reject', rejectionReason: 'Out of territory' });
+    expect(shared.body.succeeded).toBe(1);
+  });
+
+  test('assigns a reviewer to open deals', async () => {
+    const res = await bulk({ dealIds: ['d1', 'd3'], action: 'assign', reviewer: 'approver@daxa.ai' });
+
+    expect(res.body.results.map(result => result.success)).toEqual([true, false]);
+    expect((await dealRepository.findById('d1')).reviewer).toBe('approver@daxa.ai');
+  });
+
+  test('rejects malformed requests before touching any deal', async () => {
+    expect((await bulk({ dealIds: ['d1'], action: 'archive' })).status).toBe(400);
+    expect((await bulk({ dealIds: [], action: 'approve' })).status).toBe(400);
+    expect((await bulk({ dealIds: Array.from({ length: 101 }, (_, i) => `d${i}`), action: 'approve' })).status).toBe(400);
+
+    const reasonType = await bulk({ dealIds: ['d1'], action: 'reject', rejectionReason: { text: 'no' } });
+    expect(reasonType.status).toBe(400);
+    expect(reasonType.body.fields).toEqual(['rejectionReason']);
+
+    const reasonsType = await bulk({ dealIds: ['d1'], action: 'reject', reasons: { d1: ['no'] } });
+    expect(reasonsType.status).toBe(400);
+    expect(reasonsType.body.fields).toEqual(['reasons']);
+
+    expect((await dealRepository.findById('d1')).status).toBe('submitted');
+  });
+
+  test('requires deals:approve', async () => {
+    const res = await bulk({ dealIds: ['d1'], action: 'approve' }, await authHeader(users.viewer));
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,97 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+
+const { dealRepository, duplicateResolutionRepository } = repositories;
+
+describe('channel conflict resolution', () => {
+  let users;
+  let approverAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    approverAuth = await authHeader(users.approver);
+    await createDeal({ id: 'acme-deal', created_at: '2026-01-01T00:00:00.000Z', conflict_status: 'open' });
+    await createDeal({
+      id: 'rand-deal',
+      created_at: '2026-01-02T00:00:00.000Z',
+      partner_company: 'Rand',
+      submitter_email: 'user@rand.io',
+      conflict_status: 'open'
+    });
+  });
+
+  const post = (path, body) => api().post(`/api/v1/duplicates/${path}`).set('Authorization', approverAuth).send(body);
+
+  test('groups competing registrations into one conflict', async () => {
+    const res = await api().get('/api/v1/duplicates/conflicts').set('Authorization', approverAuth);
+
+    expect(res.status).toBe(200);
+    expect(res.body.total).toBe(1);
+    expect(res.body.conflicts[0]).toMatchObject({ clusterId: 'acme-deal', partners: ['Acme', 'Rand'], escalated: true });
+  });
+
+  test('not-duplicate pairs leave the queue and clear the conflict flag', async () => {
+    const res = await post('not-duplicate', { dealIds: ['acme-deal', 'rand-deal'] });
+
+    expect(res.status).toBe(200);
+    expect((await api().get('/api/v1/duplicates/conflicts').set('Authorization', approverAuth)).body.total).toBe(0);
+    expect((await dealRepository.findById('rand-deal')).conflict_status).toBe('resolved');
+  });
+
+  test('awarding the account rejects the competing registration', async () => {
+    const res = await post('award', { winnerDealId: 'acme-deal', loserDealIds: ['rand-deal'] });
+
+    expect(res.status).toBe(200);
+
+    const loser = await dealRepository.findById('rand-deal');
+    expect(loser).toMatchObject({ status: 'rejected', conflict_status: 'resolved' });
+    expect(loser.rejection_reason).toContain('awarded to Acme');
+
+    const resolutions = await duplicateResolutionRepository.findAll();
+    expect(resolutions).toEqual([expect.objectContaining({ resolution: 'awarded', winner_deal_id: 'acme-deal' })]);
+  });
+
+  test('the losing partner reads the decision in their notifications', async () => {
+    await post('award', { winnerDealId: 'acme-deal', loserDealIds: ['rand-deal'] });
+    const randAuth = await authHeader(users.otherPartnerUser);
+
+    const inbox = await api().get('/api/v1/notifications').set('Authorization', randAuth);
+    const decision = inbox.body.notifications.find(notification => notification.type === 'conflict_awarded');
+    expect(decision).toMatchObject({ deal_id: 'rand-deal', read_at: '' });
+    expect(inbox.body.unread).toBe(inbox.body.total);
+
+    const notificationId = decision.id;
+    const acmeAuth = await authHeader(users.partnerUser);
+    expect((await api().get('/api/v1/notifications').set('Authorization', acmeAuth)).body.total).toBe(0);
+    expect((await api().post(`/api/v1/notifications/${notificationId}/read`).set('Authorization', acmeAuth)).status).toBe(404);
+
+    const read = await api().post(`/api/v1/notifications/${notificationId}/read`).set('Authorization', randAuth);
+    expect(read.body.notification.read_at).toBeTruthy();
+    expect((await api().post('/api/v1/notifications/read-all').set('Authorization', randAuth)).body.marked).toBe(inbox.body.total - 1);
+    expect((await api().get('/api/v1/notifications').query({ unread: 'true' }).set('Authorization', randAuth)).body.total).toBe(0);
+  });
+
+  test('approved registrations cannot lose an award', async () => {
+    await dealRepository.update('rand-deal', { status: 'approved' });
+
+    const res = await post('award', { winnerDealId: 'acme-deal', loserDealIds: ['rand-deal'] });
+
+    expect(res.status).toBe(409);
+    expect((await dealRepository.findById('acme-deal')).conflict_status).toBe('open');
+  });
+
+  test('merging marks the other registration merged into the primary', async () => {
+    const res = await post('merge', { primaryDealId: 'acme-deal', mergedDealIds: ['rand-deal'] });
+
+    expect(res.status).toBe(200);
+    expect(await dealRepository.findById('rand-deal')).toMatchObject({ status: 'merged', merged_into: 'acme-deal' });
+  });
+
+  test('partners cannot resolve conflicts', async () => {
+    const partnerAuth = await authHeader(users.partnerUser);
+
+    const res = await api().post('/api/v1/duplicates/award').set('Authorization', partnerAuth)
+      .send({ winnerDealId: 'acme-deal', loserDealIds: ['rand-deal'] });
+
+    expect(res.status).toBe(403);
+  });
+});
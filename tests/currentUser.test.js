@@ -0,0 +1,43 @@
+const { api, repositories, seed, authHeader } = require('./helpers/testApp');
+
+describe('GET /auth/me', () => {
+  let users;
+
+  beforeEach(async () => {
+    users = await seed();
+  });
+
+  const me = async (user) => api().get('/api/v1/auth/me').set('Authorization', await authHeader(user));
+
+  test('returns the partner account, profile and preferences', async () => {
+    await repositories.userProfileRepository.upsert('user@acme.io', { territory: 'EMEA', email_opt_outs: 'deal_submitted' });
+
+    const res = await me(users.partnerUser);
+
+    expect(res.status).toBe(200);
+    expect(res.body.user).toMatchObject({
+      email: 'user@acme.io',
+      role: 'partner_user',
+      partnerName: 'Acme',
+      isAdmin: false,
+      admin: null,
+      twoFactorEnabled: false,
+      profile: { companyName: 'Acme', territory: 'EMEA' },
+      preferences: { emailOptOuts: ['deal_submitted'] }
+    });
+    expect(res.body.user.permissions).toContain('deals:create');
+    expect(res.body.user.permissions).not.toContain('deals:view_all');
+  });
+
+  test('reports the admin role and its permissions for internal users', async () => {
+    const res = await me(users.approver);
+
+    expect(res.body.user).toMatchObject({ role: 'approver', isAdmin: true, admin: { role: 'approver', addedBy: 'system' } });
+    expect(res.body.user.permissions).toContain('deals:approve');
+  });
+
+  test('requires a valid session', async () => {
+    expect((await api().get('/api/v1/auth/me')).status).toBe(401);
+    expect((await api().get('/api/v1/auth/me').set('Authorization', 'Bearer not-a-token')).status).toBe(401);
+  });
+});
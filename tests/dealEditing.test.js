@@ -0,0 +1,77 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+
+const { dealRepository } = repositories;
+
+describe('partner deal editing', () => {
+  let users;
+  let partnerAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    partnerAuth = await authHeader(users.partnerUser);
+  });
+
+  const edit = (id, body, auth = partnerAuth) => api().patch(`/api/v1/deals/${id}`).set('Authorization', auth).send(body);
+
+  test('records every changed field in the deal history', async () => {
+    const deal = await createDeal({ deal_stage: 'Discovery' });
+
+    const res = await edit(deal.id, { dealStage: 'Proposal', dealValue: '75000', companyName: deal.company_name });
+
+    expect(res.status).toBe(200);
+    expect(res.body.changedFields).toEqual(['deal_stage', 'deal_value']);
+
+    const history = await api().get(`/api/v1/deals/${deal.id}/history`).set('Authorization', partnerAuth);
+    const updates = history.body.history.filter(entry => entry.action === 'updated');
+
+    expect(updates).toEqual(expect.arrayContaining([
+      expect.objectContaining({ field: 'deal_stage', old_value: 'Discovery', new_value: 'Proposal', user_email: 'user@acme.io' }),
+      expect.objectContaining({ field: 'deal_value', old_value: '50000', new_value: '75000' })
+    ]));
+  });
+
+  test('answering an information request resubmits the deal', async () => {
+    const deal = await createDeal({ status: 'needs_info' });
+
+    const res = await edit(deal.id, { additionalNotes: 'Budget confirmed' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.deal.status).toBe('submitted');
+  });
+
+  test('core fields lock once a deal is approved', async () => {
+    const deal = await createDeal({ status: 'approved' });
+
+    const locked = await edit(deal.id, { companyName: 'Globex Holdings', territory: 'EMEA' });
+    expect(locked.status).toBe(409);
+    expect(locked.body.lockedFields).toEqual(['company_name', 'territory']);
+
+    const notes = await edit(deal.id, { additionalNotes: 'Kick-off scheduled' });
+    expect(notes.status).toBe(200);
+  });
+
+  test('closed deals cannot be edited', async () => {
+    const deal = await createDeal({ status: 'rejected' });
+
+    expect((await edit(deal.id, { additionalNotes: 'Please reconsider' })).status).toBe(409);
+  });
+
+  test('required fields cannot be cleared and empty edits are refused', async () => {
+    const deal = await createDeal();
+
+    const cleared = await edit(deal.id, { companyName: ' ' });
+    expect(cleared.status).toBe(400);
+    expect(cleared.body.fields).toEqual(['company_name']);
+
+    expect((await edit(deal.id, {})).status).toBe(400);
+  });
+
+  test('only the submitter or their team can edit', async () => {
+    const deal = await createDeal();
+
+    const res = await edit(deal.id, { dealStage: 'Closed' }, await authHeader(users.otherPartnerUser));
+
+    expect(res.status).toBe(403);
+    expect((await dealRepository.findById(deal.id)).deal_stage).toBe('');
+  });
+});
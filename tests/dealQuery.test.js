@@ -0,0 +1,68 @@
+const { api, seed, createDeal, authHeader } = require('./helpers/testApp');
+
+describe('deal listing queries', () => {
+  let adminAuth;
+
+  beforeEach(async () => {
+    const users = await seed();
+    adminAuth = await authHeader(users.superAdmin);
+
+    await createDeal({ id: 'd1', company_name: 'Globex', status: 'submitted', deal_value: '$10,000', created_at: '2026-01-01T00:00:00.000Z' });
+    await createDeal({ id: 'd2', company_name: 'Initech', status: 'approved', deal_value: '250000', created_at: '2026-02-01T00:00:00.000Z' });
+    await createDeal({ id: 'd3', company_name: 'Umbrella', status: 'rejected', deal_value: '', partner_company: 'Rand', created_at: '2026-03-01T00:00:00.000Z' });
+    await createDeal({ id: 'd4', company_name: 'Hooli', status: 'approved', deal_value: '90000', created_at: '2026-04-01T00:00:00.000Z' });
+  });
+
+  const list = (query) => api().get('/api/v1/deals').query(query).set('Authorization', adminAuth);
+  const ids = (res) => res.body.deals.map(deal => deal.id);
+
+  test('sorts newest first by default', async () => {
+    const res = await list({});
+
+    expect(res.status).toBe(200);
+    expect(ids(res)).toEqual(['d4', 'd3', 'd2', 'd1']);
+    expect(res.body.total).toBe(4);
+  });
+
+  test('sorts by deal value with missing values last', async () => {
+    expect(ids(await list({ sort: 'deal_value', order: 'asc' }))).toEqual(['d1', 'd4', 'd2', 'd3']);
+    expect(ids(await list({ sort: 'deal_value' }))).toEqual(['d2', 'd4', 'd1', 'd3']);
+  });
+
+  test('filters by status, partner, value range, date range and search text', async () => {
+    expect(ids(await list({ status: 'approved,rejected' }))).toEqual(['d4', 'd3', 'd2']);
+    expect(ids(await list({ partner: 'Rand' }))).toEqual(['d3']);
+    expect(ids(await list({ minValue: 50000, maxValue: 100000 }))).toEqual(['d4']);
+    expect(ids(await list({ createdFrom: '2026-02-01', createdTo: '2026-03-01' }))).toEqual(['d3', 'd2']);
+    expect(ids(await list({ q: 'initech' }))).toEqual(['d2']);
+  });
+
+  test('accepts a repeated status parameter', async () => {
+    const res = await api().get('/api/v1/deals?status=submitted&status=rejected').set('Authorization', adminAuth);
+
+    expect(res.status).toBe(200);
+    expect(ids(res)).toEqual(['d3', 'd1']);
+  });
+
+  test('rejects other repeated or malformed parameters', async () => {
+    const repeated = await api().get('/api/v1/deals?q=a&q=b').set('Authorization', adminAuth);
+    expect(repeated.status).toBe(400);
+    expect(repeated.body.fields).toEqual(['q']);
+
+    expect((await api().get('/api/v1/deals?status[x]=approved').set('Authorization', adminAuth)).status).toBe(400);
+    expect((await list({ sort: 'company_name' })).status).toBe(400);
+    expect((await list({ minValue: 'lots' })).status).toBe(400);
+    expect((await list({ cursor: 'not-a-cursor' })).status).toBe(400);
+  });
+
+  test('pages with offsets and cursors', async () => {
+    const first = await list({ limit: 3 });
+    expect(ids(first)).toEqual(['d4', 'd3', 'd2']);
+    expect(first.body.pagination).toMatchObject({ hasMore: true, nextOffset: 3 });
+
+    const next = await list({ limit: 3, cursor: first.body.pagination.nextCursor });
+    expect(ids(next)).toEqual(['d1']);
+    expect(next.body.pagination.hasMore).toBe(false);
+    expect(next.body.total).toBe(4);
+  });
+});
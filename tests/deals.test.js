@@ -0,0 +1,127 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+
+const { dealRepository, auditLogRepository } = repositories;
+
+const newDeal = {
+  companyName: 'Initech',
+  domain: 'initech.com',
+  submitterName: 'Acme User',
+  dealValue: '25000',
+  agreedToTerms: true
+};
+
+describe('deal status state machine', () => {
+  let users;
+  let partnerAuth;
+  let approverAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    partnerAuth = await authHeader(users.partnerUser);
+    approverAuth = await authHeader(users.approver);
+  });
+
+  const setStatus = (id, auth, body) => api().put(`/api/v1/deals/${id}/status`).set('Authorization', auth).send(body);
+
+  test('new registrations start as submitted with a created audit entry', async () => {
+    const res = await api().post('/api/v1/deals').set('Authorization', partnerAuth).send(newDeal);
+
+    expect(res.status).toBe(201);
+    expect(res.body.status).toBe('submitted');
+
+    const deal = await dealRepository.findById(res.body.dealId);
+    expect(deal).toMatchObject({ status: 'submitted', partner_company: 'Acme', submitter_email: 'user@acme.io' });
+
+    const audit = await auditLogRepository.findBy('deal_id', deal.id);
+    expect(audit.map(entry => entry.action)).toContain('created');
+  });
+
+  test('walks submitted -> under_review -> approved and records the reviewer', async () => {
+    const deal = await createDeal();
+
+    expect((await setStatus(deal.id, approverAuth, { status: 'under_review' })).status).toBe(200);
+    const res = await setStatus(deal.id, approverAuth, { status: 'approved' });
+
+    expect(res.status).toBe(200);
+    expect(res.body).toMatchObject({ previousStatus: 'under_review', newStatus: 'approved' });
+    expect(res.body.deal.approver).toBe('approver@daxa.ai');
+    expect(res.body.deal.reviewed_at).toBeTruthy();
+    expect(res.body.deal.expires_at).toBeTruthy();
+  });
+
+  test('rejects transitions the state machine does not allow', async () => {
+    const deal = await createDeal();
+
+    const res = await setStatus(deal.id, approverAuth, { status: 'approved' });
+
+    expect(res.status).toBe(409);
+    expect(res.body).toMatchObject({ currentStatus: 'submitted', requestedStatus: 'approved' });
+    expect(res.body.allowedStatuses).toEqual(['under_review', 'merged']);
+    expect((await dealRepository.findById(deal.id)).status).toBe('submitted');
+  });
+
+  test('rejects unknown statuses', async () => {
+    const deal = await createDeal();
+
+    const res = await setStatus(deal.id, approverAuth, { status: 'won' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.validStatuses).toContain('approved');
+  });
+
+  test('requires a reason to reject', async () => {
+    const deal = await createDeal({ status: 'under_review' });
+
+    const res = await setStatus(deal.id, approverAuth, { status: 'rejected' });
+
+    expect(res.status).toBe(400);
+    expect(res.body.error).toBe('Rejection reason is required');
+  });
+
+  test('merged deals are final', async () => {
+    const deal = await createDeal({ status: 'merged' });
+
+    const res = await setStatus(deal.id, approverAuth, { status: 'submitted' });
+
+    expect(res.status).toBe(409);
+    expect(res.body.allowedStatuses).toEqual([]);
+  });
+
+  test('submitters can reopen a rejected deal, which clears the decision', async () => {
+    const deal = await createDeal({
+      status: 'rejected',
+      approver: 'approver@daxa.ai',
+      reviewed_at: '2026-01-01T00:00:00.000Z',
+      rejection_reason: 'Incomplete'
+    });
+
+    const res = await setStatus(deal.id, partnerAuth, { status: 'submitted' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.deal).toMatchObject({ status: 'submitted', approver: '', reviewed_at: '', rejection_reason: '' });
+
+    const audit = await auditLogRepository.findBy('deal_id', deal.id);
+    expect(audit.map(entry => entry.action)).toContain('reopened');
+  });
+
+  test('submitters cannot review their own deals', async () => {
+    const deal = await createDeal({ status: 'under_review' });
+
+    const res = await setStatus(deal.id, partnerAuth, { status: 'approved' });
+
+    expect(res.status).toBe(403);
+    expect((await dealRepository.findById(deal.id)).status).toBe('under_review');
+  });
+
+  test('approving a submitted deal passes through under_review', async () => {
+    const deal = await createDeal();
+
+    const res = await api().post(`/api/v1/admin/deals/${deal.id}/approve`).set('Authorization', approverAuth).send({});
+
+    expect(res.status).toBe(200);
+    expect(res.body.status).toBe('approved');
+
+    const audit = await auditLogRepository.findBy('deal_id', deal.id);
+    expect(audit.map(entry => entry.action)).toEqual(expect.arrayContaining(['under_review', 'approved']));
+  });
+});
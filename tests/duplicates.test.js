@@ -0,0 +1,77 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+const duplicateService = require('../src/services/duplicateService');
+
+const { dealRepository } = repositories;
+
+describe('duplicate detection', () => {
+  test('normalizes company names and domains', () => {
+    expect(duplicateService.normalizeCompanyName('The ACME Corporation, Inc.')).toBe('acme');
+    expect(duplicateService.normalizeCompanyName('Company Dynamics LLC')).toBe('company dynamics');
+    expect(duplicateService.normalizeDomain('https://www.sales.acme.com/path?x=1')).toBe('acme.com');
+    expect(duplicateService.normalizeDomain('jane@acme.co.uk')).toBe('acme.co.uk');
+  });
+
+  test('scores exact, suffix and spelled-out matches', () => {
+    const existing = { company_name: 'Globex Industries', domain: 'globex.com' };
+
+    expect(duplicateService.scoreCandidate({ companyName: 'Other', domain: 'www.globex.com' }, existing).confidence).toBe(1);
+    expect(duplicateService.scoreCandidate({ companyName: 'Other', domain: 'globex.de' }, existing).confidence).toBe(0.85);
+    expect(duplicateService.scoreCandidate({ companyName: 'Globex Industries Ltd', domain: 'other.com' }, existing).matchReasons)
+      .toContain('Company name matches');
+    expect(duplicateService.scoreCandidate({ companyName: 'Globex', domain: 'other.com' }, { company_name: 'Umbrella', domain: 'globex.com' }))
+      .toEqual({ confidence: 0.8, matchReasons: ['Company name matches existing domain'] });
+    expect(duplicateService.scoreCandidate({ companyName: 'Initech', domain: 'initech.com' }, existing))
+      .toEqual({ confidence: 0, matchReasons: [] });
+  });
+
+  describe('against stored deals', () => {
+    let partnerAuth;
+
+    beforeEach(async () => {
+      const users = await seed();
+      partnerAuth = await authHeader(users.partnerUser);
+      await createDeal({ id: 'existing', company_name: 'Globex Corporation', domain: 'globex.com', partner_company: 'Rand' });
+    });
+
+    test('reports blocking duplicates and ignores closed deals', async () => {
+      await createDeal({ id: 'rejected', company_name: 'Globex', domain: 'globex.com', status: 'rejected' });
+
+      const result = await duplicateService.findDuplicates('Globex Inc', 'https://globex.com');
+
+      expect(result.hasDuplicates).toBe(true);
+      expect(result.duplicates.map(deal => deal.id)).toEqual(['existing']);
+    });
+
+    test('check-duplicate answers without authentication', async () => {
+      const res = await api().post('/api/v1/deals/check-duplicate').send({ companyName: 'Globex', domain: 'globex.com' });
+
+      expect(res.status).toBe(200);
+      expect(res.body.hasDuplicates).toBe(true);
+      expect(res.body.duplicates[0].matchReasons).toContain('Domain matches');
+    });
+
+    test('candidates shown to submitters never carry the other partner\'s details', async () => {
+      const check = await api().post('/api/v1/deals/check-duplicate').send({ companyName: 'Globex', domain: 'globex.com' });
+      expect(Object.keys(check.body.duplicates[0]).sort())
+        .toEqual(['company_name', 'confidence', 'created_at', 'domain', 'id', 'matchReasons', 'status']);
+
+      const blocked = await api().post('/api/v1/deals').set('Authorization', partnerAuth)
+        .send({ companyName: 'Globex', domain: 'globex.com', submitterName: 'Acme User', agreedToTerms: true });
+      expect(blocked.body.duplicates[0]).toEqual(check.body.duplicates[0]);
+      expect(JSON.stringify(blocked.body)).not.toContain('Rand');
+    });
+
+    test('blocks a duplicate registration unless the partner escalates the conflict', async () => {
+      const body = { companyName: 'Globex', domain: 'globex.com', submitterName: 'Acme User', agreedToTerms: true };
+
+      const blocked = await api().post('/api/v1/deals').set('Authorization', partnerAuth).send(body);
+      expect(blocked.status).toBe(409);
+      expect(blocked.body.canEscalate).toBe(true);
+
+      const escalated = await api().post('/api/v1/deals').set('Authorization', partnerAuth).send({ ...body, escalateConflict: true });
+      expect(escalated.status).toBe(201);
+      expect(escalated.body.conflictStatus).toBe('open');
+      expect((await dealRepository.findById(escalated.body.dealId)).conflict_status).toBe('open');
+    });
+  });
+});
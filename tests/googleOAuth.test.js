@@ -0,0 +1,87 @@
+const jwt = require('jsonwebtoken');
+const { api, repositories, seed } = require('./helpers/testApp');
+const googleOAuthService = require('../src/services/googleOAuthService');
+
+const { authCodeRepository, userRepository } = repositories;
+
+describe('Google sign-in', () => {
+  let users;
+
+  beforeEach(async () => {
+    users = await seed();
+  });
+
+  describe('one-time authorization codes', () => {
+    const exchange = (code) => api().post('/api/v1/auth/google/exchange').send({ code });
+
+    test('a code is exchanged once for tokens and only its hash is stored', async () => {
+      const code = await googleOAuthService.createAuthCode(users.partnerUser);
+      expect(await authCodeRepository.findById(code)).toBeFalsy();
+
+      const res = await exchange(code);
+      expect(res.status).toBe(200);
+      expect(res.body).toMatchObject({ user: { email: 'user@acme.io' } });
+      expect(res.body.accessToken).toBeTruthy();
+
+      expect((await exchange(code)).status).toBe(400);
+    });
+
+    test('expired, unknown and missing codes are refused', async () => {
+      const code = await googleOAuthService.createAuthCode(users.partnerUser);
+      const [stored] = await authCodeRepository.findAll();
+      await authCodeRepository.update(stored.code_hash, { expires_at: '2020-01-01T00:00:00.000Z' });
+
+      expect((await exchange(code)).status).toBe(400);
+      expect((await exchange('made-up')).status).toBe(400);
+      expect((await exchange(undefined)).status).toBe(400);
+    });
+
+    test('codes of deactivated users are refused', async () => {
+      const code = await googleOAuthService.createAuthCode(users.partnerUser);
+      await userRepository.update(users.partnerUser.id, { status: 'inactive' });
+
+      expect((await exchange(code)).status).toBe(401);
+    });
+
+    test('users with 2FA get a challenge instead of tokens', async () => {
+      await userRepository.update(users.partnerUser.id, { totp_enabled_at: new Date().toISOString() });
+      const code = await googleOAuthService.createAuthCode(users.partnerUser);
+
+      const res = await exchange(code);
+
+      expect(res.body).toMatchObject({ twoFactorRequired: true });
+      expect(res.body.challengeToken).toBeTruthy();
+      expect(res.body.accessToken).toBeUndefined();
+    });
+  });
+
+  describe('OAuth state', () => {
+    test('state must come back with the nonce of the browser that started sign-in', () => {
+      const { state, nonce } = googleOAuthService.createState({ inviteToken: 'invite-token' });
+
+      expect(googleOAuthService.verifyState(state, nonce)).toEqual({ inviteToken: 'invite-token' });
+      expect(() => googleOAuthService.verifyState(state, 'other-nonce')).toThrow('Invalid OAuth state');
+      expect(() => googleOAuthService.verifyState(state, undefined)).toThrow('Invalid OAuth state');
+      expect(() => googleOAuthService.verifyState('forged', nonce)).toThrow('Invalid OAuth state');
+    });
+
+    test('starting sign-in sets the nonce cookie matching the state sent to Google', async () => {
+      const res = await api().get('/api/v1/auth/google');
+
+      expect(res.status).toBe(302);
+      const state = new URL(res.headers.location).searchParams.get('state');
+      const cookie = res.headers['set-cookie'].find(value => value.includes('HttpOnly'));
+
+      expect(cookie).toContain(`=${jwt.decode(state).nonce};`);
+    });
+
+    test('callbacks without a matching state are sent back with an error', async () => {
+      const { state } = googleOAuthService.createState();
+
+      const res = await api().get('/api/v1/auth/google/callback').query({ state, code: 'google-code' });
+
+      expect(res.status).toBe(302);
+      expect(res.headers.location).toMatch(/\/auth\?error=invalid_state$/);
+    });
+  });
+});
@@ -0,0 +1,113 @@
+/**
+ * Shared setup for the API tests: the app on an in-memory file store, a seeded
+ * partner/admin fixture and signed-in request helpers.
+ * Require it before anything from src so the environment below applies.
+ */
+process.env.NODE_ENV = 'test';
+process.env.JWT_SECRET = 'test-jwt-secret';
+process.env.GOOGLE_CLIENT_ID = 'test-google-client';
+process.env.GOOGLE_CLIENT_SECRET = 'test-google-secret';
+process.env.STORAGE_BACKEND = 'file';
+process.env.STORAGE_FILE_PATH = ':memory:';
+process.env.EMAIL_TRANSPORT = 'json';
+process.env.BCRYPT_ROUNDS = '4';
+
+const request = require('supertest');
+const app = require('../../src/app');
+const repositories = require('../../src/repositories');
+const { setStore, FileStore } = require('../../src/repositories/stores');
+const sessionService = require('../../src/services/sessionService');
+const emailService = require('../../src/services/emailService');
+const { generateId, getCurrentTimestamp } = require('../../src/utils/helpers');
+
+const { userRepository, adminRepository, partnerRepository, dealRepository } = repositories;
+
+// Handlers log every error they turn into a response; keep the test output readable
+beforeAll(() => {
+  jest.spyOn(console, 'log').mockImplementation(() => {});
+  jest.spyOn(console, 'error').mockImplementation(() => {});
+});
+
+/**
+ * Start from an empty store and outbox
+ */
+const resetStore = () => {
+  setStore(new FileStore(':memory:'));
+  emailService.outbox.length = 0;
+};
+
+const createUser = (email, fields = {}) => userRepository.create({
+  id: generateId(),
+  email,
+  first_name: 'Test',
+  last_name: 'User',
+  role: 'user',
+  status: 'active',
+  created_at: getCurrentTimestamp(),
+  email_verified_at: getCurrentTimestamp(),
+  ...fields
+});
+
+/**
+ * Internal user: a Users row plus an Admins row (blank role = super admin)
+ */
+const createAdmin = async (email, role = '') => {
+  const user = await createUser(email, { partner_company: 'Daxa' });
+  await adminRepository.create({ email, role, status: 'active', added_by: 'system', added_at: getCurrentTimestamp() });
+  return user;
+};
+
+const createDeal = (fields = {}) => dealRepository.create({
+  id: generateId(),
+  status: 'submitted',
+  created_at: getCurrentTimestamp(),
+  company_name: 'Globex',
+  domain: 'globex.com',
+  partner_company: 'Acme',
+  submitter_name: 'Acme User',
+  submitter_email: 'user@acme.io',
+  deal_value: '50000',
+  ...fields
+});
+
+/**
+ * Two partner companies with users, and one internal user per role
+ */
+const seed = async () => {
+  resetStore();
+
+  await partnerRepository.create({ id: 'partner-acme', name: 'Acme', email_domains: 'acme.io', status: 'active', tier: 'gold' });
+  await partnerRepository.create({ id: 'partner-rand', name: 'Rand', email_domains: 'rand.io', status: 'active', tier: 'silver' });
+
+  return {
+    partnerUser: await createUser('user@acme.io', { partner_company: 'Acme' }),
+    teammate: await createUser('teammate@acme.io', { partner_company: 'Acme' }),
+    partnerAdmin: await createUser('lead@acme.io', { partner_company: 'Acme', role: 'partner_admin' }),
+    otherPartnerUser: await createUser('user@rand.io', { partner_company: 'Rand' }),
+    superAdmin: await createAdmin('admin@daxa.ai'),
+    approver: await createAdmin('approver@daxa.ai', 'approver'),
+    viewer: await createAdmin('viewer@daxa.ai', 'viewer')
+  };
+};
+
+/**
+ * Authorization header for a fresh session of the user
+ */
+const authHeader = async (user) => {
+  const { accessToken } = await sessionService.createSession(user);
+  return `Bearer ${accessToken}`;
+};
+
+const api = () => request(app);
+
+module.exports = {
+  api,
+  app,
+  repositories,
+  resetStore,
+  seed,
+  createUser,
+  createAdmin,
+  createDeal,
+  authHeader
+};
@@ -0,0 +1,109 @@
+const { api, repositories, seed, authHeader } = require('./helpers/testApp');
+const emailService = require('../src/services/emailService');
+
+const { invitationRepository, userRepository } = repositories;
+
+describe('partner invitations', () => {
+  let users;
+  let adminAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    adminAuth = await authHeader(users.superAdmin);
+  });
+
+  const invite = (body) => api().post('/api/v1/admin/invitations').set('Authorization', adminAuth).send(body);
+  const tokenFrom = (res) => new URL(res.body.inviteUrl).searchParams.get('token');
+  const register = (inviteToken, email = 'new@acme.io') => api().post('/api/v1/auth/register').send({
+    email,
+    password: 'Sup3rSecret',
+    firstName: 'New',
+    lastName: 'Hire',
+    inviteToken
+  });
+
+  test('emails an invite link that registers an active account with the invited role', async () => {
+    const res = await invite({ email: 'New@Acme.io', partnerCompany: 'Acme', role: 'partner_admin' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.invitation).toMatchObject({ email: 'new@acme.io', partner_company: 'Acme', status: 'pending', invited_by: 'admin@daxa.ai' });
+    expect(emailService.outbox.find(sent => sent.type === 'invitation').to).toBe('new@acme.io');
+
+    const lookup = await api().get('/api/v1/auth/invite').query({ token: tokenFrom(res) });
+    expect(lookup.body.invitation).toMatchObject({ email: 'new@acme.io', partnerCompany: 'Acme', role: 'partner_admin' });
+
+    const registered = await register(tokenFrom(res));
+    expect(registered.status).toBe(201);
+
+    const user = await userRepository.findByEmail('new@acme.io');
+    expect(user).toMatchObject({ status: 'active', partner_company: 'Acme', role: 'partner_admin' });
+    expect((await invitationRepository.findById(res.body.invitation.id)).status).toBe('accepted');
+  });
+
+  test('invitations are single-use and bound to the invited address', async () => {
+    const res = await invite({ email: 'new@acme.io', partnerCompany: 'Acme' });
+
+    expect((await register(tokenFrom(res), 'someone@acme.io')).status).toBe(403);
+    expect((await register(tokenFrom(res))).status).toBe(201);
+    expect((await register(tokenFrom(res), 'again@acme.io')).status).toBe(410);
+  });
+
+  test('revoked or superseded invitations stop working', async () => {
+    const first = await invite({ email: 'new@acme.io', partnerCompany: 'Acme' });
+    const second = await invite({ email: 'new@acme.io', partnerCompany: 'Acme' });
+
+    expect((await invitationRepository.findById(first.body.invitation.id)).status).toBe('revoked');
+
+    const revoked = await api().post(`/api/v1/admin/invitations/${second.body.invitation.id}/revoke`).set('Authorization', adminAuth);
+    expect(revoked.status).toBe(200);
+    expect((await api().get('/api/v1/auth/invite').query({ token: tokenFrom(second) })).status).toBe(410);
+
+    const again = await api().post(`/api/v1/admin/invitations/${second.body.invitation.id}/revoke`).set('Authorization', adminAuth);
+    expect(again.status).toBe(409);
+  });
+
+  test('lists invitations and marks lapsed ones as expired', async () => {
+    const res = await invite({ email: 'new@acme.io', partnerCompany: 'Acme' });
+    await invitationRepository.update(res.body.invitation.id, { expires_at: '2020-01-01T00:00:00.000Z' });
+
+    const list = await api().get('/api/v1/admin/invitations').query({ status: 'expired' }).set('Authorization', adminAuth);
+
+    expect(list.body.total).toBe(1);
+    expect(list.body.invitations[0]).toMatchObject({ email: 'new@acme.io', status: 'expired' });
+  });
+
+  test('validates the invited company, role and address', async () => {
+    expect((await invite({ email: 'new@acme.io', partnerCompany: 'Nowhere' })).status).toBe(400);
+    expect((await invite({ email: 'new@acme.io', partnerCompany: 'Acme', role: 'super_admin' })).status).toBe(400);
+    expect((await invite({ email: 'user@acme.io', partnerCompany: 'Acme' })).status).toBe(409);
+    expect((await invite({ partnerCompany: 'Acme' })).status).toBe(400);
+  });
+
+  test('uninvited sign-ups cannot claim a registered partner\'s company', async () => {
+    const signUp = (email, company) => api().post('/api/v1/auth/register').send({
+      email,
+      password: 'Sup3rSecret',
+      firstName: 'New',
+      lastName: 'Hire',
+      company
+    });
+
+    expect((await signUp('someone@rand.io', 'Acme')).status).toBe(201);
+    expect((await userRepository.findByEmail('someone@rand.io')).partner_company).toBe('Rand');
+
+    const claimed = await signUp('someone@gmail.com', 'acme');
+    expect(claimed.status).toBe(403);
+    expect(claimed.body.code).toBe('partner_domain_mismatch');
+
+    expect((await signUp('founder@initech.com', 'Initech')).status).toBe(201);
+    expect((await userRepository.findByEmail('founder@initech.com')).partner_company).toBe('Initech');
+  });
+
+  test('only admins with invitations:manage can invite', async () => {
+    const res = await api().post('/api/v1/admin/invitations')
+      .set('Authorization', await authHeader(users.approver))
+      .send({ email: 'new@acme.io', partnerCompany: 'Acme' });
+
+    expect(res.status).toBe(403);
+  });
+});
@@ -0,0 +1,61 @@
+const { api, seed, createDeal, authHeader } = require('./helpers/testApp');
+const emailService = require('../src/services/emailService');
+
+const sentTo = (type) => emailService.outbox.filter(sent => sent.type === type).map(sent => sent.to).sort();
+
+describe('deal lifecycle emails', () => {
+  let users;
+  let partnerAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    partnerAuth = await authHeader(users.partnerUser);
+  });
+
+  test('a submission is confirmed to the partner and announced to active admins', async () => {
+    const res = await api().post('/api/v1/deals').set('Authorization', partnerAuth).send({
+      companyName: 'Initech',
+      domain: 'initech.com',
+      submitterName: 'Acme User',
+      agreedToTerms: true
+    });
+
+    expect(res.status).toBe(201);
+    expect(sentTo('deal_submitted')).toEqual(['user@acme.io']);
+    expect(sentTo('deal_awaiting_review')).toEqual(['admin@daxa.ai', 'approver@daxa.ai', 'viewer@daxa.ai']);
+
+    const confirmation = emailService.outbox.find(sent => sent.type === 'deal_submitted');
+    expect(confirmation.subject).toBe('Deal registration received: Initech');
+  });
+
+  test('decisions are emailed to the submitter with the rejection reason', async () => {
+    const deal = await createDeal({ status: 'under_review' });
+
+    await api().post(`/api/v1/admin/deals/${deal.id}/reject`)
+      .set('Authorization', await authHeader(users.approver))
+      .send({ rejection_reason: 'Customer already registered directly' });
+
+    const email = emailService.outbox.find(sent => sent.type === 'deal_rejected');
+    expect(email.to).toBe('user@acme.io');
+    expect(email.message.text).toContain('Reason: Customer already registered directly');
+  });
+
+  test('users can opt out of optional emails from their profile', async () => {
+    const profile = await api().put('/api/v1/admin/profile').set('Authorization', partnerAuth).send({ email_opt_outs: ['deal_approved'] });
+    expect(profile.status).toBe(200);
+
+    const deal = await createDeal({ status: 'under_review' });
+    const res = await api().post(`/api/v1/admin/deals/${deal.id}/approve`).set('Authorization', await authHeader(users.approver)).send({});
+
+    expect(res.body.status).toBe('approved');
+    expect(sentTo('deal_approved')).toEqual([]);
+  });
+
+  test('opting out never suppresses account emails', async () => {
+    await api().put('/api/v1/admin/profile').set('Authorization', partnerAuth).send({ email_opt_outs: 'all' });
+
+    await api().post('/api/v1/auth/forgot-password').send({ email: 'user@acme.io' });
+
+    expect(sentTo('password_reset')).toEqual(['user@acme.io']);
+  });
+});
@@ -0,0 +1,105 @@
+const { api, repositories, seed, authHeader } = require('./helpers/testApp');
+const authService = require('../src/services/authService');
+const partnerService = require('../src/services/partnerService');
+
+const { partnerRepository, userRepository } = repositories;
+
+describe('partner registry', () => {
+  let users;
+  let adminAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    adminAuth = await authHeader(users.superAdmin);
+  });
+
+  const create = (body) => api().post('/api/v1/partners').set('Authorization', adminAuth).send(body);
+  const update = (id, body) => api().put(`/api/v1/partners/${id}`).set('Authorization', adminAuth).send(body);
+
+  test('creates partners with normalized domains and territories', async () => {
+    const res = await create({ name: 'Initech', emailDomains: '@Initech.com, initech.io', territories: ['EMEA', 'APAC'], tier: 'gold' });
+
+    expect(res.status).toBe(201);
+    expect(res.body.partner).toMatchObject({
+      name: 'Initech',
+      email_domains: 'initech.com,initech.io',
+      territories: 'EMEA,APAC',
+      status: 'active',
+      created_by: 'admin@daxa.ai'
+    });
+    expect(await authService.getKnownPartnerCompany('someone@initech.io')).toBe('Initech');
+  });
+
+  test('rejects duplicate names, taken domains and invalid values', async () => {
+    expect((await create({ name: 'acme' })).status).toBe(409);
+    expect((await create({ name: 'Initech', emailDomains: 'rand.io' })).status).toBe(409);
+    expect((await create({ name: 'Initech', emailDomains: 'not a domain' })).status).toBe(400);
+    expect((await create({ name: 'Initech', status: 'paused' })).status).toBe(400);
+    expect((await create({})).status).toBe(400);
+    expect((await create({ name: ['Initech'] })).status).toBe(400);
+  });
+
+  test('updates partner fields but never the name', async () => {
+    const res = await update('partner-acme', { tier: 'platinum', channelManagerEmail: 'CM@daxa.ai' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.partner).toMatchObject({ tier: 'platinum', channel_manager_email: 'cm@daxa.ai' });
+    expect((await update('partner-acme', { name: 'Acme Corp' })).status).toBe(400);
+    expect((await update('partner-acme', { name: 42, tier: 'gold' })).status).toBe(400);
+    expect((await update('partner-acme', {})).status).toBe(400);
+    expect((await update('missing', { tier: 'gold' })).status).toBe(404);
+  });
+
+  test('deactivated partners no longer claim their email domain', async () => {
+    const res = await api().delete('/api/v1/partners/partner-rand').set('Authorization', adminAuth);
+
+    expect(res.body.partner.status).toBe('inactive');
+    expect(await authService.getKnownPartnerCompany('new@rand.io')).toBeFalsy();
+  });
+
+  test('partner users see only active partners\' public fields', async () => {
+    await partnerRepository.update('partner-rand', { status: 'inactive' });
+
+    const res = await api().get('/api/v1/partners').set('Authorization', await authHeader(users.partnerUser));
+
+    expect(res.status).toBe(200);
+    expect(res.body.partners).toEqual([{ id: 'partner-acme', name: 'Acme', tier: 'gold', territories: [] }]);
+  });
+
+  test('default partners are created once, leaving owned domains alone', async () => {
+    await create({ name: 'TechFlow Holdings', emailDomains: 'techflow.com' });
+
+    const created = await partnerService.ensureDefaults();
+
+    expect(created.map(partner => partner.name)).toEqual([
+      'TechFlow Solutions', 'Digital Innovations Inc.', 'CloudWare Partners', 'DataBridge Consulting', 'Daxa Internal', 'External Partner'
+    ]);
+    expect((await partnerRepository.findByName('TechFlow Solutions')).email_domains).toBe('');
+    expect((await partnerRepository.findByName('CloudWare Partners')).email_domains).toBe('cloudware.com');
+    expect(await partnerService.ensureDefaults()).toEqual([]);
+  });
+
+  test('Google sign-ups from unknown domains join the fallback partner', async () => {
+    await partnerService.ensureDefaults();
+
+    const user = await authService.googleLogin({ email: 'someone@gmail.com', sub: 'google-1', given_name: 'Some' });
+    expect(user.partner_company).toBe('External Partner');
+
+    const known = await authService.googleLogin({ email: 'new@acme.io', sub: 'google-2' });
+    expect(known.partner_company).toBe('Acme');
+
+    const res = await api().post('/api/v1/deals')
+      .set('Authorization', await authHeader(await userRepository.findById('google-1')))
+      .send({ companyName: 'Initech', domain: 'initech.com', submitterName: 'Some One', agreedToTerms: true });
+    expect(res.status).toBe(201);
+  });
+
+  test('managing partners requires partners:manage', async () => {
+    const res = await api().post('/api/v1/partners')
+      .set('Authorization', await authHeader(users.viewer))
+      .send({ name: 'Initech' });
+
+    expect(res.status).toBe(403);
+    expect((await api().get('/api/v1/partners/partner-acme').set('Authorization', await authHeader(users.partnerUser))).status).toBe(403);
+  });
+});
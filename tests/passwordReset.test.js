@@ -0,0 +1,72 @@
+const { api, repositories, seed } = require('./helpers/testApp');
+const authService = require('../src/services/authService');
+const emailService = require('../src/services/emailService');
+const sessionService = require('../src/services/sessionService');
+
+const { userRepository, sessionRepository } = repositories;
+
+const resetToken = () => {
+  const email = [...emailService.outbox].reverse().find(sent => sent.type === 'password_reset');
+  return decodeURIComponent(email.message.text.match(/token=([^\s&]+)/)[1]);
+};
+
+// Both endpoints allow 5 requests per IP per 15 minutes across this whole file
+describe('password reset', () => {
+  let user;
+
+  beforeEach(async () => {
+    ({ partnerUser: user } = await seed());
+  });
+
+  const reset = (token, password) => api().post('/api/v1/auth/reset-password').send({ token, password });
+
+  test('a reset link sets a new password, ends every session and works once', async () => {
+    const session = await sessionService.createSession(user);
+
+    const requested = await api().post('/api/v1/auth/forgot-password').send({ email: 'USER@acme.io' });
+    expect(requested.status).toBe(200);
+
+    const token = resetToken();
+    expect((await userRepository.findById(user.id)).reset_token_hash).not.toBe(token);
+
+    expect((await reset(token, 'N3wPassword')).status).toBe(200);
+    expect((await authService.loginUser('user@acme.io', 'N3wPassword')).user.email).toBe('user@acme.io');
+    expect((await sessionRepository.findById(session.sessionId)).revoked_reason).toBe('password_reset');
+    expect(emailService.outbox.some(sent => sent.type === 'password_changed')).toBe(true);
+
+    expect((await reset(token, 'An0therPassword')).status).toBe(400);
+  });
+
+  test('unknown accounts get the same answer and no email', async () => {
+    const res = await api().post('/api/v1/auth/forgot-password').send({ email: 'nobody@acme.io' });
+
+    expect(res.status).toBe(200);
+    expect(emailService.outbox).toHaveLength(0);
+  });
+
+  test('repeated requests within the cooldown send a single email', async () => {
+    await authService.requestPasswordReset('user@acme.io');
+    await authService.requestPasswordReset('user@acme.io');
+
+    expect(emailService.outbox.filter(sent => sent.type === 'password_reset')).toHaveLength(1);
+  });
+
+  test('expired links and weak passwords are refused', async () => {
+    await authService.requestPasswordReset('user@acme.io');
+    const token = resetToken();
+
+    expect((await reset(token, 'short')).status).toBe(400);
+
+    await userRepository.update(user.id, { reset_expires_at: '2020-01-01T00:00:00.000Z' });
+    expect((await reset(token, 'N3wPassword')).status).toBe(410);
+  });
+
+  test('forgot-password requests are rate limited per IP', async () => {
+    const statuses = [];
+    for (let attempt = 0; attempt < 5; attempt++) {
+      statuses.push((await api().post('/api/v1/auth/forgot-password').send({ email: 'nobody@acme.io' })).status);
+    }
+
+    expect(statuses).toContain(429);
+  });
+});
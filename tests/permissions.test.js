@@ -0,0 +1,105 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+const permissionService = require('../src/services/permissionService');
+
+const { adminRepository, userRepository } = repositories;
+
+describe('roles and permissions', () => {
+  describe('permissionService', () => {
+    test('resolves legacy role names and rejects unknown ones', () => {
+      expect(permissionService.resolveRole('admin')).toBe('super_admin');
+      expect(permissionService.resolveRole('analyst')).toBe('viewer');
+      expect(permissionService.resolveRole('user')).toBe('partner_user');
+      expect(permissionService.resolveRole('partner_admin')).toBe('partner_admin');
+      expect(permissionService.resolveRole('owner')).toBeNull();
+    });
+
+    test('separates internal from partner roles', () => {
+      expect([...permissionService.internalRoles].sort()).toEqual(['approver', 'super_admin', 'viewer']);
+      expect(permissionService.isInternalRole('admin')).toBe(true);
+      expect(permissionService.isInternalRole('partner_admin')).toBe(false);
+      expect(permissionService.permissionsFor('nobody')).toEqual([]);
+    });
+
+    test('checks permissions from the user\'s permission list or role', () => {
+      expect(permissionService.hasPermission({ role: 'viewer' }, 'deals:view_all')).toBe(true);
+      expect(permissionService.hasPermission({ role: 'viewer' }, 'deals:approve')).toBe(false);
+      expect(permissionService.hasPermission({ role: 'super_admin', permissions: [] }, 'deals:approve')).toBe(false);
+      expect(permissionService.hasPermission(undefined, 'deals:view_all')).toBe(false);
+    });
+  });
+
+  describe('effective role', () => {
+    let users;
+
+    beforeEach(async () => {
+      users = await seed();
+    });
+
+    test('active Admins rows decide the role, blank meaning super admin', async () => {
+      expect(await permissionService.resolveUserRole(users.superAdmin)).toBe('super_admin');
+      expect(await permissionService.resolveUserRole(users.approver)).toBe('approver');
+      expect(await permissionService.resolveUserRole(users.partnerAdmin)).toBe('partner_admin');
+    });
+
+    test('revoked admins fall back to their Users role', async () => {
+      await adminRepository.update('approver@daxa.ai', { status: 'revoked' });
+
+      expect(await permissionService.resolveUserRole(users.approver)).toBe('partner_user');
+    });
+
+    test('internal roles never come from the Users sheet', async () => {
+      await userRepository.update(users.partnerUser.id, { role: 'admin' });
+      await userRepository.update(users.approver.id, { role: 'super_admin' });
+      await adminRepository.update('approver@daxa.ai', { status: 'revoked' });
+
+      expect(await permissionService.resolveUserRole(await userRepository.findById(users.partnerUser.id))).toBe('partner_user');
+      expect(await permissionService.resolveUserRole(await userRepository.findById(users.approver.id))).toBe('partner_user');
+
+      const auth = await authHeader(users.partnerUser);
+      expect((await api().get('/api/v1/admin/users').set('Authorization', auth)).status).toBe(403);
+
+      const me = await api().get('/api/v1/auth/me').set('Authorization', auth);
+      expect(me.body.user).toMatchObject({ role: 'partner_user', isAdmin: false });
+    });
+  });
+
+  describe('requirePermission', () => {
+    let users;
+    let deal;
+
+    beforeEach(async () => {
+      users = await seed();
+      deal = await createDeal({ status: 'under_review' });
+    });
+
+    const approveAs = async (user) => api().post(`/api/v1/admin/deals/${deal.id}/approve`)
+      .set('Authorization', await authHeader(user))
+      .send({});
+
+    test('viewers can read but not decide deals', async () => {
+      const res = await approveAs(users.viewer);
+
+      expect(res.status).toBe(403);
+      expect(res.body.requiredPermissions).toEqual(['deals:approve']);
+      expect((await api().get('/api/v1/admin/audit').set('Authorization', await authHeader(users.viewer))).status).toBe(200);
+    });
+
+    test('approvers decide deals but cannot change settings', async () => {
+      expect((await approveAs(users.approver)).status).toBe(200);
+
+      const settings = await api().get('/api/v1/admin/settings/security').set('Authorization', await authHeader(users.approver));
+      expect(settings.status).toBe(403);
+      expect(settings.body.requiredPermissions).toEqual(['settings:manage']);
+    });
+
+    test('partner users are refused admin endpoints', async () => {
+      expect((await approveAs(users.partnerAdmin)).status).toBe(403);
+    });
+
+    test('the admin list describes every role', async () => {
+      const res = await api().get('/api/v1/admin/list').set('Authorization', await authHeader(users.superAdmin));
+
+      expect(res.body.roles.map(role => role.role)).toEqual(Object.keys(permissionService.roles));
+    });
+  });
+});
@@ -0,0 +1,121 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+const registrationExpiryService = require('../src/services/registrationExpiryService');
+const registrationConfig = require('../src/config/registration');
+const { numberFromEnv } = require('../src/utils/helpers');
+
+const { dealRepository, extensionRequestRepository } = repositories;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const daysFromNow = (days) => new Date(Date.now() + days * DAY_MS).toISOString();
+
+describe('registration expiry', () => {
+  let users;
+
+  beforeEach(async () => {
+    users = await seed();
+  });
+
+  test('approval sets the end of the protection period', async () => {
+    const deal = await createDeal({ status: 'under_review' });
+    const approverAuth = await authHeader(users.approver);
+
+    const res = await api().post(`/api/v1/admin/deals/${deal.id}/approve`).set('Authorization', approverAuth).send({});
+
+    const expiresIn = new Date(res.body.deal.expires_at).getTime() - Date.now();
+    expect(Math.round(expiresIn / DAY_MS)).toBe(registrationConfig.protectionDays);
+  });
+
+  test('the sweep expires lapsed registrations and notifies the submitter', async () => {
+    const lapsed = await createDeal({ status: 'approved', expires_at: daysFromNow(-1) });
+    const protectedDeal = await createDeal({ status: 'approved', expires_at: daysFromNow(10) });
+
+    const result = await registrationExpiryService.sweepExpiredDeals();
+
+    expect(result.expired).toEqual([lapsed.id]);
+    expect((await dealRepository.findById(lapsed.id)).status).toBe('expired');
+    expect((await dealRepository.findById(protectedDeal.id)).status).toBe('approved');
+
+    const notifications = await repositories.notificationRepository.findBy('deal_id', lapsed.id);
+    expect(notifications.map(notification => notification.type)).toContain('registration_expired');
+  });
+
+  test('deals approved before expiry existed get a full period from the first sweep', async () => {
+    const legacy = await createDeal({ status: 'approved', reviewed_at: '2020-01-01T00:00:00.000Z', created_at: '2020-01-01T00:00:00.000Z' });
+    const now = new Date();
+
+    const result = await registrationExpiryService.sweepExpiredDeals(now);
+
+    expect(result.expired).toEqual([]);
+
+    const deal = await dealRepository.findById(legacy.id);
+    expect(deal.status).toBe('approved');
+    expect(new Date(deal.expires_at).getTime()).toBe(now.getTime() + registrationConfig.protectionDays * DAY_MS);
+  });
+
+  test('only internal users with the permission can trigger the sweep', async () => {
+    const partnerRes = await api().post('/api/v1/admin/registrations/sweep').set('Authorization', await authHeader(users.partnerUser));
+    const adminRes = await api().post('/api/v1/admin/registrations/sweep').set('Authorization', await authHeader(users.superAdmin));
+
+    expect(partnerRes.status).toBe(403);
+    expect(adminRes.status).toBe(200);
+  });
+
+  describe('extension requests', () => {
+    let deal;
+    let partnerAuth;
+
+    beforeEach(async () => {
+      deal = await createDeal({ status: 'approved', expires_at: daysFromNow(5) });
+      partnerAuth = await authHeader(users.partnerUser);
+    });
+
+    const requestExtension = (body) => api().post(`/api/v1/deals/${deal.id}/extension-requests`)
+      .set('Authorization', partnerAuth)
+      .send(body);
+
+    test('approving an extension moves the expiry forward', async () => {
+      const created = await requestExtension({ requestedDays: 30, justification: 'Procurement is slow' });
+      expect(created.status).toBe(201);
+
+      const res = await api().post(`/api/v1/admin/extension-requests/${created.body.request.id}/approve`)
+        .set('Authorization', await authHeader(users.approver))
+        .send({ days: 20 });
+
+      expect(res.status).toBe(200);
+      const updated = await dealRepository.findById(deal.id);
+      expect(new Date(updated.expires_at).getTime()).toBe(new Date(deal.expires_at).getTime() + 20 * DAY_MS);
+    });
+
+    test('validates the request and allows one pending request per deal', async () => {
+      expect((await requestExtension({ requestedDays: 500, justification: 'Long' })).status).toBe(400);
+      expect((await requestExtension({ requestedDays: 10, justification: ' ' })).status).toBe(400);
+      expect((await requestExtension({ requestedDays: 10, justification: 'Budget' })).status).toBe(201);
+      expect((await requestExtension({ requestedDays: 10, justification: 'Again' })).status).toBe(409);
+      expect(await extensionRequestRepository.findAll()).toHaveLength(1);
+    });
+
+    test('other partners cannot extend the deal', async () => {
+      const res = await api().post(`/api/v1/deals/${deal.id}/extension-requests`)
+        .set('Authorization', await authHeader(users.otherPartnerUser))
+        .send({ requestedDays: 10, justification: 'Mine now' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
+
+describe('numberFromEnv', () => {
+  afterEach(() => {
+    delete process.env.TEST_NUMBER;
+  });
+
+  test('reads integers and falls back when unset or invalid', () => {
+    expect(numberFromEnv('TEST_NUMBER', 7)).toBe(7);
+
+    process.env.TEST_NUMBER = '0';
+    expect(numberFromEnv('TEST_NUMBER', 7)).toBe(0);
+
+    process.env.TEST_NUMBER = 'soon';
+    expect(numberFromEnv('TEST_NUMBER', 7)).toBe(7);
+  });
+});
@@ -0,0 +1,120 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+const reviewerAssignmentService = require('../src/services/reviewerAssignmentService');
+
+const { dealRepository, partnerRepository, notificationRepository } = repositories;
+
+describe('reviewer assignment', () => {
+  let users;
+  let adminAuth;
+
+  beforeEach(async () => {
+    users = await seed();
+    adminAuth = await authHeader(users.superAdmin);
+  });
+
+  describe('automatic assignment', () => {
+    const configure = (body) => api().put('/api/v1/admin/settings/reviewer-assignment').set('Authorization', adminAuth).send(body);
+
+    test('prefers the territory mapping, then the partner\'s channel manager', async () => {
+      await configure({ territories: { EMEA: 'Approver@daxa.ai' } });
+      await partnerRepository.update('partner-acme', { channel_manager_email: 'admin@daxa.ai' });
+
+      const emea = await reviewerAssignmentService.autoAssign(await createDeal({ id: 'emea', territory: 'emea' }));
+      expect(emea).toMatchObject({ reviewer: 'approver@daxa.ai', reviewer_assigned_via: 'territory' });
+
+      const apac = await reviewerAssignmentService.autoAssign(await createDeal({ id: 'apac', territory: 'APAC' }));
+      expect(apac).toMatchObject({ reviewer: 'admin@daxa.ai', reviewer_assigned_via: 'partner' });
+
+      const notified = await notificationRepository.findBy('deal_id', 'emea');
+      expect(notified.map(notification => notification.recipient_email)).toEqual(['approver@daxa.ai']);
+    });
+
+    test('falls back to round robin over the reviewers', async () => {
+      await createDeal({
+        id: 'earlier',
+        reviewer: 'admin@daxa.ai',
+        reviewer_assigned_via: 'round_robin',
+        reviewer_assigned_at: '2026-01-01T00:00:00.000Z'
+      });
+
+      const next = await reviewerAssignmentService.autoAssign(await createDeal({ id: 'next' }));
+      expect(next).toMatchObject({ reviewer: 'approver@daxa.ai', reviewer_assigned_via: 'round_robin' });
+
+      const wrapped = await reviewerAssignmentService.autoAssign(await createDeal({ id: 'wrapped' }));
+      expect(wrapped.reviewer).toBe('admin@daxa.ai');
+    });
+
+    test('leaves deals unassigned when every strategy is off', async () => {
+      await configure({ usePartnerChannelManager: false, roundRobin: false });
+
+      const deal = await reviewerAssignmentService.autoAssign(await createDeal());
+
+      expect(deal.reviewer).toBeFalsy();
+    });
+
+    test('only admins who can approve deals may be mapped', async () => {
+      const res = await configure({ territories: { EMEA: 'viewer@daxa.ai' } });
+
+      expect(res.status).toBe(400);
+      expect(res.body.error).toBe('Reviewer cannot approve deals');
+    });
+  });
+
+  describe('manual assignment and queues', () => {
+    const assign = (dealId, reviewer) => api().post(`/api/v1/admin/deals/${dealId}/reviewer`)
+      .set('Authorization', adminAuth)
+      .send({ reviewer, notes: 'Knows the account' });
+
+    beforeEach(async () => {
+      await createDeal({ id: 'd1', status: 'submitted' });
+      await createDeal({ id: 'd2', status: 'under_review', company_name: 'Initech', domain: 'initech.com' });
+      await createDeal({ id: 'd3', status: 'approved', company_name: 'Hooli', domain: 'hooli.com' });
+    });
+
+    test('assigns and reassigns open deals', async () => {
+      const first = await assign('d1', 'approver@daxa.ai');
+      expect(first.body).toMatchObject({ previousReviewer: null, reviewer: 'approver@daxa.ai' });
+
+      expect((await assign('d1', 'approver@daxa.ai')).status).toBe(409);
+
+      const second = await assign('d1', 'admin@daxa.ai');
+      expect(second.body.previousReviewer).toBe('approver@daxa.ai');
+      expect((await dealRepository.findById('d1')).reviewer_assigned_via).toBe('manual');
+
+      expect((await assign('d3', 'approver@daxa.ai')).status).toBe(409);
+      expect((await assign('d1', 'viewer@daxa.ai')).status).toBe(400);
+      expect((await assign('d1', 'nobody@daxa.ai')).status).toBe(404);
+    });
+
+    test('reviewers see their own queue and admins the workload', async () => {
+      await assign('d1', 'approver@daxa.ai');
+      await assign('d2', 'approver@daxa.ai');
+
+      const queue = await api().get('/api/v1/admin/my-queue').set('Authorization', await authHeader(users.approver));
+      expect(queue.body.deals.map(deal => deal.id).sort()).toEqual(['d1', 'd2']);
+      expect(queue.body.deals[0].approval).toMatchObject({ reviewer: 'approver@daxa.ai' });
+
+      const workload = await api().get('/api/v1/admin/reviewers/workload').set('Authorization', adminAuth);
+      expect(workload.body).toMatchObject({ unassigned: 0, total: 2 });
+      expect(workload.body.reviewers[0]).toMatchObject({ reviewer: 'approver@daxa.ai', queued: 2, underReview: 1, active: true });
+      expect(workload.body.reviewers[1]).toMatchObject({ reviewer: 'admin@daxa.ai', queued: 0 });
+    });
+
+    test('the assignment is hidden from the partner', async () => {
+      await assign('d1', 'approver@daxa.ai');
+
+      const res = await api().get('/api/v1/deals/d1').set('Authorization', await authHeader(users.partnerUser));
+
+      expect(res.body.deal.id).toBe('d1');
+      ['reviewer', 'reviewer_assigned_at', 'reviewer_assigned_via'].forEach(field => expect(res.body.deal).not.toHaveProperty(field));
+    });
+
+    test('viewers cannot assign reviewers', async () => {
+      const res = await api().post('/api/v1/admin/deals/d1/reviewer')
+        .set('Authorization', await authHeader(users.viewer))
+        .send({ reviewer: 'approver@daxa.ai' });
+
+      expect(res.status).toBe(403);
+    });
+  });
+});
@@ -0,0 +1,79 @@
+const { api, repositories, seed } = require('./helpers/testApp');
+const sessionService = require('../src/services/sessionService');
+
+const { sessionRepository, userRepository } = repositories;
+
+describe('sessions and refresh tokens', () => {
+  let user;
+  let tokens;
+
+  beforeEach(async () => {
+    ({ partnerUser: user } = await seed());
+    tokens = await sessionService.createSession(user);
+  });
+
+  const refresh = (refreshToken) => api().post('/api/v1/auth/refresh').send({ refreshToken });
+  const me = (accessToken) => api().get('/api/v1/auth/me').set('Authorization', `Bearer ${accessToken}`);
+
+  test('stores only a hash of the refresh secret', async () => {
+    const session = await sessionRepository.findById(tokens.sessionId);
+    const [, secret] = tokens.refreshToken.split('.');
+
+    expect(session.refresh_token_hash).toHaveLength(64);
+    expect(session.refresh_token_hash).not.toBe(secret);
+  });
+
+  test('refreshing rotates the refresh token within the same session', async () => {
+    const res = await refresh(tokens.refreshToken);
+
+    expect(res.status).toBe(200);
+    expect(res.body.sessionId).toBe(tokens.sessionId);
+    expect(res.body.refreshToken).not.toBe(tokens.refreshToken);
+    expect((await me(res.body.accessToken)).status).toBe(200);
+  });
+
+  test('replaying a rotated refresh token revokes the session', async () => {
+    const rotated = await refresh(tokens.refreshToken);
+
+    const replay = await refresh(tokens.refreshToken);
+    expect(replay.status).toBe(401);
+
+    const session = await sessionRepository.findById(tokens.sessionId);
+    expect(session.revoked_reason).toBe('refresh_token_reuse');
+    expect((await refresh(rotated.body.refreshToken)).status).toBe(401);
+    expect((await me(rotated.body.accessToken)).status).toBe(401);
+  });
+
+  test('unknown or malformed refresh tokens are refused', async () => {
+    expect((await refresh(`${tokens.sessionId}.guess`)).status).toBe(401);
+    expect((await refresh('garbage')).status).toBe(401);
+    expect((await refresh(undefined)).status).toBe(400);
+  });
+
+  test('logout ends only the current session', async () => {
+    const other = await sessionService.createSession(user);
+
+    const res = await api().post('/api/v1/auth/logout').set('Authorization', `Bearer ${tokens.accessToken}`);
+
+    expect(res.status).toBe(200);
+    expect((await me(tokens.accessToken)).status).toBe(401);
+    expect((await refresh(tokens.refreshToken)).status).toBe(401);
+    expect((await me(other.accessToken)).status).toBe(200);
+  });
+
+  test('logout-all ends every session of the user', async () => {
+    const other = await sessionService.createSession(user);
+
+    const res = await api().post('/api/v1/auth/logout-all').set('Authorization', `Bearer ${tokens.accessToken}`);
+
+    expect(res.body.revokedSessions).toBe(2);
+    expect((await me(other.accessToken)).status).toBe(401);
+  });
+
+  test('refreshing fails once the user is deactivated', async () => {
+    await userRepository.update(user.id, { status: 'inactive' });
+
+    expect((await refresh(tokens.refreshToken)).status).toBe(401);
+    expect((await sessionRepository.findById(tokens.sessionId)).revoked_reason).toBe('user_inactive');
+  });
+});
@@ -0,0 +1,94 @@
+jest.mock('../src/services/googleSheetsService', () => ({
+  getAllRows: jest.fn(),
+  getSheetData: jest.fn(),
+  appendToSheet: jest.fn(),
+  updateRow: jest.fn(),
+  updateRowByValue: jest.fn(),
+  createSheet: jest.fn(),
+  batchUpdate: jest.fn()
+}));
+
+const googleSheetsService = require('../src/services/googleSheetsService');
+const { setStore, FileStore, SheetsStore } = require('../src/repositories/stores');
+const { dealRepository, userRepository } = require('../src/repositories');
+
+describe('file storage backend', () => {
+  beforeEach(() => {
+    setStore(new FileStore(':memory:'));
+  });
+
+  test('stores records as sheet-shaped rows of strings', async () => {
+    await dealRepository.create({ id: 'deal-1', company_name: 'Globex', deal_value: 5000 });
+
+    const deal = await dealRepository.findById('deal-1');
+
+    expect(deal.deal_value).toBe('5000');
+    expect(deal).toHaveProperty('expires_at', '');
+  });
+
+  test('updates merge changes and return the full record', async () => {
+    await dealRepository.create({ id: 'deal-1', company_name: 'Globex', status: 'submitted' });
+
+    const updated = await dealRepository.update('deal-1', { status: 'approved' });
+
+    expect(updated).toMatchObject({ id: 'deal-1', company_name: 'Globex', status: 'approved' });
+    expect(await dealRepository.update('missing', { status: 'approved' })).toBeNull();
+  });
+
+  test('updateMany applies every change in order and reports missing records', async () => {
+    await dealRepository.create({ id: 'deal-1', status: 'submitted' });
+    await dealRepository.create({ id: 'deal-2', status: 'submitted' });
+
+    const results = await dealRepository.updateMany([
+      { id: 'deal-2', changes: { status: 'approved' } },
+      { id: 'missing', changes: { status: 'approved' } },
+      { id: 'deal-1', changes: { status: 'rejected' } }
+    ]);
+
+    expect(results.map(result => result?.status ?? null)).toEqual(['approved', null, 'rejected']);
+    expect((await dealRepository.findById('deal-1')).status).toBe('rejected');
+  });
+
+  test('finds users by email regardless of case', async () => {
+    await userRepository.create({ id: 'user-1', email: 'Someone@Acme.io' });
+
+    expect((await userRepository.findByEmail(' someone@acme.IO ')).id).toBe('user-1');
+  });
+});
+
+describe('Google Sheets storage backend', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    setStore(new SheetsStore());
+  });
+
+  test('reads a missing sheet as an empty table', async () => {
+    googleSheetsService.getAllRows.mockRejectedValue(new Error('Unable to parse range: Deals'));
+
+    expect(await dealRepository.findAll()).toEqual([]);
+  });
+
+  test('updateMany writes all changed rows in one batch', async () => {
+    googleSheetsService.getSheetData.mockResolvedValue([
+      ['id', 'status'],
+      ['deal-1', 'submitted'],
+      ['deal-2', 'submitted']
+    ]);
+
+    const results = await dealRepository.updateMany([
+      { id: 'deal-2', changes: { status: 'approved' } },
+      { id: 'deal-1', changes: { status: 'rejected', approver: 'admin@daxa.ai' } }
+    ]);
+
+    expect(results).toEqual([
+      { id: 'deal-2', status: 'approved', approver: '' },
+      { id: 'deal-1', status: 'rejected', approver: 'admin@daxa.ai' }
+    ]);
+    expect(googleSheetsService.updateRow).toHaveBeenCalledWith('Deals', 1, ['id', 'status', 'approver']);
+    expect(googleSheetsService.batchUpdate).toHaveBeenCalledTimes(1);
+    expect(googleSheetsService.batchUpdate).toHaveBeenCalledWith([
+      { range: 'Deals!3:3', values: [['deal-2', 'approved', '']] },
+      { range: 'Deals!2:2', values: [['deal-1', 'rejected', 'admin@daxa.ai']] }
+    ]);
+  });
+});
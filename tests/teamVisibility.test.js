@@ -0,0 +1,73 @@
+const { api, repositories, seed, createDeal, authHeader } = require('./helpers/testApp');
+
+const { dealRepository } = repositories;
+
+describe('partner team visibility', () => {
+  let users;
+
+  beforeEach(async () => {
+    users = await seed();
+    await createDeal({ id: 'own', submitter_email: 'user@acme.io' });
+    await createDeal({ id: 'teammate', submitter_email: 'teammate@acme.io', company_name: 'Initech', domain: 'initech.com' });
+    await createDeal({ id: 'rand', partner_company: 'Rand', submitter_email: 'user@rand.io', company_name: 'Hooli', domain: 'hooli.com' });
+  });
+
+  const listAs = async (user) => api().get('/api/v1/deals').set('Authorization', await authHeader(user));
+  const ids = (res) => res.body.deals.map(deal => deal.id).sort();
+
+  test('partner users only see deals they submitted', async () => {
+    const res = await listAs(users.partnerUser);
+
+    expect(ids(res)).toEqual(['own']);
+    expect(res.body.user.scope).toBe('own');
+  });
+
+  test('partner admins see every deal of their company', async () => {
+    const res = await listAs(users.partnerAdmin);
+
+    expect(ids(res)).toEqual(['own', 'teammate']);
+    expect(res.body.user.scope).toBe('team');
+  });
+
+  test('internal users see all deals', async () => {
+    const res = await listAs(users.viewer);
+
+    expect(ids(res)).toEqual(['own', 'rand', 'teammate']);
+    expect(res.body.user.scope).toBe('all');
+  });
+
+  test('deals of another team are hidden', async () => {
+    const res = await api().get('/api/v1/deals/rand').set('Authorization', await authHeader(users.partnerAdmin));
+
+    expect(res.status).toBe(403);
+  });
+
+  describe('reassignment', () => {
+    const reassign = async (user, dealId, email) => api().post(`/api/v1/deals/${dealId}/reassign`)
+      .set('Authorization', await authHeader(user))
+      .send({ email });
+
+    test('partner admins hand deals to a teammate', async () => {
+      const res = await reassign(users.partnerAdmin, 'own', 'teammate@acme.io');
+
+      expect(res.status).toBe(200);
+      expect((await dealRepository.findById('own')).submitter_email).toBe('teammate@acme.io');
+
+      const notified = await repositories.notificationRepository.findBy('deal_id', 'own');
+      expect(notified.map(notification => notification.recipient_email).sort()).toEqual(['teammate@acme.io', 'user@acme.io']);
+    });
+
+    test('assignees must belong to the deal\'s company', async () => {
+      const res = await reassign(users.partnerAdmin, 'own', 'user@rand.io');
+
+      expect(res.status).toBe(400);
+    });
+
+    test('partner users cannot reassign', async () => {
+      const res = await reassign(users.partnerUser, 'own', 'teammate@acme.io');
+
+      expect(res.status).toBe(403);
+      expect((await dealRepository.findById('own')).submitter_email).toBe('user@acme.io');
+    });
+  });
+});
@@ -0,0 +1,130 @@
+const { api, repositories, seed, authHeader } = require('./helpers/testApp');
+const authService = require('../src/services/authService');
+const settingsService = require('../src/services/settingsService');
+const totpService = require('../src/services/totpService');
+
+const { userRepository, auditLogRepository } = repositories;
+
+/**
+ * Turn on 2FA for a seeded user without going through enrollment
+ */
+const enableTwoFactor = async (user) => {
+  const secret = totpService.generateSecret();
+  const backupCodes = totpService.generateBackupCodes();
+
+  await userRepository.update(user.id, {
+    totp_secret: totpService.encryptSecret(secret),
+    totp_enabled_at: new Date().toISOString(),
+    totp_last_step: String(totpService.currentStep() - 2),
+    totp_backup_codes: backupCodes.hashes.join(',')
+  });
+
+  return { secret, backupCodes: backupCodes.codes };
+};
+
+const currentCode = (secret) => totpService.generateCode(secret, totpService.currentStep());
+
+describe('two-factor authentication', () => {
+  let users;
+
+  beforeEach(async () => {
+    users = await seed();
+  });
+
+  const verify = (body) => api().post('/api/v1/auth/2fa/verify').send(body);
+  const challengeFor = async (user) => (await authService.completeLogin(await userRepository.findById(user.id))).challengeToken;
+
+  test('enrollment stores the secret encrypted and returns backup codes', async () => {
+    const auth = await authHeader(users.partnerUser);
+
+    const setup = await api().post('/api/v1/auth/2fa/setup').set('Authorization', auth).send({});
+    expect(setup.body.otpauthUrl).toContain(`secret=${setup.body.secret}`);
+
+    const wrong = await api().post('/api/v1/auth/2fa/enable').set('Authorization', auth).send({ code: '12345' });
+    expect(wrong.status).toBe(401);
+
+    const res = await api().post('/api/v1/auth/2fa/enable').set('Authorization', auth).send({ code: currentCode(setup.body.secret) });
+    expect(res.status).toBe(200);
+    expect(res.body.backupCodes.length).toBeGreaterThan(0);
+
+    const user = await userRepository.findById(users.partnerUser.id);
+    expect(user.totp_enabled_at).toBeTruthy();
+    expect(user.totp_secret).not.toContain(setup.body.secret);
+    expect(user.totp_pending_secret).toBe('');
+  });
+
+  test('logins with 2FA need a code and each challenge works once', async () => {
+    const { secret } = await enableTwoFactor(users.partnerUser);
+
+    const login = await authService.completeLogin(await userRepository.findById(users.partnerUser.id));
+    expect(login).toMatchObject({ twoFactorRequired: true, enrollmentRequired: false });
+    expect(login.accessToken).toBeUndefined();
+
+    const res = await verify({ challengeToken: login.challengeToken, code: currentCode(secret) });
+    expect(res.status).toBe(200);
+    expect(res.body.accessToken).toBeTruthy();
+
+    const replay = await verify({ challengeToken: login.challengeToken, code: totpService.generateCode(secret, totpService.currentStep() + 1) });
+    expect(replay.status).toBe(401);
+  });
+
+  test('only the latest challenge is valid', async () => {
+    const { secret } = await enableTwoFactor(users.partnerUser);
+
+    const first = await challengeFor(users.partnerUser);
+    await challengeFor(users.partnerUser);
+
+    expect((await verify({ challengeToken: first, code: currentCode(secret) })).status).toBe(401);
+  });
+
+  test('backup codes work once each', async () => {
+    const { backupCodes } = await enableTwoFactor(users.partnerUser);
+
+    const res = await verify({ challengeToken: await challengeFor(users.partnerUser), backupCode: backupCodes[0] });
+    expect(res.status).toBe(200);
+    expect(res.body.backupCodesRemaining).toBe(backupCodes.length - 1);
+
+    expect((await verify({ challengeToken: await challengeFor(users.partnerUser), backupCode: backupCodes[0] })).status).toBe(401);
+  });
+
+  test('repeated invalid codes lock verification and void the challenge', async () => {
+    const { secret } = await enableTwoFactor(users.partnerUser);
+    const challengeToken = await challengeFor(users.partnerUser);
+
+    const statuses = [];
+    for (let attempt = 0; attempt < 5; attempt++) {
+      statuses.push((await verify({ challengeToken, code: '000000' })).status);
+    }
+    expect(statuses).toEqual([401, 401, 401, 401, 401]);
+
+    expect((await verify({ challengeToken, code: currentCode(secret) })).status).toBe(401);
+
+    const locked = await verify({ challengeToken: await challengeFor(users.partnerUser), code: currentCode(secret) });
+    expect(locked.status).toBe(429);
+    expect(locked.body.retryAfterSeconds).toBeGreaterThan(0);
+
+    const audit = await auditLogRepository.findBy('action', 'two_factor_locked');
+    expect(audit).toHaveLength(1);
+  });
+
+  test('roles that require 2FA must enroll during login and cannot turn it off', async () => {
+    await settingsService.set('two_factor_required_roles', ['approver'], { actor: 'admin@daxa.ai' });
+
+    const login = await authService.completeLogin(users.approver);
+    expect(login).toMatchObject({ twoFactorRequired: true, enrollmentRequired: true });
+
+    const setup = await api().post('/api/v1/auth/2fa/setup').send({ challengeToken: login.challengeToken });
+    const enabled = await api().post('/api/v1/auth/2fa/enable').send({
+      challengeToken: login.challengeToken,
+      code: currentCode(setup.body.secret)
+    });
+
+    expect(enabled.status).toBe(200);
+    expect(enabled.body.accessToken).toBeTruthy();
+
+    const disable = await api().post('/api/v1/auth/2fa/disable')
+      .set('Authorization', `Bearer ${enabled.body.accessToken}`)
+      .send({ code: totpService.generateCode(setup.body.secret, totpService.currentStep() + 1) });
+    expect(disable.status).toBe(403);
+  });
+});